@@ -25,6 +25,12 @@ var DEFAULT_OPTIONS = {
      * @type {Number}
      */
     numEllipsePoints : 60,
+    /**
+     * If greater than 0, curves, arcs and ellipses are subdivided adaptively until the maximum distance between the
+     * flattened segments and the curve drops below the tolerance. The fixed point counts above are only used if 0.
+     * @type {Number}
+     */
+    flatteningTolerance : 0,
     /**
      * If true, paths will create a list of sub-paths and
      * calculate all activated sub-path components.
@@ -41,7 +47,31 @@ var DEFAULT_OPTIONS = {
      * If true tangents and normals will be calculated for sub-path points.
      * @type {Boolean}
      */
-    calcTangentsAndNormals  : true
+    calcTangentsAndNormals  : true,
+    /**
+     * If true, a bounding volume hierarchy over the segments of every sub-path is maintained, accelerating
+     * nearest point and distance queries.
+     * @type {Boolean}
+     */
+    spatialIndex : false,
+    /**
+     * The storage of sub-path points, tangents, normals and segment lengths. 'array' for plain arrays, 'float32' or
+     * 'float64' for typed arrays with amortized growth, which can be passed to WebGL, WASM or workers without copying.
+     * @type {String}
+     */
+    storage : 'array',
+    /**
+     * If true, lengths, points, tangents and normals along curves, arcs and ellipses are evaluated on their original
+     * definitions instead of the flattened segments.
+     * @type {Boolean}
+     */
+    analytic : false,
+    /**
+     * The tangents and normals per sub-path point. 'segment' for the direction of the outgoing segment, 'averaged' for
+     * the angle bisector of both adjacent segments, which gets interpolated along segments by the at-length getters.
+     * @type {String}
+     */
+    tangentMode : 'segment'
 };
 
 /*--------------------------------------------------------------------------------------------------------------------*/
@@ -72,14 +102,6 @@ function createSvgPathCmdLinesTov(points){
     return cmd;
 }
 
-function createSvgPathCmdLinesTo2v(points){
-    var cmd = '';
-    for(var i = 0, l = points.length; i < l; ++i){
-        cmd += 'L ' + points[i][0] + ' ' + points[i][1] + ' ';
-    }
-    return cmd;
-}
-
 function createSvgPathCmdArc(rx,ry,rotation,largeArcFlag,sweepFlag,x,y){
     return 'A ' + rx  + ' ' + ry + ' ' + rotation + ' ' + largeArcFlag + ' ' + sweepFlag + ' ' + x + ' ' + y;
 }
@@ -96,1243 +118,6080 @@ function createSvgPathCmdClose(){
     return 'Z';
 }
 
+var MAX_FLATTENING_SEGMENTS = 4096;
+
+/**
+ * Returns the number of points needed to flatten a quadratic curve within the tolerance given. The chord error of a
+ * uniformly subdivided quadratic is bounded by |P0 - 2P1 + P2| / (4n^2).
+ * @returns {Number}
+ */
+function getNumCurvePointsQuadratic(sx,sy,cpx,cpy,x,y,tolerance){
+    var ddx = sx - 2 * cpx + x;
+    var ddy = sy - 2 * cpy + y;
+    var dd  = Math.sqrt(ddx * ddx + ddy * ddy);
+    var num = Math.ceil(Math.sqrt(dd / (4 * tolerance)));
+    return Math.min(MAX_FLATTENING_SEGMENTS,Math.max(1,num)) + 1;
+}
+
+/**
+ * Returns the number of points needed to flatten a cubic curve within the tolerance given. The chord error of a
+ * uniformly subdivided cubic is bounded by 3 * max|P(i) - 2P(i+1) + P(i+2)| / (4n^2).
+ * @returns {Number}
+ */
+function getNumCurvePointsCubic(sx,sy,cp1x,cp1y,cp2x,cp2y,x,y,tolerance){
+    var ddx0 = sx - 2 * cp1x + cp2x;
+    var ddy0 = sy - 2 * cp1y + cp2y;
+    var ddx1 = cp1x - 2 * cp2x + x;
+    var ddy1 = cp1y - 2 * cp2y + y;
+    var dd   = Math.sqrt(Math.max(ddx0 * ddx0 + ddy0 * ddy0, ddx1 * ddx1 + ddy1 * ddy1));
+    var num  = Math.ceil(Math.sqrt(3 * dd / (4 * tolerance)));
+    return Math.min(MAX_FLATTENING_SEGMENTS,Math.max(1,num)) + 1;
+}
+
+/**
+ * Returns the number of points needed to flatten an arc within the tolerance given, using the sagitta of the
+ * largest radius.
+ * @returns {Number}
+ */
+function getNumArcPoints(radiusX,radiusY,sweep,tolerance){
+    var radius = Math.max(Math.abs(radiusX),Math.abs(radiusY));
+    if(radius === 0){
+        return 2;
+    }
+    var step = 2 * Math.acos(Math.max(-1,1 - tolerance / radius));
+    var num  = Math.ceil(Math.abs(sweep) / step);
+    return Math.min(MAX_FLATTENING_SEGMENTS,Math.max(1,num)) + 1;
+}
+
+/**
+ * Returns the signed sweep of an arc from its start to its end angle, constrained to a full turn like canvas arcs.
+ * @param {Number} sAngle
+ * @param {Number} eAngle
+ * @param {Boolean} counterclockwise
+ * @returns {Number}
+ */
+function getArcSweep(sAngle,eAngle,counterclockwise){
+    var sweep = eAngle - sAngle;
+
+    if(counterclockwise){
+        if(sweep <= -PI2){
+            sweep = PI2;
+        } else{
+            while(sweep >= 0){
+                sweep -= PI2;
+            }
+        }
+    } else {
+        if(sweep >= PI2){
+            sweep = PI2;
+        } else{
+            while(sweep <= 0){
+                sweep += PI2;
+            }
+        }
+    }
+    return sweep;
+}
+
+var DEFAULT_CORNER_ANGLE = Math.PI / 6;
+
 var EPSILON  = 1.19209290e-7;
 var PI2      = Math.PI * 2;
 var PI2_NEAR = PI2 * 0.9999;
 var _180_PI  = 180.0 / Math.PI;
+var PI_180   = Math.PI / 180.0;
 
 /*--------------------------------------------------------------------------------------------------------------------*/
-// SubPath
+// Svg path data parsing
 /*--------------------------------------------------------------------------------------------------------------------*/
 
-var TYPE_LINE  = 0;
-var TYPE_CURVE = 1;
+// number of arguments per svg path command
+var SVG_CMD_NUM_ARGS = {
+    M : 2, L : 2, H : 1, V : 1, C : 6, S : 4, Q : 4, T : 2, A : 7, Z : 0
+};
+
+function isSvgWhitespace(c){
+    return c === ' ' || c === '\t' || c === '\n' || c === '\r' || c === '\f';
+}
+
+function isSvgDigit(c){
+    return c >= '0' && c <= '9';
+}
+
+function createSvgParseError(msg,offset){
+    return new Error('Path2d: Invalid svg path data, ' + msg + ' at offset ' + offset + '.');
+}
 
 /**
- * 2d sub-path representation. Path points are manipulated through parent path.
+ * Minimal svg path data scanner, following the grammar of the svg 1.1 path data bnf.
+ * @param {String} str
  * @constructor
+ * @private
  */
-function SubPath(){
+function SvgPathScanner(str){
+    this.str    = str;
+    this.offset = 0;
+}
 
-    /**
-     * The type of the sub-path. 0 - Straight, 1 - Curve
-     * @type {Number}
-     */
-    this.type = 0;
+SvgPathScanner.prototype.skipWhitespace = function(){
+    var str = this.str;
+    while(this.offset < str.length && isSvgWhitespace(str[this.offset])){
+        this.offset++;
+    }
+};
 
-    /**
-     * An array of positions. [x,y,x,y,x,y,...]
-     * @type {Array}
-     */
-    this.points = [];
+SvgPathScanner.prototype.skipSeparator = function(){
+    this.skipWhitespace();
+    if(this.str[this.offset] === ','){
+        this.offset++;
+        this.skipWhitespace();
+    }
+};
 
-    /**
-     * Tangents per positions. (If activated in parent path.)
-     * @type {Array}
-     */
-    this.tangents = [];
+SvgPathScanner.prototype.isEnd = function(){
+    return this.offset >= this.str.length;
+};
 
-    /**
-     * Normals per positions. (If activated in parent path.)
-     * @type {Array}
-     */
-    this.normals = [];
+/**
+ * Returns true if a number can be read at the current offset.
+ * @returns {Boolean}
+ */
+SvgPathScanner.prototype.isNumberStart = function(){
+    var c = this.str[this.offset];
+    return c !== undefined && (isSvgDigit(c) || c === '-' || c === '+' || c === '.');
+};
 
-    /**
-     * The total length of the sub-path.
-     * @type {number}
-     */
-    this.length = 0;
+/**
+ * Reads a number, allows compact notations like '1.5.5' (1.5, .5) or '1-2' (1, -2).
+ * @returns {Number}
+ */
+SvgPathScanner.prototype.readNumber = function(){
+    var str    = this.str;
+    var start  = this.offset;
+    var offset = start;
+    var c      = str[offset];
+    var numDigits = 0;
+
+    if(c === '-' || c === '+'){
+        c = str[++offset];
+    }
+    while(isSvgDigit(c)){
+        c = str[++offset];
+        numDigits++;
+    }
+    if(c === '.'){
+        c = str[++offset];
+        while(isSvgDigit(c)){
+            c = str[++offset];
+            numDigits++;
+        }
+    }
+    if(numDigits === 0){
+        throw createSvgParseError('expected number',start);
+    }
+    if(c === 'e' || c === 'E'){
+        var exponentStart = offset;
+        c = str[++offset];
+        if(c === '-' || c === '+'){
+            c = str[++offset];
+        }
+        if(!isSvgDigit(c)){
+            throw createSvgParseError('expected exponent',exponentStart);
+        }
+        while(isSvgDigit(c)){
+            c = str[++offset];
+        }
+    }
 
-    /**
-     * The global offset of the sub-path relative to the paths total length.
-     * @type {number}
-     */
-    this.offset = 0;
+    this.offset = offset;
+    return +str.substring(start,offset);
+};
 
-    /**
-     * The offsets of the sub-path segments.
-     * @type {Array}
-     */
-    this.segmentOffsets = [];
+/**
+ * Reads an arc flag, which may not be separated from the following argument.
+ * @returns {Number}
+ */
+SvgPathScanner.prototype.readFlag = function(){
+    var c = this.str[this.offset];
+    if(c !== '0' && c !== '1'){
+        throw createSvgParseError('expected flag',this.offset);
+    }
+    this.offset++;
+    return +c;
+};
 
-    /**
-     * The lengths of ths sub-path segments.
-     * @type {Array}
-     */
-    this.segmentLengths = [];
+/**
+ * Parses svg path data into a list of absolute commands. Shorthand commands get expanded, H and V are converted to L,
+ * S to C and T to Q. Arcs are kept in endpoint parameterization.
+ * @param {String} str - The svg path data.
+ * @param {Number} [startX] - The current point x, if the path data continues a path and may start without moveto.
+ * @param {Number} [startY] - The current point y.
+ * @returns {Array} - [{type: 'M'|'L'|'C'|'Q'|'A'|'Z', args: [...]}, ...]
+ * @private
+ */
+function parseSvgPathData(str,startX,startY){
+    var scanner  = new SvgPathScanner(str);
+    var commands = [];
+    var continued = startX !== undefined;
+
+    //current point, sub-path start, last control point
+    var x  = continued ? startX : 0, y  = continued ? startY : 0;
+    var x0 = x, y0 = y;
+    var cx = 0, cy = 0;
+
+    var typePrev = '';
+    var type, typeUpper, relative;
+    var numArgs, args, offset;
+    var ox, oy;
+
+    scanner.skipWhitespace();
+
+    while(!scanner.isEnd()){
+        offset = scanner.offset;
+
+        if(scanner.isNumberStart()){
+            //implicit command repetition, moveto is followed by implicit lineto
+            if(typePrev === '' || typePrev === 'Z' || typePrev === 'z'){
+                throw createSvgParseError('expected command',offset);
+            }
+            type = typePrev === 'M' ? 'L' : typePrev === 'm' ? 'l' : typePrev;
+        } else {
+            type = str[offset];
+            if(SVG_CMD_NUM_ARGS[type.toUpperCase()] === undefined){
+                throw createSvgParseError('unknown command "' + type + '"',offset);
+            }
+            if(typePrev === '' && type !== 'M' && type !== 'm' && !continued){
+                throw createSvgParseError('path data must start with moveto',offset);
+            }
+            scanner.offset++;
+            scanner.skipWhitespace();
+        }
 
+        typeUpper = type.toUpperCase();
+        relative  = type !== typeUpper;
+        numArgs   = SVG_CMD_NUM_ARGS[typeUpper];
+        args      = new Array(numArgs);
 
-    this.cmd = '';
+        for(var i = 0; i < numArgs; ++i){
+            if(scanner.isEnd()){
+                throw createSvgParseError('missing argument for command "' + type + '"',scanner.offset);
+            }
+            args[i] = (typeUpper === 'A' && (i === 3 || i === 4)) ?
+                      scanner.readFlag() :
+                      scanner.readNumber();
+            scanner.skipSeparator();
+        }
 
-    /**
-     * True if the sub-path is closed.
-     * @type {boolean}
-     */
-    this.closed = false;
+        ox = relative ? x : 0;
+        oy = relative ? y : 0;
+
+        switch(typeUpper){
+            case 'M':
+                x = x0 = args[0] + ox;
+                y = y0 = args[1] + oy;
+                commands.push({type : 'M', args : [x,y]});
+                break;
+
+            case 'L':
+                x = args[0] + ox;
+                y = args[1] + oy;
+                commands.push({type : 'L', args : [x,y]});
+                break;
+
+            case 'H':
+                x = args[0] + ox;
+                commands.push({type : 'L', args : [x,y]});
+                break;
+
+            case 'V':
+                y = args[0] + oy;
+                commands.push({type : 'L', args : [x,y]});
+                break;
+
+            case 'C':
+                cx = args[2] + ox;
+                cy = args[3] + oy;
+                x  = args[4] + ox;
+                y  = args[5] + oy;
+                commands.push({type : 'C', args : [args[0] + ox, args[1] + oy, cx, cy, x, y]});
+                break;
+
+            case 'S':
+                //reflect previous control point, if previous command was a cubic curve
+                if(!/[CcSs]/.test(typePrev)){
+                    cx = x;
+                    cy = y;
+                }
+                var cp1x = 2 * x - cx;
+                var cp1y = 2 * y - cy;
+                cx = args[0] + ox;
+                cy = args[1] + oy;
+                x  = args[2] + ox;
+                y  = args[3] + oy;
+                commands.push({type : 'C', args : [cp1x, cp1y, cx, cy, x, y]});
+                break;
+
+            case 'Q':
+                cx = args[0] + ox;
+                cy = args[1] + oy;
+                x  = args[2] + ox;
+                y  = args[3] + oy;
+                commands.push({type : 'Q', args : [cx, cy, x, y]});
+                break;
+
+            case 'T':
+                //reflect previous control point, if previous command was a quadratic curve
+                if(!/[QqTt]/.test(typePrev)){
+                    cx = x;
+                    cy = y;
+                }
+                cx = 2 * x - cx;
+                cy = 2 * y - cy;
+                x  = args[0] + ox;
+                y  = args[1] + oy;
+                commands.push({type : 'Q', args : [cx, cy, x, y]});
+                break;
+
+            case 'A':
+                x = args[5] + ox;
+                y = args[6] + oy;
+                commands.push({type : 'A', args : [args[0], args[1], args[2], args[3], args[4], x, y]});
+                break;
+
+            case 'Z':
+                x = x0;
+                y = y0;
+                commands.push({type : 'Z', args : []});
+                break;
+        }
 
-    this._dirty = true;
+        typePrev = type;
+    }
+
+    return commands;
 }
 
-function clearSubPath(subPath){
-    subPath.type = 0;
-    subPath.length = 0;
-    subPath.offset = 0;
+/**
+ * Converts an svg endpoint arc to center parameterization.
+ * https://www.w3.org/TR/SVG/implnote.html#ArcConversionEndpointToCenter
+ * @param {Number} x1 - Start x
+ * @param {Number} y1 - Start y
+ * @param {Number} rx - Radius x
+ * @param {Number} ry - Radius y
+ * @param {Number} rotation - Rotation in radians
+ * @param {Number} largeArcFlag
+ * @param {Number} sweepFlag
+ * @param {Number} x2 - End x
+ * @param {Number} y2 - End y
+ * @param {Number[]} out - [cx,cy,rx,ry,startAngle,sweepAngle]
+ * @returns {Number[]|null} - Null if the arc is degenerate, having a zero radius or coincident end points.
+ * @private
+ */
+function svgArcToCenter(x1,y1,rx,ry,rotation,largeArcFlag,sweepFlag,x2,y2,out){
+    rx = Math.abs(rx);
+    ry = Math.abs(ry);
 
-    subPath.points.length = 0;
-    subPath.tangents.length = 0;
-    subPath.normals.length = 0;
+    if(rx === 0 || ry === 0 || (x1 === x2 && y1 === y2)){
+        return null;
+    }
 
-    subPath.segmentOffsets.length = 0;
-    subPath.segmentLengths.length = 0;
+    var cosrot = Math.cos(rotation);
+    var sinrot = Math.sin(rotation);
 
+    var dx2 = (x1 - x2) * 0.5;
+    var dy2 = (y1 - y2) * 0.5;
 
-    subPath.closed = false;
+    var x1p =  cosrot * dx2 + sinrot * dy2;
+    var y1p = -sinrot * dx2 + cosrot * dy2;
 
-    subPath._dirty = true;
+    //correct out-of-range radii
+    var lambda = (x1p * x1p) / (rx * rx) + (y1p * y1p) / (ry * ry);
+    if(lambda > 1){
+        lambda = Math.sqrt(lambda);
+        rx *= lambda;
+        ry *= lambda;
+    }
 
-    return subPath;
-}
+    var rx2 = rx * rx;
+    var ry2 = ry * ry;
+    var num = rx2 * ry2 - rx2 * y1p * y1p - ry2 * x1p * x1p;
+    var den = rx2 * y1p * y1p + ry2 * x1p * x1p;
+    var coef = Math.sqrt(Math.max(0,num / den));
 
-function copySubPath(subPath){
-    var out = new SubPath();
+    if(largeArcFlag == sweepFlag){
+        coef = -coef;
+    }
 
-    out.type           = subPath.type;
-    out.points         = subPath.points.slice(0);
-    out.length         = subPath.length;
-    out.offset         = subPath.offset;
-    out.closed         = subPath.closed;
-    out.segmentLengths = subPath.segmentLengths.slice(0);
-    out.tangents       = subPath.tangents.slice(0);
-    out.normals        = subPath.normals.slice(0);
-    out._dirty         = subPath._dirty;
+    var cxp =  coef * rx * y1p / ry;
+    var cyp = -coef * ry * x1p / rx;
+
+    var ux = ( x1p - cxp) / rx;
+    var uy = ( y1p - cyp) / ry;
+    var vx = (-x1p - cxp) / rx;
+    var vy = (-y1p - cyp) / ry;
+
+    var startAngle = Math.atan2(uy,ux);
+    var sweepAngle = Math.atan2(ux * vy - uy * vx, ux * vx + uy * vy);
+
+    if(!sweepFlag && sweepAngle > 0){
+        sweepAngle -= PI2;
+    } else if(sweepFlag && sweepAngle < 0){
+        sweepAngle += PI2;
+    }
+
+    out[0] = cosrot * cxp - sinrot * cyp + (x1 + x2) * 0.5;
+    out[1] = sinrot * cxp + cosrot * cyp + (y1 + y2) * 0.5;
+    out[2] = rx;
+    out[3] = ry;
+    out[4] = startAngle;
+    out[5] = sweepAngle;
 
     return out;
 }
 
 /*--------------------------------------------------------------------------------------------------------------------*/
-// Path2d
+// Transform
 /*--------------------------------------------------------------------------------------------------------------------*/
 
+// Affine transforms are stored as [a,b,c,d,e,f], mapping x,y to a * x + c * y + e, b * x + d * y + f
+
 /**
- * 2d path representation
- * @param {Object} [options]
- * @constructor
+ * Multiplies two transforms, the resulting transform applies b first.
+ * @param {Number[]} a
+ * @param {Number[]} b
+ * @param {Number[]} out
+ * @returns {Number[]}
+ * @private
  */
-function Path2d(options){
-    options = options || DEFAULT_OPTIONS;
-
-    validateOptions(options);
-
-    options.recordPoints = options.recordPoints === undefined ?
-        DEFAULT_OPTIONS.recordPoints :
-        options.recordPoints;
+function multiplyTransform(a,b,out){
+    var a0 = a[0], a1 = a[1], a2 = a[2], a3 = a[3], a4 = a[4], a5 = a[5];
+    var b0 = b[0], b1 = b[1], b2 = b[2], b3 = b[3], b4 = b[4], b5 = b[5];
 
-    options.recordSvgCmd = options.recordSvgCmd === undefined ?
-        DEFAULT_OPTIONS.recordSvgCmd :
-        options.recordSvgCmd;
+    out[0] = a0 * b0 + a2 * b1;
+    out[1] = a1 * b0 + a3 * b1;
+    out[2] = a0 * b2 + a2 * b3;
+    out[3] = a1 * b2 + a3 * b3;
+    out[4] = a0 * b4 + a2 * b5 + a4;
+    out[5] = a1 * b4 + a3 * b5 + a5;
 
-    options.numCurvePointsCubic = options.numCurvePointsCubic === undefined ?
-        DEFAULT_OPTIONS.numCurvePointsCubic :
-        options.numCurvePointsCubic;
+    return out;
+}
 
-    options.numCurvePointsQuadratic = options.numCurvePointsQuadratic === undefined ?
-        DEFAULT_OPTIONS.numCurvePointsQuadratic :
-        options.numCurvePointsQuadratic;
+/**
+ * Inverts a transform. Returns null if the transform is not invertible.
+ * @param {Number[]} m
+ * @param {Number[]} out
+ * @returns {Number[]|null}
+ * @private
+ */
+function invertTransform(m,out){
+    var a = m[0], b = m[1], c = m[2], d = m[3], e = m[4], f = m[5];
+    var det = a * d - b * c;
 
-    options.numArcPoints = options.numArcPoints === undefined ?
-        DEFAULT_OPTIONS.numArcPoints :
-        options.numArcPoints;
+    if(det === 0){
+        return null;
+    }
+    det = 1.0 / det;
 
-    options.numEllipsePoints = options.numEllipsePoints == undefined ?
-        DEFAULT_OPTIONS.numEllipsePoints :
-        options.numEllipsePoints;
+    out[0] =  d * det;
+    out[1] = -b * det;
+    out[2] = -c * det;
+    out[3] =  a * det;
+    out[4] = (c * f - d * e) * det;
+    out[5] = (b * e - a * f) * det;
 
-    options.calcTangentsAndNormals = options.calcTangentsAndNormals === undefined ?
-        DEFAULT_OPTIONS.calcTangentsAndNormals :
-        options.calcTangentsAndNormals;
+    return out;
+}
 
-    if(!options.recordPoints && !options.recordSvgCmd){
-        throw new Error('Path2d: No point or svg recording enabled.');
+/**
+ * Transforms a flat list of points in place.
+ * @param {Number[]} m
+ * @param {Number[]} points - [x,y,x,y,...]
+ * @returns {Number[]}
+ * @private
+ */
+function transformPoints(m,points){
+    var a = m[0], b = m[1], c = m[2], d = m[3], e = m[4], f = m[5];
+    var x, y;
+    for(var i = 0, l = points.length; i < l; i+=2){
+        x = points[i  ];
+        y = points[i+1];
+        points[i  ] = a * x + c * y + e;
+        points[i+1] = b * x + d * y + f;
     }
+    return points;
+}
 
-    if(!options.recordPoints && options.calcTangentsAndNormals){
-        throw new Error('Path2d: Tangent and normal calculation can only be enabled if points get recorded.');
-    }
+/**
+ * Transforms an ellipse. The transformed ellipse is again an ellipse, its parameter angles t map to
+ * sign * (t + angleOffset), with sign being -1 if the transform mirrors.
+ * Uses the closed form singular value decomposition of the 2x2 linear part.
+ * @param {Number[]} m
+ * @param {Number} cx
+ * @param {Number} cy
+ * @param {Number} radiusX
+ * @param {Number} radiusY
+ * @param {Number} rotation - Rotation in radians
+ * @param {Number[]} out - [cx,cy,radiusX,radiusY,rotation,angleOffset,sign]
+ * @returns {Number[]}
+ * @private
+ */
+function transformEllipse(m,cx,cy,radiusX,radiusY,rotation,out){
+    var cosrot = Math.cos(rotation);
+    var sinrot = Math.sin(rotation);
 
-    this._numCurvePointsCubic     = options.numCurvePointsCubic;
-    this._numCurvePointsQuadratic = options.numCurvePointsQuadratic;
-    this._numArcPoints            = options.numArcPoints;
-    this._numEllipsePoints        = options.numEllipsePoints;
+    //linear part * rotation * scale(radiusX,radiusY)
+    var p = (m[0] * cosrot + m[2] * sinrot) * radiusX;
+    var r = (m[1] * cosrot + m[3] * sinrot) * radiusX;
+    var q = (m[2] * cosrot - m[0] * sinrot) * radiusY;
+    var s = (m[3] * cosrot - m[1] * sinrot) * radiusY;
 
-    this._recordPoints = options.recordPoints;
-    this._recordSvgCmd = options.recordSvgCmd;
+    var e = (p + s) * 0.5;
+    var f = (p - s) * 0.5;
+    var g = (r + q) * 0.5;
+    var h = (r - q) * 0.5;
 
-    this._calcTangentsAndNormals = options.calcTangentsAndNormals;
+    var sq = Math.sqrt(e * e + h * h);
+    var sr = Math.sqrt(f * f + g * g);
 
-    this._subPaths = [];
-    this._subPath  = null;
+    var a1 = Math.atan2(g,f);
+    var a2 = Math.atan2(h,e);
 
-    this._subPathCmds = [];
-    this._pathCmd     = '';
+    var scaleY = sq - sr;
 
-    this._dirty = false;
-    this._lengthTotal = -1;
+    out[0] = m[0] * cx + m[2] * cy + m[4];
+    out[1] = m[1] * cx + m[3] * cy + m[5];
+    out[2] = sq + sr;
+    out[3] = Math.abs(scaleY);
+    out[4] = (a2 + a1) * 0.5;
+    out[5] = (a2 - a1) * 0.5;
+    out[6] = scaleY < 0 ? -1 : 1;
 
-    this._tempSegIndicesRatio = [
-        0,    //index sub-path
-        0, 0, //index point a & b
-        0     //ratio
-    ];
+    return out;
+}
 
-    this._tempSegIndices = [
-        0,    //index sub-path
-        0     //index point
-    ];
-
-    this._tempSegPoint = [
-        0, 0, //0,1 – point on segment x,y
-        0,    //2   – distance point on segment to input
-        0,    //3   – sub-path index
-        0,    //4   – segment index
-        0     //5   – distance on path
-    ];
-
-    this._tempSegIndicesOut  = [0,0];
-    this._tempSubPathPoint   = [0,0,0,0,0,0];
-    this._tempPointOut       = [0,0,0,0,0,0];
-    this._tempPointProjected = [0,0,0,0,0,0];
-
-    this._lengthIndexRatioPassedPrev = -1;
-    this._lengthIndexPassedPrev = -1;
+/**
+ * Transforms a curve definition in place.
+ * @param {Number[]} m
+ * @param {Object} curve
+ * @returns {Object}
+ * @private
+ */
+function transformCurve(m,curve){
+    var args = curve.args;
+    if(curve.type !== 'A'){
+        transformPoints(m,args);
+        return curve;
+    }
+    var ellipse = transformEllipse(m,args[0],args[1],args[2],args[3],args[4],new Array(7));
+    var sign    = ellipse[6];
+    args[0] = ellipse[0];
+    args[1] = ellipse[1];
+    args[2] = ellipse[2];
+    args[3] = ellipse[3];
+    args[4] = ellipse[4];
+    args[5] = sign * (args[5] + ellipse[5]);
+    args[6] = sign * args[6];
+    return curve;
+}
 
-    if(this._calcTangentsAndNormals){
-        this._update = this._updateB;
-    } else {
-        this._update = this._updateA;
+/**
+ * Transforms absolute svg path data as created by Path2d.
+ * @param {Number[]} m
+ * @param {String} cmd
+ * @returns {String}
+ * @private
+ */
+function transformSvgPathCmd(m,cmd){
+    //commands are absolute, the current point only matters for sub-paths continuing previous ones
+    var commands = parseSvgPathData(cmd,0,0);
+    var command, args;
+    var ellipse = [0,0,0,0,0,0,0];
+    var out = '';
+
+    for(var i = 0, l = commands.length; i < l; ++i){
+        command = commands[i];
+        args    = command.args;
+
+        switch(command.type){
+            case 'M':
+                transformPoints(m,args);
+                out += createSvgPathCmdMoveTo(args[0],args[1]);
+                break;
+            case 'L':
+                transformPoints(m,args);
+                out += createSvgPathCmdLineTo(args[0],args[1]);
+                break;
+            case 'Q':
+                transformPoints(m,args);
+                out += createSvgPathCmdQuadraticCurveTo(args[0],args[1],args[2],args[3]);
+                break;
+            case 'C':
+                transformPoints(m,args);
+                out += createSvgPathCmdCubicCurveTo(args[0],args[1],args[2],args[3],args[4],args[5]);
+                break;
+            case 'A':
+                //the end point gets passed as center, so it is transformed along with the radii
+                transformEllipse(m,args[5],args[6],args[0],args[1],args[2] * PI_180,ellipse);
+                out += createSvgPathCmdArc(
+                    ellipse[2],ellipse[3],
+                    ellipse[4] * _180_PI,
+                    args[3], ellipse[6] < 0 ? +!args[4] : args[4],
+                    ellipse[0],ellipse[1]
+                );
+                break;
+            case 'Z':
+                out += createSvgPathCmdClose();
+                break;
+        }
+        out += ' ';
     }
+
+    return out;
 }
 
 /*--------------------------------------------------------------------------------------------------------------------*/
-// Internal
+// Bounds
 /*--------------------------------------------------------------------------------------------------------------------*/
 
-/**
- * Returns the sub-path segment index at the length given.
- * @param length
- * @returns {Array}
- * @private
- */
-Path2d.prototype._getSegIndexAtLength = function(length){
-    var out = this._tempSegIndices;
+// Bounds are stored as [minX,minY,maxX,maxY]
 
-    var subPaths = this._subPaths;
-    var lengthTotal = this._lengthTotal;
+function resetBounds(out){
+    out[0] = out[1] =  Number.MAX_VALUE;
+    out[2] = out[3] = -Number.MAX_VALUE;
+    return out;
+}
 
-    if(length <= 0){
-        out[0] = out[1] = 0;
-        return out;
-    } else if(length >= lengthTotal){
-        var last = subPaths.length - 1;
-        out[0] = last;
-        out[1] = subPaths[last].points.length / 2 - 1;
-        return out;
-    }
+function expandBounds(out,x,y){
+    out[0] = Math.min(out[0],x);
+    out[1] = Math.min(out[1],y);
+    out[2] = Math.max(out[2],x);
+    out[3] = Math.max(out[3],y);
+    return out;
+}
 
-    var subPath;
+function expandBoundsByBounds(out,bounds){
+    out[0] = Math.min(out[0],bounds[0]);
+    out[1] = Math.min(out[1],bounds[1]);
+    out[2] = Math.max(out[2],bounds[2]);
+    out[3] = Math.max(out[3],bounds[3]);
+    return out;
+}
 
-    var subPathIndex = -1;
-    for(var i = 0, l = subPaths.length - 1, subPathNext; i < l; ++i){
-        subPath     = subPaths[i  ];
-        subPathNext = subPaths[i+1];
-        if(length >= subPath.offset && length < subPathNext.offset){
-            subPathIndex = i;
-            break;
+function expandBoundsByPoints(out,points){
+    for(var i = 0, l = points.length; i < l; i+=2){
+        expandBounds(out,points[i],points[i+1]);
+    }
+    return out;
+}
+
+/**
+ * Expands the bounds by the extrema of a quadratic Bézier curve. [sx,sy,cpx,cpy,x,y]
+ * @private
+ */
+function expandBoundsByQuadratic(out,args){
+    var t, _t, den;
+    for(var i = 0; i < 2; ++i){
+        den = args[i] - 2 * args[i+2] + args[i+4];
+        if(den === 0){
+            continue;
+        }
+        t = (args[i] - args[i+2]) / den;
+        if(t <= 0 || t >= 1){
+            continue;
         }
+        _t = 1 - t;
+        expandBounds(out,
+            _t * _t * args[0] + 2 * _t * t * args[2] + t * t * args[4],
+            _t * _t * args[1] + 2 * _t * t * args[3] + t * t * args[5]
+        );
     }
+    return out;
+}
 
-    subPathIndex = out[0] = (subPathIndex == -1) ? l : subPathIndex;
-    subPath      = subPaths[subPathIndex];
+function expandBoundsByCubicAt(out,args,t){
+    if(t <= 0 || t >= 1){
+        return;
+    }
+    var _t = 1 - t;
+    var b1 = _t * _t * _t;
+    var b2 = 3 * _t * _t * t;
+    var b3 = 3 * _t * t * t;
+    var b4 = t * t * t;
+    expandBounds(out,
+        args[0] * b1 + args[2] * b2 + args[4] * b3 + args[6] * b4,
+        args[1] * b1 + args[3] * b2 + args[5] * b3 + args[7] * b4
+    );
+}
 
-    var segmentLength;
-    var segmentLengths = subPath.segmentLengths;
-    var remaining = length - subPath.offset;
+/**
+ * Expands the bounds by the extrema of a cubic Bézier curve. [sx,sy,cp1x,cp1y,cp2x,cp2y,x,y]
+ * @private
+ */
+function expandBoundsByCubic(out,args){
+    var p0, p1, p2, p3;
+    var a, b, c, disc;
+
+    for(var i = 0; i < 2; ++i){
+        p0 = args[i  ];
+        p1 = args[i+2];
+        p2 = args[i+4];
+        p3 = args[i+6];
+
+        //derivative / 3 = a * t^2 + b * t + c
+        a = -p0 + 3 * p1 - 3 * p2 + p3;
+        b = 2 * (p0 - 2 * p1 + p2);
+        c = p1 - p0;
+
+        if(Math.abs(a) < EPSILON){
+            if(b !== 0){
+                expandBoundsByCubicAt(out,args,-c / b);
+            }
+            continue;
+        }
 
-    for(var i = 0, j = 0, l = segmentLengths.length; i < l; ++i, j+=2){
-        segmentLength = segmentLengths[i];
-        if(segmentLength < remaining){
-            remaining -= segmentLength;
+        disc = b * b - 4 * a * c;
+        if(disc < 0){
             continue;
         }
-        out[1] = i;
-        break;
+        disc = Math.sqrt(disc);
+        expandBoundsByCubicAt(out,args,(-b + disc) / (2 * a));
+        expandBoundsByCubicAt(out,args,(-b - disc) / (2 * a));
     }
-
     return out;
-};
+}
 
 /**
- * Returns the sub-path segment index and ration between segment start and end at the length given.
- * @param length
- * @returns {Array}
+ * Returns true if the angle lies within the arc starting at startAngle covering sweep.
  * @private
  */
-Path2d.prototype._getIndicesAndRatioAtLength = function(length){
-    var out = this._tempSegIndicesRatio;
+function isAngleOnArc(angle,startAngle,sweep){
+    if(Math.abs(sweep) >= PI2){
+        return true;
+    }
+    var delta = sweep >= 0 ? angle - startAngle : startAngle - angle;
+    delta = delta % PI2;
+    delta = delta < 0 ? delta + PI2 : delta;
+    return delta <= Math.abs(sweep);
+}
 
-    var subPaths = this._subPaths;
-    var lengthTotal = this._lengthTotal;
+/**
+ * Expands the bounds by the extrema of an arc. [cx,cy,radiusX,radiusY,rotation,startAngle,sweep]
+ * @private
+ */
+function expandBoundsByArc(out,args){
+    var cx = args[0];
+    var cy = args[1];
+    var rx = args[2];
+    var ry = args[3];
+    var cosrot = Math.cos(args[4]);
+    var sinrot = Math.sin(args[4]);
+    var startAngle = args[5];
+    var sweep = args[6];
+
+    //angles with zero derivative in x and y
+    var ax = Math.atan2(-ry * sinrot, rx * cosrot);
+    var ay = Math.atan2( ry * cosrot, rx * sinrot);
+    var angles = [ax, ax + Math.PI, ay, ay + Math.PI];
+    var angle, px, py;
+
+    for(var i = 0; i < 4; ++i){
+        angle = angles[i];
+        if(!isAngleOnArc(angle,startAngle,sweep)){
+            continue;
+        }
+        px = rx * Math.cos(angle);
+        py = ry * Math.sin(angle);
+        expandBounds(out,
+            px * cosrot - py * sinrot + cx,
+            px * sinrot + py * cosrot + cy
+        );
+    }
+    return out;
+}
 
-    var subPath;
+/**
+ * Expands the bounds by the extrema of a curve definition.
+ * @private
+ */
+function expandBoundsByCurve(out,curve){
+    switch(curve.type){
+        case 'Q':
+            return expandBoundsByQuadratic(out,curve.args);
+        case 'C':
+            return expandBoundsByCubic(out,curve.args);
+        case 'A':
+            return expandBoundsByArc(out,curve.args);
+    }
+    return out;
+}
 
-    if(length <= 0){
-        out[0] = 0;
-        out[1] = out[2] = 0;
-        out[3] = 0;
+/*--------------------------------------------------------------------------------------------------------------------*/
+// Hit testing
+/*--------------------------------------------------------------------------------------------------------------------*/
 
-        return out;
-    }else if (length >= lengthTotal){
-        var last = subPaths.length - 1;
-        out[0] = last;
-        out[1] = out[2] = subPaths[last].points.length / 2 - 1;
-        out[3] = 1.0;
+var FILL_RULE_NONZERO = 'nonzero';
+var FILL_RULE_EVENODD = 'evenodd';
 
-        return out;
+function validateFillRule(fillRule){
+    if(fillRule !== FILL_RULE_NONZERO && fillRule !== FILL_RULE_EVENODD){
+        throw new Error('Path2d: Invalid fill rule "' + fillRule + '".');
     }
+}
 
-    var subPathIndex = -1;
-    for(var i = 0, l = subPaths.length - 1, subPathNext; i < l; ++i){
-        subPath     = subPaths[i  ];
-        subPathNext = subPaths[i+1];
-        if(length >= subPath.offset && length < subPathNext.offset){
-            subPathIndex = i;
-            break;
+/**
+ * Returns the winding number of the polygon around the point. The polygon is implicitly closed.
+ * @param {Number[]} points - [x,y,x,y,...]
+ * @param {Number} x
+ * @param {Number} y
+ * @returns {Number}
+ * @private
+ */
+function getWindingNumber(points,x,y){
+    var winding = 0;
+    var l  = points.length;
+    var x0 = points[l-2], y0 = points[l-1];
+    var x1, y1, isLeft;
+
+    for(var i = 0; i < l; i+=2){
+        x1 = points[i  ];
+        y1 = points[i+1];
+        isLeft = (x1 - x0) * (y - y0) - (x - x0) * (y1 - y0);
+        if(y0 <= y){
+            if(y1 > y && isLeft > 0){
+                winding++;
+            }
+        } else if(y1 <= y && isLeft < 0){
+            winding--;
         }
+        x0 = x1;
+        y0 = y1;
     }
 
-    subPathIndex = out[0] = (subPathIndex == -1) ? l : subPathIndex;
-    subPath      = subPaths[subPathIndex];
+    return winding;
+}
 
-    var segmentLength;
-    var segmentLengths = subPath.segmentLengths;
+/**
+ * Returns the squared distance of a point to a segment.
+ * @private
+ */
+function getDistanceToSegmentSq(x,y,x0,y0,x1,y1){
+    var dx  = x1 - x0;
+    var dy  = y1 - y0;
+    var len = dx * dx + dy * dy;
+    var t   = len === 0 ? 0 : Math.max(0,Math.min(1,((x - x0) * dx + (y - y0) * dy) / len));
+    dx = x0 + dx * t - x;
+    dy = y0 + dy * t - y;
+    return dx * dx + dy * dy;
+}
 
-    var remaining = length - subPath.offset;
-    var ratio;
+/**
+ * Returns true if the point lies on the polyline within the tolerance given.
+ * @private
+ */
+function isPointOnPolyline(points,closed,x,y,tolerance){
+    var l = points.length;
+    var toleranceSq = tolerance * tolerance;
 
-    for(var i = 0, j = 0, l = segmentLengths.length; i < l; ++i, j+=2){
-        segmentLength = segmentLengths[i];
-        if(segmentLength < remaining){
-            remaining -= segmentLength;
-            continue;
+    for(var i = 0; i < l - 2; i+=2){
+        if(getDistanceToSegmentSq(x,y,points[i],points[i+1],points[i+2],points[i+3]) <= toleranceSq){
+            return true;
         }
-
-        ratio = remaining / segmentLength;
-
-        out[1] = i;
-        out[2] = i+1;
-        out[3] = ratio;
-        break;
     }
-
-    return out;
-};
+    return closed && l > 2 &&
+           getDistanceToSegmentSq(x,y,points[l-2],points[l-1],points[0],points[1]) <= toleranceSq;
+}
 
 /**
- * Updates on lengths.
+ * Returns true if the point lies within the join of two segments meeting at vertex v with directions d0 and d1.
  * @private
  */
-Path2d.prototype._updateA = function(){
-    var subPaths = this._subPaths;
-    var subPath;
+function isPointInJoin(x,y,vx,vy,d0x,d0y,d1x,d1y,halfWidth,join,miterLimit){
+    if(join === 'round'){
+        return (x - vx) * (x - vx) + (y - vy) * (y - vy) <= halfWidth * halfWidth;
+    }
 
-    var lengthSegment;
-    var lengthLocal;
-    var lengthGlobal = 0;
+    var cross = d0x * d1y - d0y * d1x;
+    var dot   = d0x * d1x + d0y * d1y;
 
-    var points;
-    var pointsLength;
+    if(cross === 0 && dot > 0){
+        return false;
+    }
 
-    var numSegments;
-    var segmentLengths;
-    var segmentOffsets;
+    //offset to the outer side of the turn
+    var side = cross > 0 ? -halfWidth : halfWidth;
+    var ax = vx - d0y * side;
+    var ay = vy + d0x * side;
+    var bx = vx - d1y * side;
+    var by = vy + d1x * side;
 
-    var dx, dy;
+    var polygon;
 
-    for(var i = 0, l = subPaths.length; i < l; ++i){
-        subPath = subPaths[i];
+    //miter length relative to the line width is 1 / sin(theta / 2)
+    if(join === 'miter' && dot > -1 + EPSILON && 1 / Math.sqrt((1 + dot) * 0.5) <= miterLimit){
+        var scale = side / (1 + dot);
+        polygon = [vx, vy, ax, ay, vx - (d0y + d1y) * scale, vy + (d0x + d1x) * scale, bx, by];
+    } else {
+        polygon = [vx, vy, ax, ay, bx, by];
+    }
 
-        if(!subPath._dirty){
-            subPath.offset = lengthGlobal;
-            lengthGlobal  += subPath.length;
-            continue;
+    return getWindingNumber(polygon,x,y) !== 0 ||
+           isPointOnPolyline(polygon,true,x,y,EPSILON);
+}
+
+/**
+ * Returns true if the point lies within the stroke of a polyline.
+ * Expects consecutive duplicates to be removed, closed polylines are expected to end with their first point.
+ * @private
+ */
+function isPointInPolylineStroke(points,closed,x,y,halfWidth,join,cap,miterLimit){
+    var numPoints = points.length / 2;
+    var halfWidthSq = halfWidth * halfWidth;
+    var dirs = [];
+    var i, j, dx, dy, len, t, d;
+
+    //segment bodies
+    for(i = 0, j = 0; i < numPoints - 1; ++i, j+=2){
+        dx  = points[j+2] - points[j  ];
+        dy  = points[j+3] - points[j+1];
+        len = Math.sqrt(dx * dx + dy * dy);
+        dx /= len;
+        dy /= len;
+        dirs.push(dx,dy);
+
+        t = (x - points[j  ]) * dx + (y - points[j+1]) * dy;
+        d = (x - points[j  ]) * dy - (y - points[j+1]) * dx;
+        if(t >= 0 && t <= len && Math.abs(d) <= halfWidth){
+            return true;
         }
+    }
 
-        points       = subPath.points;
-        pointsLength = points.length;
+    //joins
+    var numSegments = numPoints - 1;
+    for(i = closed ? 0 : 1; i < numSegments; ++i){
+        j = (i === 0 ? numSegments - 1 : i - 1) * 2;
+        if(isPointInJoin(x,y,
+            points[i*2],points[i*2+1],
+            dirs[j],dirs[j+1],
+            dirs[i*2],dirs[i*2+1],
+            halfWidth,join,miterLimit)){
+            return true;
+        }
+    }
 
-        numSegments    = pointsLength / 2 - 1;
-        segmentLengths = subPath.segmentLengths;
-        segmentOffsets = subPath.segmentOffsets;
+    if(closed || cap === 'butt'){
+        return false;
+    }
 
-        segmentLengths.length = segmentOffsets.length =
-            segmentLengths.length == numSegments ?
-            segmentLengths.length :
-            numSegments;
+    //caps
+    var ends = [
+        points[0], points[1], -dirs[0], -dirs[1],
+        points[numPoints * 2 - 2], points[numPoints * 2 - 1], dirs[numSegments * 2 - 2], dirs[numSegments * 2 - 1]
+    ];
+    for(i = 0; i < 8; i+=4){
+        dx = x - ends[i  ];
+        dy = y - ends[i+1];
+        if(cap === 'round'){
+            if(dx * dx + dy * dy <= halfWidthSq){
+                return true;
+            }
+            continue;
+        }
+        t = dx * ends[i+2] + dy * ends[i+3];
+        d = dx * ends[i+3] - dy * ends[i+2];
+        if(t >= 0 && t <= halfWidth && Math.abs(d) <= halfWidth){
+            return true;
+        }
+    }
 
-        lengthLocal = 0;
+    return false;
+}
 
-        for(var j = 0, m = 0, k = points.length-2; j < k; j+=2, m++){
-            dx = points[j+2] - points[j  ];
-            dy = points[j+3] - points[j+1];
+/*--------------------------------------------------------------------------------------------------------------------*/
+// Polyline
+/*--------------------------------------------------------------------------------------------------------------------*/
 
-            lengthSegment     = segmentLengths[m] = Math.sqrt(dx * dx + dy * dy);
-            segmentOffsets[m] = lengthLocal;
-            lengthLocal      += lengthSegment;
+/**
+ * Returns a copy of the points with consecutive duplicates removed.
+ * @param {Number[]} points - [x,y,x,y,...]
+ * @returns {Number[]}
+ * @private
+ */
+function removeDuplicatePoints(points){
+    var out = [];
+    for(var i = 0, l = points.length, j; i < l; i+=2){
+        j = out.length;
+        if(j > 0 && out[j-2] === points[i] && out[j-1] === points[i+1]){
+            continue;
         }
-
-        subPath.length = lengthLocal;
-        lengthGlobal  += lengthLocal;
-
-        subPath._dirty = false;
+        out.push(points[i],points[i+1]);
     }
+    return out;
+}
 
-    this._lengthTotal = lengthGlobal;
-};
+/**
+ * Reverses the order of the points in place.
+ * @param {Number[]} points - [x,y,x,y,...]
+ * @returns {Number[]}
+ * @private
+ */
+function reversePoints(points){
+    var x, y;
+    for(var i = 0, j = points.length - 2; i < j; i+=2, j-=2){
+        x = points[i  ];
+        y = points[i+1];
+        points[i  ] = points[j  ];
+        points[i+1] = points[j+1];
+        points[j  ] = x;
+        points[j+1] = y;
+    }
+    return points;
+}
 
 /**
- * Updates lengths, tangents and normals.
+ * Returns the length of the polyline between the point indices given.
+ * @param {Number[]} points - [x,y,x,y,...]
+ * @param {Number} start - Index of the first point.
+ * @param {Number} end - Index of the last point.
+ * @returns {Number}
  * @private
  */
-Path2d.prototype._updateB = function(){
-    var subPaths = this._subPaths;
-    var subPath;
+function getPolylineLength(points,start,end){
+    var length = 0;
+    var dx, dy;
+    for(var i = start * 2, l = end * 2; i < l; i+=2){
+        dx = points[i+2] - points[i  ];
+        dy = points[i+3] - points[i+1];
+        length += Math.sqrt(dx * dx + dy * dy);
+    }
+    return length;
+}
 
-    var lengthSegment;
-    var lengthLocal;
-    var lengthGlobal = 0;
+/**
+ * Returns the signed area of an implicitly closed polygon, positive if counter-clockwise (y up).
+ * @param {Number[]} points - [x,y,x,y,...]
+ * @returns {Number}
+ * @private
+ */
+function getPolygonArea(points){
+    var area = 0;
+    //relative to the first point, keeping precision away from the origin
+    var x = points[0];
+    var y = points[1];
+    for(var i = 0, l = points.length, j = l - 2; i < l; j = i, i+=2){
+        area += (points[j] - x) * (points[i+1] - y) - (points[i] - x) * (points[j+1] - y);
+    }
+    return area * 0.5;
+}
 
-    var points;
-    var pointsLength;
+/**
+ * Samples the polyline between the point indices given at numSegments + 1 positions evenly spaced by arc-length and
+ * pushes them to out, excluding the position of the last point.
+ * @param {Number[]} points - [x,y,x,y,...]
+ * @param {Number} start - Index of the first point.
+ * @param {Number} end - Index of the last point.
+ * @param {Number} numSegments
+ * @param {Number[]} out
+ * @returns {Number[]}
+ * @private
+ */
+function resamplePolyline(points,start,end,numSegments,out){
+    var length = getPolylineLength(points,start,end);
+    var step   = length / numSegments;
+
+    var i = start * 2;
+    var l = end * 2 - 2;
+
+    var dx = points[i+2] - points[i  ];
+    var dy = points[i+3] - points[i+1];
+    var segmentLength = Math.sqrt(dx * dx + dy * dy);
+    var segmentStart  = 0;
+    var target, ratio;
+
+    out.push(points[i],points[i+1]);
+
+    for(var j = 1; j < numSegments; ++j){
+        target = step * j;
+        while(segmentStart + segmentLength < target && i < l){
+            segmentStart += segmentLength;
+            i += 2;
+            dx = points[i+2] - points[i  ];
+            dy = points[i+3] - points[i+1];
+            segmentLength = Math.sqrt(dx * dx + dy * dy);
+        }
+        ratio = segmentLength === 0 ? 0 : Math.min(1,(target - segmentStart) / segmentLength);
+        out.push(
+            points[i  ] + dx * ratio,
+            points[i+1] + dy * ratio
+        );
+    }
 
-    var numSegments;
-    var segmentLengths;
-    var segmentOffsets;
+    return out;
+}
 
-    var tangents;
-    var normals;
-    var dx, dy;
-    var tx, ty;
-
-    for(var i = 0, l = subPaths.length; i < l; ++i){
-        subPath = subPaths[i];
-
-        if(!subPath._dirty){
-            lengthGlobal += subPath.length;
+/**
+ * Returns the indices of the polyline points at which the direction changes by at least the angle given. Expects
+ * consecutive duplicates to be removed. Closed polylines are expected to end with their first point.
+ * @param {Number[]} points - [x,y,x,y,...]
+ * @param {Boolean} closed
+ * @param {Number} minAngle - Minimum angle in radians.
+ * @returns {Number[]}
+ * @private
+ */
+function getPolylineCorners(points,closed,minAngle){
+    var out = [];
+    var numPoints = points.length / 2;
+    var cosMin = Math.cos(minAngle);
+
+    var start = closed ? 0 : 1;
+    var end   = numPoints - 1;
+    var prev, next;
+    var ax, ay, bx, by, len;
+
+    for(var i = start; i < end; ++i){
+        prev = (i === 0 ? numPoints - 2 : i - 1) * 2;
+        next = (i + 1) * 2;
+
+        ax = points[i * 2    ] - points[prev  ];
+        ay = points[i * 2 + 1] - points[prev+1];
+        bx = points[next  ] - points[i * 2    ];
+        by = points[next+1] - points[i * 2 + 1];
+
+        len = Math.sqrt((ax * ax + ay * ay) * (bx * bx + by * by));
+        if(len === 0){
             continue;
         }
+        if((ax * bx + ay * by) / len <= cosMin){
+            out.push(i);
+        }
+    }
 
-        points       = subPath.points;
-        pointsLength = points.length;
-
-        tangents = subPath.tangents;
-        normals  = subPath.normals;
+    return out;
+}
 
-        numSegments    = pointsLength / 2 - 1;
-        segmentLengths = subPath.segmentLengths;
-        segmentOffsets = subPath.segmentOffsets;
+/**
+ * Simplifies a polyline using the Ramer-Douglas-Peucker algorithm, removing points closer to the simplified polyline
+ * than the tolerance. The first and last points are kept.
+ * @param {Number[]} points - [x,y,x,y,...]
+ * @param {Number} tolerance - The maximum distance.
+ * @returns {Number[]}
+ * @private
+ */
+function simplifyPolylineRDP(points,tolerance){
+    var numPoints = points.length / 2;
+    if(numPoints < 3){
+        return points.slice(0);
+    }
 
-        if(segmentLengths != pointsLength){
-            tangents.length = normals.length = pointsLength;
-            for(var j = (segmentLengths + 1) * 2; j < pointsLength; j++){
-                tangents[j] = tangents[j] = 0;
+    var keep  = [];
+    var stack = [0,numPoints - 1];
+    var toleranceSq = tolerance * tolerance;
+    var start, end, index, distance, distanceMax;
+
+    keep[0] = keep[numPoints - 1] = true;
+
+    while(stack.length > 0){
+        end   = stack.pop();
+        start = stack.pop();
+        index = -1;
+        distanceMax = toleranceSq;
+
+        for(var i = start + 1; i < end; ++i){
+            distance = getDistanceToSegmentSq(
+                points[i * 2],points[i * 2 + 1],
+                points[start * 2],points[start * 2 + 1],
+                points[end * 2],points[end * 2 + 1]
+            );
+            if(distance > distanceMax){
+                distanceMax = distance;
+                index = i;
             }
-
-            segmentLengths.length = numSegments;
         }
 
-        subPath.offset = lengthGlobal;
-
-        lengthLocal = 0;
-
-        for(var j = 0, m = 0, k = points.length-2; j < k; j+=2, m++){
-            dx = points[j+2] - points[j  ];
-            dy = points[j+3] - points[j+1];
-
-            lengthSegment     = segmentLengths[m] = Math.sqrt(dx * dx + dy * dy);
-            segmentOffsets[m] = lengthLocal;
-            lengthLocal      += lengthSegment;
-
-            lengthSegment = 1.0 / (lengthSegment || 1.0);
-            tangents[j  ] = tx = dx * lengthSegment;
-            tangents[j+1] = ty = dy * lengthSegment;
+        if(index !== -1){
+            keep[index] = true;
+            stack.push(start,index,index,end);
+        }
+    }
 
-            normals[j  ] = -ty;
-            normals[j+1] =  tx;
+    var out = [];
+    for(i = 0; i < numPoints; ++i){
+        if(keep[i]){
+            out.push(points[i * 2],points[i * 2 + 1]);
         }
+    }
+    return out;
+}
 
-        tangents[k  ] = tangents[k-2];
-        tangents[k+1] = tangents[k-1];
+function getTriangleArea(points,a,b,c){
+    return Math.abs(
+        (points[b * 2] - points[a * 2]) * (points[c * 2 + 1] - points[a * 2 + 1]) -
+        (points[c * 2] - points[a * 2]) * (points[b * 2 + 1] - points[a * 2 + 1])
+    ) * 0.5;
+}
 
-        normals[k  ] = normals[k-2];
-        normals[k+1] = normals[k-1];
+function pushHeap(heap,item){
+    var index = heap.length;
+    var parent;
+    heap.push(item);
+    while(index > 0){
+        parent = (index - 1) >> 1;
+        if(heap[parent][0] <= item[0]){
+            break;
+        }
+        heap[index] = heap[parent];
+        heap[parent] = item;
+        index = parent;
+    }
+}
 
-        subPath.length = lengthLocal;
-        lengthGlobal  += lengthLocal;
+function popHeap(heap){
+    var top  = heap[0];
+    var last = heap.pop();
+    var length = heap.length;
+    if(length === 0){
+        return top;
     }
+    heap[0] = last;
 
-    this._lengthTotal = lengthGlobal;
-};
+    var index = 0;
+    var child, swap;
+    while(true){
+        child = index * 2 + 1;
+        if(child >= length){
+            break;
+        }
+        if(child + 1 < length && heap[child + 1][0] < heap[child][0]){
+            child++;
+        }
+        if(heap[child][0] >= last[0]){
+            break;
+        }
+        swap = heap[child];
+        heap[child] = last;
+        heap[index] = swap;
+        index = child;
+    }
+    return top;
+}
 
 /**
- * Handles sub-path creation if the desired type differs.
- * @param from
- * @param to
+ * Simplifies a polyline using the Visvalingam-Whyatt algorithm, repeatedly removing the point forming the triangle of
+ * smallest area with its neighbours until all areas exceed the minimum. The first and last points are kept.
+ * @param {Number[]} points - [x,y,x,y,...]
+ * @param {Number} minArea - The minimum triangle area.
+ * @returns {Number[]}
  * @private
  */
-Path2d.prototype._ensureSubPathType = function(from,to){
-    var subPath = this._subPath;
-    var points  = subPath.points;
-
-    if(points.length === 2){
-        subPath.type = to;
-        return;
-    }
-
-    if(subPath.type === from){
-        this.moveTo(
-            points[points.length - 2],
-            points[points.length - 1]
-        );
-        this._subPath.type = to;
+function simplifyPolylineVisvalingam(points,minArea){
+    var numPoints = points.length / 2;
+    if(numPoints < 3){
+        return points.slice(0);
     }
-};
-
-Path2d.prototype._getPointOnSegment = function(point,subPathIndex,segIndex,out){
-    var subPath  = this._subPaths[subPathIndex];
-    var points   = subPath.points;
-
-    var index = segIndex * 2;
-
-    var startx = points[index];
-    var starty = points[index + 1];
-    var endx   = points[index + 2];
-    var endy   = points[index + 3];
-
-    var px = point[0];
-    var py = point[1];
-
-    var a = px - startx;
-    var b = py - starty;
-    var c = endx - startx;
-    var d = endy - starty;
 
-    var dot = a * c + b * d;
-    var len = c * c + d * d;
-    var ppx, ppy;
+    var prev    = [];
+    var next    = [];
+    var version = [];
+    var heap    = [];
+    var i, item, index, area, areaMax = 0;
 
-    if(dot <= 0){
-        ppx = startx;
-        ppy = starty;
-    } else if(dot >= len){
-        ppx = endx;
-        ppy = endy;
-    } else {
-        var t = dot / len;
-        ppx = startx + t * c;
-        ppy = starty + t * d;
+    for(i = 0; i < numPoints; ++i){
+        prev[i] = i - 1;
+        next[i] = i + 1;
+        version[i] = 0;
+    }
+    for(i = 1; i < numPoints - 1; ++i){
+        pushHeap(heap,[getTriangleArea(points,i - 1,i,i + 1),i,0]);
     }
 
-    out[0] = ppx;
-    out[1] = ppy;
+    while(heap.length > 0){
+        item  = popHeap(heap);
+        index = item[1];
 
-    var dx = ppx - px;
-    var dy = ppy - py;
+        //skip outdated entries
+        if(item[2] !== version[index]){
+            continue;
+        }
+        //areas of removed points must not fall below the ones removed before
+        areaMax = Math.max(areaMax,item[0]);
+        if(areaMax >= minArea){
+            break;
+        }
 
-    out[2] = Math.sqrt(dx * dx + dy * dy);
+        next[prev[index]] = next[index];
+        prev[next[index]] = prev[index];
+        version[index] = -1;
 
-    out[3] = subPathIndex;
-    out[4] = segIndex;
+        index = prev[item[1]];
+        if(index > 0){
+            area = Math.max(getTriangleArea(points,prev[index],index,next[index]),areaMax);
+            pushHeap(heap,[area,index,++version[index]]);
+        }
+        index = next[item[1]];
+        if(index < numPoints - 1){
+            area = Math.max(getTriangleArea(points,prev[index],index,next[index]),areaMax);
+            pushHeap(heap,[area,index,++version[index]]);
+        }
+    }
 
-    dx = startx - ppx;
-    dy = starty - ppy;
+    var out = [];
+    for(i = 0; i < numPoints; i = next[i]){
+        out.push(points[i * 2],points[i * 2 + 1]);
+    }
+    return out;
+}
 
-    out[5] = subPath.offset + subPath.segmentOffsets[segIndex] + Math.sqrt(dx * dx + dy * dy);
+var FIT_CURVE_REPARAMETERIZE_ITERATIONS = 4;
 
+/**
+ * Writes the point on a cubic Bézier [x0,y0,cp1x,cp1y,cp2x,cp2y,x1,y1] at t.
+ * @private
+ */
+function getBezierPoint(bezier,t,out){
+    var _t  = 1.0 - t;
+    var b0  = _t * _t * _t;
+    var b1  = 3 * _t * _t * t;
+    var b2  = 3 * _t * t * t;
+    var b3  = t * t * t;
+    out[0] = b0 * bezier[0] + b1 * bezier[2] + b2 * bezier[4] + b3 * bezier[6];
+    out[1] = b0 * bezier[1] + b1 * bezier[3] + b2 * bezier[5] + b3 * bezier[7];
     return out;
-};
+}
 
-Path2d.prototype._getPointOnSubPath = function(point,subPathIndex,out){
-    var subPath = this._subPaths[subPathIndex];
-    var points  = subPath.points;
+/**
+ * Returns the parameters of the points from first to last by their chord length.
+ * @private
+ */
+function getChordLengthParameters(points,first,last){
+    var params = [0];
+    var length = 0;
+    var dx, dy, i;
+
+    for(i = first + 1; i <= last; ++i){
+        dx = points[i * 2]     - points[i * 2 - 2];
+        dy = points[i * 2 + 1] - points[i * 2 - 1];
+        length += Math.sqrt(dx * dx + dy * dy);
+        params.push(length);
+    }
+    for(i = 1; i < params.length; ++i){
+        params[i] /= length;
+    }
+    return params;
+}
 
-    var distanceToPoint;
-    var distanceMin = Number.MAX_VALUE;
+/**
+ * Returns the cubic Bézier [x0,y0,cp1x,cp1y,cp2x,cp2y,x1,y1] fitting the points from first to last in a least-squares
+ * sense, with its control points along the end tangents given.
+ * @private
+ */
+function getBezierFitted(points,first,last,params,tan0x,tan0y,tan1x,tan1y){
+    var x0 = points[first * 2], y0 = points[first * 2 + 1];
+    var x1 = points[last * 2],  y1 = points[last * 2 + 1];
+    var c00 = 0, c01 = 0, c11 = 0, v0 = 0, v1 = 0;
+    var t, _t, b0, b1, b2, b3, a0x, a0y, a1x, a1y, dx, dy;
+
+    for(var i = first; i <= last; ++i){
+        t  = params[i - first];
+        _t = 1.0 - t;
+        b0 = _t * _t * _t;
+        b1 = 3 * _t * _t * t;
+        b2 = 3 * _t * t * t;
+        b3 = t * t * t;
+
+        a0x = tan0x * b1; a0y = tan0y * b1;
+        a1x = tan1x * b2; a1y = tan1y * b2;
+
+        c00 += a0x * a0x + a0y * a0y;
+        c01 += a0x * a1x + a0y * a1y;
+        c11 += a1x * a1x + a1y * a1y;
+
+        dx = points[i * 2]     - (x0 * (b0 + b1) + x1 * (b2 + b3));
+        dy = points[i * 2 + 1] - (y0 * (b0 + b1) + y1 * (b2 + b3));
+        v0 += a0x * dx + a0y * dy;
+        v1 += a1x * dx + a1y * dy;
+    }
 
-    var pointOnSegment = this._tempSegPoint;
+    var det    = c00 * c11 - c01 * c01;
+    var alpha0 = det !== 0 ? (v0 * c11 - v1 * c01) / det : 0;
+    var alpha1 = det !== 0 ? (c00 * v1 - c01 * v0) / det : 0;
 
-    var x, y, d, i0, i1, dp;
+    //degenerate fits fall back to control points at a third of the chord
+    dx = x1 - x0;
+    dy = y1 - y0;
+    var length = Math.sqrt(dx * dx + dy * dy);
+    if(alpha0 < length * 1e-6 || alpha1 < length * 1e-6){
+        alpha0 = alpha1 = length / 3;
+    }
 
-    for(var i = 0, j = 0, l = points.length - 2; i < l; i+=2, j++){
-        this._getPointOnSegment(point,subPathIndex,j,pointOnSegment);
-        distanceToPoint = pointOnSegment[2];
+    return [
+        x0,y0,
+        x0 + tan0x * alpha0,y0 + tan0y * alpha0,
+        x1 + tan1x * alpha1,y1 + tan1y * alpha1,
+        x1,y1
+    ];
+}
 
-        if(distanceToPoint <= distanceMin){
-            x  = pointOnSegment[0];
-            y  = pointOnSegment[1];
-            d  = pointOnSegment[2];
-            i0 = pointOnSegment[3];
-            i1 = pointOnSegment[4];
-            dp = pointOnSegment[5];
+/**
+ * Improves the parameters of the points from first to last by a Newton-Raphson step towards their nearest points on
+ * the cubic Bézier.
+ * @private
+ */
+function reparameterizeBezierFit(points,first,last,params,bezier){
+    var point = [0,0];
+    var t, _t, dx, dy, d1x, d1y, d2x, d2y, denom;
+
+    for(var i = first; i <= last; ++i){
+        t  = params[i - first];
+        _t = 1.0 - t;
+        getBezierPoint(bezier,t,point);
+        dx  = point[0] - points[i * 2];
+        dy  = point[1] - points[i * 2 + 1];
+        d1x = 3 * (_t * _t * (bezier[2] - bezier[0]) + 2 * _t * t * (bezier[4] - bezier[2]) + t * t * (bezier[6] - bezier[4]));
+        d1y = 3 * (_t * _t * (bezier[3] - bezier[1]) + 2 * _t * t * (bezier[5] - bezier[3]) + t * t * (bezier[7] - bezier[5]));
+        d2x = 6 * (_t * (bezier[4] - 2 * bezier[2] + bezier[0]) + t * (bezier[6] - 2 * bezier[4] + bezier[2]));
+        d2y = 6 * (_t * (bezier[5] - 2 * bezier[3] + bezier[1]) + t * (bezier[7] - 2 * bezier[5] + bezier[3]));
+        denom = d1x * d1x + d1y * d1y + dx * d2x + dy * d2y;
+        if(denom !== 0){
+            params[i - first] = Math.max(0,Math.min(1,t - (dx * d1x + dy * d1y) / denom));
+        }
+    }
+}
 
-            distanceMin = distanceToPoint;
+/**
+ * Returns the maximum squared distance of the points from first to last to the cubic Bézier and the index of the
+ * point farthest off. [distanceSq,index]
+ * @private
+ */
+function getBezierFitError(points,first,last,params,bezier){
+    var point = [0,0];
+    var errorMax = 0;
+    var index = (first + last) >> 1;
+    var dx, dy, error;
+
+    for(var i = first + 1; i < last; ++i){
+        getBezierPoint(bezier,params[i - first],point);
+        dx = point[0] - points[i * 2];
+        dy = point[1] - points[i * 2 + 1];
+        error = dx * dx + dy * dy;
+        if(error > errorMax){
+            errorMax = error;
+            index = i;
         }
     }
+    return [errorMax,index];
+}
 
-    out[0] = x;
-    out[1] = y;
-    out[2] = d;
-    out[3] = i0;
-    out[4] = i1;
-    out[5] = dp;
+/**
+ * Fits cubic Béziers to the points from first to last (Schneider), splitting at the point farthest off until all
+ * points are within tolerance. Splits get a shared tangent, keeping the curves G1-continuous.
+ * @param {Number[]} points
+ * @param {Number} first
+ * @param {Number} last
+ * @param {Number} tan0x - The x axis of the unit tangent at first, pointing inwards.
+ * @param {Number} tan0y - The y axis of the unit tangent at first, pointing inwards.
+ * @param {Number} tan1x - The x axis of the unit tangent at last, pointing inwards.
+ * @param {Number} tan1y - The y axis of the unit tangent at last, pointing inwards.
+ * @param {Number} toleranceSq
+ * @param {Number[]} out - [cp1x,cp1y,cp2x,cp2y,x,y,...]
+ * @private
+ */
+function fitBeziers(points,first,last,tan0x,tan0y,tan1x,tan1y,toleranceSq,out){
+    var params = getChordLengthParameters(points,first,last);
+    var bezier = getBezierFitted(points,first,last,params,tan0x,tan0y,tan1x,tan1y);
+    var error  = getBezierFitError(points,first,last,params,bezier);
+
+    //close fits get another chance with improved parameters
+    for(var i = 0; i < FIT_CURVE_REPARAMETERIZE_ITERATIONS && error[0] > toleranceSq &&
+                    error[0] < toleranceSq * 4; ++i){
+        reparameterizeBezierFit(points,first,last,params,bezier);
+        bezier = getBezierFitted(points,first,last,params,tan0x,tan0y,tan1x,tan1y);
+        error  = getBezierFitError(points,first,last,params,bezier);
+    }
 
-    return out;
-};
+    if(error[0] <= toleranceSq || last - first < 2){
+        out.push(bezier[2],bezier[3],bezier[4],bezier[5],bezier[6],bezier[7]);
+        return;
+    }
 
-Path2d.prototype._getPointOnPath = function(point,out){
-    var subPaths = this._subPaths;
-    var subPath;
-    var points;
+    var split = error[1];
+    var tx = points[split * 2 - 2] - points[split * 2 + 2];
+    var ty = points[split * 2 - 1] - points[split * 2 + 3];
+    var length = Math.sqrt(tx * tx + ty * ty);
+    if(length > 0){
+        tx /= length;
+        ty /= length;
+    } else {
+        tx = -tan0x;
+        ty = -tan0y;
+    }
 
-    var distanceToPoint;
-    var distanceMin = Number.MAX_VALUE;
+    fitBeziers(points,first,split,tan0x,tan0y,tx,ty,toleranceSq,out);
+    fitBeziers(points,split,last,-tx,-ty,tan1x,tan1y,toleranceSq,out);
+}
 
-    var pointOnSubPath = this._tempSubPathPoint;
+/**
+ * Returns cubic Béziers fitting a polyline within tolerance. The polyline gets split at corners, points turning by more
+ * than the corner angle, curves between them are G1-continuous. Closed polylines, ending at their first point, stay
+ * smooth at the seam unless it is a corner.
+ * @param {Number[]} points - [x,y,x,y,...]
+ * @param {Number} tolerance - The maximum distance of the points to the curves.
+ * @param {Number} cornerAngle - The minimum turning angle of corners in radians.
+ * @param {Boolean} closed
+ * @returns {Number[]} - [cp1x,cp1y,cp2x,cp2y,x,y,...] starting at the first point
+ * @private
+ */
+function fitPolylineBeziers(points,tolerance,cornerAngle,closed){
+    //coincident points have no direction
+    var unique = [points[0],points[1]];
+    var i, l;
+    for(i = 2, l = points.length; i < l; i += 2){
+        if(points[i] !== unique[unique.length - 2] || points[i + 1] !== unique[unique.length - 1]){
+            unique.push(points[i],points[i + 1]);
+        }
+    }
 
-    var x, y, d, i0, i1, dp;
+    var numPoints = unique.length / 2;
+    closed = closed && numPoints > 3 && unique[0] === unique[unique.length - 2] &&
+                                        unique[1] === unique[unique.length - 1];
 
-    for(var i = 0, l = subPaths.length; i < l; ++i){
-        subPath = subPaths[i];
-        points  = subPath.points;
+    var out = [];
+    if(numPoints < 2){
+        return out;
+    }
 
-        this._getPointOnSubPath(point,i,pointOnSubPath);
-        distanceToPoint = pointOnSubPath[2];
+    //unit directions of the segments
+    var directions = [];
+    var dx, dy, length;
+    for(i = 0; i < numPoints - 1; ++i){
+        dx = unique[i * 2 + 2] - unique[i * 2];
+        dy = unique[i * 2 + 3] - unique[i * 2 + 1];
+        length = Math.sqrt(dx * dx + dy * dy);
+        directions.push(dx / length,dy / length);
+    }
+    var numSegments = numPoints - 1;
+    var cosCorner = Math.cos(cornerAngle);
+
+    //corners split the polyline, the seam of closed ones gets split too
+    var splits  = [0];
+    var corners = [];
+    var prev, dot;
+    for(i = closed ? 0 : 1; i < numSegments; ++i){
+        prev = (i - 1 + numSegments) % numSegments;
+        dot = directions[prev * 2] * directions[i * 2] + directions[prev * 2 + 1] * directions[i * 2 + 1];
+        corners[i] = dot < cosCorner;
+        if(i > 0 && corners[i]){
+            splits.push(i);
+        }
+    }
+    splits.push(numPoints - 1);
+
+    //tangents at splits, one-sided at corners and ends, centered at smooth seams
+    var seamx = 0, seamy = 0;
+    if(closed && !corners[0]){
+        seamx = directions[0] + directions[numSegments * 2 - 2];
+        seamy = directions[1] + directions[numSegments * 2 - 1];
+        length = Math.sqrt(seamx * seamx + seamy * seamy);
+        seamx /= length;
+        seamy /= length;
+    }
 
-        if(distanceToPoint <= distanceMin){
-            x  = pointOnSubPath[0];
-            y  = pointOnSubPath[1];
-            d  = pointOnSubPath[2];
-            i0 = pointOnSubPath[3];
-            i1 = pointOnSubPath[4];
-            dp = pointOnSubPath[5];
+    var toleranceSq = tolerance * tolerance;
+    var first, last, tan0x, tan0y, tan1x, tan1y;
 
-            distanceMin = distanceToPoint;
+    for(i = 0; i < splits.length - 1; ++i){
+        first = splits[i];
+        last  = splits[i + 1];
+
+        if(first === 0 && closed && !corners[0]){
+            tan0x = seamx;
+            tan0y = seamy;
+        } else {
+            tan0x = directions[first * 2];
+            tan0y = directions[first * 2 + 1];
+        }
+        if(last === numPoints - 1 && closed && !corners[0]){
+            tan1x = -seamx;
+            tan1y = -seamy;
+        } else {
+            tan1x = -directions[last * 2 - 2];
+            tan1y = -directions[last * 2 - 1];
         }
-    }
 
-    out[0] = x;
-    out[1] = y;
-    out[2] = d;
-    out[3] = i0;
-    out[4] = i1;
-    out[5] = dp;
+        fitBeziers(unique,first,last,tan0x,tan0y,tan1x,tan1y,toleranceSq,out);
+    }
 
     return out;
-};
+}
 
 /*--------------------------------------------------------------------------------------------------------------------*/
-// SubPath modifier
+// Stroke
 /*--------------------------------------------------------------------------------------------------------------------*/
 
+var LINE_JOINS = ['miter','round','bevel'];
+var LINE_CAPS  = ['butt','round','square'];
+
 /**
- * Begins a new sub path.
+ * Returns the number of segments for a round join or cap, either within the flattening tolerance or relative to the
+ * number of arc points of a full circle.
+ * @private
  */
-Path2d.prototype.beginSubPath = function(){
-    if(!this._recordPoints){
-        return;
+function getNumRoundSegments(radius,sweep,tolerance,numArcPoints){
+    if(tolerance > 0){
+        return getNumArcPoints(radius,radius,sweep,tolerance) - 1;
     }
-    this._subPath = new SubPath();
-    this._subPaths.push(this._subPath);
-};
+    return Math.max(1,Math.ceil((numArcPoints - 1) * Math.abs(sweep) / PI2));
+}
 
 /**
- * Closes the current sub path.
+ * Pushes the points of an arc to out, excluding its start point.
+ * @private
  */
-Path2d.prototype.closeSubPath = function(){
-    var subPath = this._subPath =
-        this._subPath === null ?
-            new SubPath() :
-            this._subPath;
-
-    subPath.closed = true;
+function pushArcPoints(out,cx,cy,radius,startAngle,sweep,numSegments){
+    var angle;
+    for(var i = 1; i <= numSegments; ++i){
+        angle = startAngle + sweep * i / numSegments;
+        out.push(
+            cx + Math.cos(angle) * radius,
+            cy + Math.sin(angle) * radius
+        );
+    }
+    return out;
+}
 
-    if(this._recordPoints){
-        var points       = subPath.points;
-        var pointsLength = points.length;
+/**
+ * Creates the offset points of one side of a polyline stroke.
+ * Expects consecutive duplicates to be removed, closed polylines are expected to end with their first point.
+ * @param {Number[]} points - [x,y,x,y,...]
+ * @param {Boolean} closed
+ * @param {Number[]} normals - Segment normals, [x,y,x,y,...]
+ * @param {Number[]} lengths - Segment lengths.
+ * @param {Number} offset - Signed half stroke width, positive offsets along the segment normals.
+ * @param {Object} style - {join, miterLimit, tolerance, numArcPoints}
+ * @param {Number[]} out
+ * @returns {Number[]}
+ * @private
+ */
+function createStrokeSide(points,closed,normals,lengths,offset,style,out){
+    var numSegments = lengths.length;
+    var radius = Math.abs(offset);
+    var first  = closed ? 0 : 1;
+    var i, j, k;
+    var vx, vy, n0x, n0y, n1x, n1y;
+    var ax, ay, bx, by;
+    var cross, dot, scale, reach;
+    var startAngle, sweep;
+
+    if(!closed){
+        out.push(
+            points[0] + normals[0] * offset,
+            points[1] + normals[1] * offset
+        );
+    }
 
-        if(points[0] == points[pointsLength-2] &&
-            points[1] == points[pointsLength-1]){
-            return;
-        }
+    for(i = first; i < numSegments; ++i){
+        j = (i === 0 ? numSegments - 1 : i - 1);
+        k = i;
 
-        points.push(points[0],points[1]);
+        vx  = points[i * 2    ];
+        vy  = points[i * 2 + 1];
+        n0x = normals[j * 2    ];
+        n0y = normals[j * 2 + 1];
+        n1x = normals[k * 2    ];
+        n1y = normals[k * 2 + 1];
 
-        if(this._recordSvgCmd){
-            this._subPath.cmd += createSvgPathCmdClose() + ' ';
-        }
-    } else {
-        this._pathCmd += createSvgPathCmdClose() + ' ';
-    }
-    this._dirty = true;
-};
+        ax = vx + n0x * offset;
+        ay = vy + n0y * offset;
+        bx = vx + n1x * offset;
+        by = vy + n1y * offset;
 
-Path2d.prototype.createSubPathAtIndex = function(index){
-    if(index > this._subPaths.length - 1){
-        throw new Range('Path2d: Sub-path index out of range');
-    }
-    this._subPath = new SubPath();
-    this._subPaths.push(this._subPath);
-    this._dirty = true;
-};
+        cross = n0x * n1y - n0y * n1x;
+        dot   = n0x * n1x + n0y * n1y;
 
-Path2d.prototype.removeSubPathAtIndex = function(subPathIndex){
-    if(this._subPaths[subPathIndex] === undefined){
-        throw new RangeError('Path2d: Sub-path index out of range.');
-    }
-    this._subPaths.splice(subPathIndex,1);
-    this._dirty = true;
-};
+        //collinear
+        if(Math.abs(cross) < EPSILON && dot > 0){
+            out.push(ax,ay);
+            continue;
+        }
 
-Path2d.prototype.clearSubPath = function(){
-    clearSubPath(this._subPath);
-    this._dirty = true;
-};
+        scale = offset / (1 + dot);
+
+        //inner side, turning towards the offset
+        if(cross * offset > 0){
+            //intersection of both offset lines, if within both segments
+            reach = dot > -1 + EPSILON ? Math.abs(scale * cross) : Number.MAX_VALUE;
+            if(reach <= lengths[j] && reach <= lengths[k]){
+                out.push(
+                    vx + (n0x + n1x) * scale,
+                    vy + (n0y + n1y) * scale
+                );
+            } else {
+                out.push(ax,ay, vx,vy, bx,by);
+            }
+            continue;
+        }
 
-Path2d.prototype.clearSubPathAtIndex = function(subPathIndex){
-    var subPath = this._subPaths[subPathIndex];
-    if(subPath === undefined){
-        throw new RangeError('Path2d: Sub-path index out of range.');
+        //outer side, the miter point replaces both segment end points as they lie on the same lines
+        if(style.join === 'miter' &&
+           dot > -1 + EPSILON && 1 / Math.sqrt((1 + dot) * 0.5) <= style.miterLimit){
+            out.push(
+                vx + (n0x + n1x) * scale,
+                vy + (n0y + n1y) * scale
+            );
+            continue;
+        }
+        out.push(ax,ay);
+        if(style.join === 'round'){
+            startAngle = Math.atan2(ay - vy, ax - vx);
+            sweep      = Math.atan2(by - vy, bx - vx) - startAngle;
+            sweep      = sweep > Math.PI ? sweep - PI2 : sweep < -Math.PI ? sweep + PI2 : sweep;
+            pushArcPoints(out,vx,vy,radius,startAngle,sweep,
+                getNumRoundSegments(radius,sweep,style.tolerance,style.numArcPoints));
+            out.length -= 2;
+        }
+        out.push(bx,by);
     }
-    clearSubPath(subPath);
-    this._dirty = true;
-};
 
-Path2d.prototype.moveToSubPathAtIndex = function(subPathIndex){
-    var subPath = this._subPaths[subPathIndex];
-    if(subPath === undefined){
-        throw new RangeError('Path2d: Sub-path index out of range.');
+    if(!closed){
+        i = numSegments * 2;
+        out.push(
+            points[i  ] + normals[i-2] * offset,
+            points[i+1] + normals[i-1] * offset
+        );
     }
-    this._subPath = subPath;
-};
 
-/*--------------------------------------------------------------------------------------------------------------------*/
-// Update
-/*--------------------------------------------------------------------------------------------------------------------*/
+    return out;
+}
 
 /**
- * Updates all sub-path components. Called internally if the path is dirty on
- * [getTotalLength]{@link Path2d#getTotalLength},
- * [getPointAtLength]{@link Path2d#getPointAtLength},
- * [getTangentAtLength]{@link Path2d#getTangentAtLength},
- * [getNormalAtLength]{@link Path2d#getNormalAtLength},
- * [getSubPathAtLength]{@link Path2d#getSubPathIndexAtLength},
- * [getPathSegAtLength]{@link Path2d#getPathSegIndexAtLength},
- * [getSubPaths]{@link Path2d#getSubPaths}.
+ * Pushes the points of a cap at the end point px, py with direction dx, dy, going from the left to the right side.
+ * @private
  */
-Path2d.prototype.update = function(){
-    if(!this._dirty){
-        return;
+function pushStrokeCap(out,px,py,dx,dy,halfWidth,style){
+    switch(style.cap){
+        case 'square':
+            out.push(
+                px + (dx - dy) * halfWidth, py + (dy + dx) * halfWidth,
+                px + (dx + dy) * halfWidth, py + (dy - dx) * halfWidth
+            );
+            break;
+        case 'round':
+            pushArcPoints(out,px,py,halfWidth,Math.atan2(dx,-dy),-Math.PI,
+                getNumRoundSegments(halfWidth,Math.PI,style.tolerance,style.numArcPoints));
+            out.length -= 2;
+            break;
     }
+    return out;
+}
 
-    if(this._recordPoints){
-        this._update();
-        if(this._recordSvgCmd){
-            this._pathCmd = '';
-            var subPaths = this._subPaths;
-            for(var i = 0, l = subPaths.length; i < l; ++i){
-                this._pathCmd += subPaths[i].cmd;
-            }
+/**
+ * Creates the stroke outline of a polyline. Returns one polygon for open polylines, an outer and a reversed inner polygon
+ * for closed ones.
+ * Expects consecutive duplicates to be removed, closed polylines are expected to end with their first point.
+ * @param {Number[]} points - [x,y,x,y,...]
+ * @param {Boolean} closed
+ * @param {Number[]} normals - Segment normals, [x,y,x,y,...]
+ * @param {Number[]} lengths - Segment lengths.
+ * @param {Number} halfWidth
+ * @param {Object} style - {join, cap, miterLimit, tolerance, numArcPoints}
+ * @returns {Array} - [[x,y,x,y,...],...]
+ * @private
+ */
+function createPolylineStroke(points,closed,normals,lengths,halfWidth,style){
+    var numPoints = points.length / 2;
+
+    //single point, only visible with caps
+    if(numPoints === 1){
+        if(style.cap === 'butt'){
+            return [];
         }
-    } else {
-        this._lengthTotal = 0;
+        var dot = [points[0],points[1] + halfWidth];
+        pushStrokeCap(dot,points[0],points[1], 1,0,halfWidth,style);
+        dot.push(points[0],points[1] - halfWidth);
+        pushStrokeCap(dot,points[0],points[1],-1,0,halfWidth,style);
+        return [dot];
     }
 
-    this._dirty = false;
-};
+    var left  = createStrokeSide(points,closed,normals,lengths, halfWidth,style,[]);
+    var right = createStrokeSide(points,closed,normals,lengths,-halfWidth,style,[]);
 
-/*--------------------------------------------------------------------------------------------------------------------*/
-// Path modifier
-/*--------------------------------------------------------------------------------------------------------------------*/
+    reversePoints(right);
 
-/**
- * Clears all path points.
- */
-Path2d.prototype.clear = function(){
-    if(this._recordPoints){
-        this._subPath = null;
-        this._subPaths.length = 0;
-        this._lengthTotal = 0;
+    if(closed){
+        return [left,right];
     }
 
-    if(this._recordSvgCmd){
-        this._pathCmd = '';
+    //segment directions are the normals rotated clockwise
+    var n = lengths.length * 2;
+    pushStrokeCap(left,points[n],points[n+1],normals[n-1],-normals[n-2],halfWidth,style);
+    for(var i = 0, l = right.length; i < l; ++i){
+        left.push(right[i]);
     }
+    pushStrokeCap(left,points[0],points[1],-normals[1],normals[0],halfWidth,style);
 
-    this._dirty = true;
-};
+    return [left];
+}
 
 /**
- * Moves the starting point of a new sub-path to the (x, y) coordinates.
- * @param {Number} x - The x axis of the point.
- * @param {Number} y - The y axis of the point.
+ * Creates the area covered by stroking a polyline without caps as counter-clockwise polygons, one per segment and
+ * join, to be combined by the nonzero rule. Unlike outlines these stay valid for widths exceeding the polyline features.
+ * Expects consecutive duplicates to be removed, closed polylines are expected to end with their first point.
+ * @param {Number[]} points - [x,y,x,y,...]
+ * @param {Boolean} closed
+ * @param {Number[]} normals - Segment normals, [x,y,x,y,...]
+ * @param {Number} halfWidth
+ * @param {Object} style - {join, miterLimit, tolerance, numArcPoints}
+ * @returns {Array} - [[x,y,x,y,...],...]
+ * @private
  */
-Path2d.prototype.moveTo = function(x,y){
-    if(this._recordPoints){
-        if(this._subPath && this._subPath.points.length == 0){
-            this._subPath.points.push(x,y);
-        } else {
-            this._subPath = new SubPath();
-            this._subPath.points.push(x,y);
-            this._subPaths.push(this._subPath);
-        }
-        if(this._recordSvgCmd){
-            this._subPath.cmd += createSvgPathCmdMoveTo(x,y) + ' ';
-        }
-        this._subPath._dirty = true;
-    } else {
-        this._pathCmd += createSvgPathCmdMoveTo(x,y) + ' ';
+function createPolylineStrokePieces(points,closed,normals,halfWidth,style){
+    var numSegments = points.length / 2 - 1;
+    var out = [];
+    var piece, nx, ny, i, j;
+
+    for(i = 0; i < numSegments; ++i){
+        nx = normals[i * 2    ] * halfWidth;
+        ny = normals[i * 2 + 1] * halfWidth;
+
+        out.push([
+            points[i * 2    ] - nx, points[i * 2 + 1] - ny,
+            points[i * 2 + 2] - nx, points[i * 2 + 3] - ny,
+            points[i * 2 + 2] + nx, points[i * 2 + 3] + ny,
+            points[i * 2    ] + nx, points[i * 2 + 1] + ny
+        ]);
     }
 
-    this._dirty = true;
-};
+    var vx, vy, n0x, n0y, n1x, n1y;
+    var cross, dot, offset, scale;
+    var ax, ay, bx, by, startAngle, sweep;
 
-/**
- * Connects the last point in the sub-path to the x, y coordinates with a straight line.
- * @param {Number} x - The x axis of the coordinate for the end of the line.
- * @param {Number} y - The y axis of the coordinate for the end of the line.
- */
-Path2d.prototype.lineTo = function(x,y){
-    if(this._recordPoints){
-        if(this._subPath.points.length === 0){
-            throw new Error('SubPath line origin missing.');
-        }
+    for(i = closed ? 0 : 1; i < numSegments; ++i){
+        j = i === 0 ? numSegments - 1 : i - 1;
 
-        this._ensureSubPathType(TYPE_CURVE,TYPE_LINE);
+        vx  = points[i * 2    ];
+        vy  = points[i * 2 + 1];
+        n0x = normals[j * 2    ];
+        n0y = normals[j * 2 + 1];
+        n1x = normals[i * 2    ];
+        n1y = normals[i * 2 + 1];
 
-        this._subPath.points.push(x,y);
-        this._subPath.segmentLengths.push(-1);
+        cross = n0x * n1y - n0y * n1x;
+        dot   = n0x * n1x + n0y * n1y;
 
-        if(this._recordSvgCmd){
-            this._subPath.cmd += createSvgPathCmdLineTo(x,y) + ' ';
+        if(Math.abs(cross) < EPSILON && dot > 0){
+            continue;
         }
 
-        this._subPath._dirty = true;
-    } else {
-        this._pathCmd += createSvgPathCmdLineTo(x,y) + ' ';
+        //the join is on the side turned away from
+        offset = cross > 0 ? -halfWidth : halfWidth;
+        scale  = offset / (1 + dot);
+
+        ax = vx + n0x * offset;
+        ay = vy + n0y * offset;
+        bx = vx + n1x * offset;
+        by = vy + n1y * offset;
+
+        piece = [vx,vy,ax,ay];
+        switch(style.join){
+            case 'miter':
+                if(dot > -1 + EPSILON && 1 / Math.sqrt((1 + dot) * 0.5) <= style.miterLimit){
+                    piece.push(
+                        vx + (n0x + n1x) * scale,
+                        vy + (n0y + n1y) * scale
+                    );
+                }
+                break;
+            case 'round':
+                startAngle = Math.atan2(ay - vy, ax - vx);
+                sweep      = Math.atan2(by - vy, bx - vx) - startAngle;
+                sweep      = sweep > Math.PI ? sweep - PI2 : sweep < -Math.PI ? sweep + PI2 : sweep;
+                pushArcPoints(piece,vx,vy,halfWidth,startAngle,sweep,
+                    getNumRoundSegments(halfWidth,sweep,style.tolerance,style.numArcPoints));
+                piece.length -= 2;
+                break;
+        }
+        piece.push(bx,by);
+        out.push(piece);
     }
 
-    this._dirty = true;
-};
+    for(i = 0; i < out.length; ++i){
+        if(getPolygonArea(out[i]) < 0){
+            reversePoints(out[i]);
+        }
+    }
+
+    return out;
+}
 
 /**
- *
- * @param points
+ * Creates the parallel polylines of an open polyline at the distance given. Loops formed at concave corners or where
+ * the distance exceeds the size of local features get removed, which may split the result into several pieces.
+ * Expects consecutive duplicates to be removed.
+ * @param {Number[]} points - [x,y,x,y,...]
+ * @param {Number[]} normals - Segment normals, [x,y,x,y,...]
+ * @param {Number[]} lengths - Segment lengths.
+ * @param {Number} offset - Signed distance, positive offsets along the segment normals.
+ * @param {Object} style - {join, miterLimit, tolerance, numArcPoints}
+ * @returns {Array} - [[x,y,x,y,...],...]
+ * @private
  */
-Path2d.prototype.linesTo = function(points){
-    var isFlat  = points[0].length === undefined;
-    if(this._recordPoints){
-        this._ensureSubPathType(TYPE_CURVE,TYPE_LINE);
+function createPolylineOffset(points,normals,lengths,offset,style){
+    var side = createStrokeSide(points,false,normals,lengths,offset,style,[]);
+    var i, j;
+
+    //split at self-intersections
+    var edges  = [];
+    var splits = [];
+    for(i = 0; i < side.length - 2; i+=2){
+        edges.push({x0 : side[i], y0 : side[i+1], x1 : side[i+2], y1 : side[i+3]});
+        splits.push([]);
+    }
+    for(i = 0; i < edges.length; ++i){
+        for(j = i + 1; j < edges.length; ++j){
+            intersectArrangementEdges(edges[i],edges[j],splits[i],splits[j]);
+        }
+    }
 
-        var subPath = this._subPath;
-        var points_ = subPath.points;
-        var pointsLength = points.length;
-        var offset = points_.length;
+    //allow for the chord error of round joins
+    var distance = Math.abs(offset);
+    var slack = distance * 1e-6;
+    if(style.join === 'round'){
+        slack += distance * (1 - Math.cos(Math.PI * 0.5 / getNumRoundSegments(distance,Math.PI,style.tolerance,style.numArcPoints)));
+    }
+    var distanceMinSq = Math.max(0,distance - slack);
+    distanceMinSq *= distanceMinSq;
+
+    function isKept(x0,y0,x1,y1){
+        var x = (x0 + x1) * 0.5;
+        var y = (y0 + y1) * 0.5;
+        for(var i = 0; i < points.length - 2; i+=2){
+            if(getDistanceToSegmentSq(x,y,points[i],points[i+1],points[i+2],points[i+3]) < distanceMinSq){
+                return false;
+            }
+        }
+        return true;
+    }
 
-        if(!isFlat){
-            points_.length += pointsLength;
-            for(var i = 0, j = offset; i < pointsLength; ++i, ++j){
-                subPath[offset + j] = points[i];
+    var out   = [];
+    var piece = null;
+    var pieces, x0, y0, x1, y1;
+
+    for(i = 0; i < edges.length; ++i){
+        pieces = splits[i].sort(sortSplits);
+        pieces.unshift([0,edges[i].x0,edges[i].y0]);
+        pieces.push([1,edges[i].x1,edges[i].y1]);
+
+        for(j = 0; j < pieces.length - 1; ++j){
+            x0 = pieces[j  ][1];
+            y0 = pieces[j  ][2];
+            x1 = pieces[j+1][1];
+            y1 = pieces[j+1][2];
+            if(x0 === x1 && y0 === y1){
+                continue;
             }
-        } else {
-            points_.length += pointsLength * 2;
-            for(var i = 0, j = offset, point; i < pointsLength; ++i, j+=2){
-                point = points[i];
-                subPath[offset + j    ] = point[0];
-                subPath[offset + j + 1] = point[1];
+            if(!isKept(x0,y0,x1,y1)){
+                continue;
             }
+            //continue the current piece if connected, which also joins the pieces before and after removed loops
+            if(piece === null || piece[piece.length - 2] !== x0 || piece[piece.length - 1] !== y0){
+                piece = [x0,y0];
+                out.push(piece);
+            }
+            piece.push(x1,y1);
         }
     }
 
-    if(this._recordSvgCmd){
-        this._subPath.cmd += isFlat ? createSvgPathCmdLinesTov(points) : createSvgPathCmdLinesTo2v(points);
-    }
+    return out;
+}
 
-    this._dirty = subPath._dirty = true;
-};
+/*--------------------------------------------------------------------------------------------------------------------*/
+// Dash
+/*--------------------------------------------------------------------------------------------------------------------*/
 
 /**
- * Adds a quadratic Bézier curve to the path. It requires two points. The first point is a control point and the second
- * one is the end point. The starting point is the last point in the current path, which can be changed using moveTo()
- * before creating the quadratic Bézier curve.
- * @param {Number} cpx - The x axis of the coordinate for the control point.
- * @param {Number} cpy - The y axis of the coordinate for the control point.
- * @param {Number} x - The x axis of the coordinate for the end point.
- * @param {Number} y - The y axis of the coordinate for the end point.
- * @param {Boolean} [numCurvePoints]
+ * Validates a dash pattern and returns it with an even number of entries, like canvas setLineDash. Returns null if the
+ * pattern is empty or all zero, which means solid.
+ * @param {Number[]} pattern
+ * @returns {Number[]|null}
+ * @private
  */
-Path2d.prototype.quadraticCurveTo = function(cpx,cpy,x,y,numCurvePoints){
-    if(this._recordPoints){
-        numCurvePoints = numCurvePoints == undefined ? this._numCurvePointsQuadratic : Math.max(numCurvePoints);
-
-        this._ensureSubPathType(TYPE_LINE,TYPE_CURVE);
-
-        var subPath    = this._subPath;
-        var points     = subPath.points;
+function normalizeDashPattern(pattern){
+    var sum = 0;
+    for(var i = 0; i < pattern.length; ++i){
+        if(!isFinite(pattern[i]) || pattern[i] < 0){
+            throw new Error('Path2d: Invalid dash pattern, values must be finite and non-negative.');
+        }
+        sum += pattern[i];
+    }
+    if(sum === 0){
+        return null;
+    }
+    return pattern.length % 2 === 1 ? pattern.concat(pattern) : pattern.slice(0);
+}
 
-        var pointsLen0       = points.length;
-        var numCurvePoints_1 = numCurvePoints - 1;
+/**
+ * Splits a polyline into dashes. The pattern runs continuously across vertices, which get copied into the dashes. For
+ * closed polylines a dash crossing the seam is joined into one piece.
+ * Closed polylines are expected to end with their first point.
+ * @param {Number[]} points - [x,y,x,y,...]
+ * @param {Boolean} closed
+ * @param {Number[]} pattern - Normalized pattern.
+ * @param {Number} offset - The pattern offset.
+ * @returns {Array} - [{points : [x,y,x,y,...], closed : Boolean},...]
+ * @private
+ */
+function createPolylineDashes(points,closed,pattern,offset){
+    var patternLength = 0;
+    for(var i = 0; i < pattern.length; ++i){
+        patternLength += pattern[i];
+    }
 
-        var sx = points[pointsLen0 - 2];
-        var sy = points[pointsLen0 - 1];
+    //position in pattern
+    var index     = 0;
+    var remaining = pattern[0];
+    var position  = offset % patternLength;
+    if(position < 0){
+        position += patternLength;
+    }
+    while(position > remaining || (position === remaining && position > 0)){
+        position -= remaining;
+        index = (index + 1) % pattern.length;
+        remaining = pattern[index];
+    }
+    remaining -= position;
 
-        var pointsLen1 = points.length = pointsLen0 + numCurvePoints * 2;
+    var dashes    = [];
+    var dash      = null;
+    var startsOn  = index % 2 === 0;
+    var toggled   = false;
 
-        var n,_n;
-        var b1,b2,b3;
+    if(startsOn){
+        dash = [points[0],points[1]];
+    }
 
-        for(var i = pointsLen0, j = 0; i < pointsLen1; i+=2, j++){
-            n  = j / numCurvePoints_1;
-            _n = 1.0 - n;
-            b1 = _n * _n;
-            b2 = 2 * _n * n;
-            b3 = n * n;
+    var x0, y0, x1, y1, dx, dy, length, t, x, y;
+
+    for(i = 2; i < points.length; i+=2){
+        x0 = points[i-2];
+        y0 = points[i-1];
+        x1 = points[i  ];
+        y1 = points[i+1];
+        dx = x1 - x0;
+        dy = y1 - y0;
+        length = Math.sqrt(dx * dx + dy * dy);
+        t = 0;
+
+        while(length - t > remaining){
+            t += remaining;
+            x = x0 + dx * t / length;
+            y = y0 + dy * t / length;
+
+            if(index % 2 === 0){
+                if(dash.length === 2 || x !== dash[dash.length - 2] || y !== dash[dash.length - 1]){
+                    dash.push(x,y);
+                }
+                dashes.push({points : dash, closed : false});
+                dash = null;
+            } else {
+                dash = [x,y];
+            }
+            toggled   = true;
+            index     = (index + 1) % pattern.length;
+            remaining = pattern[index];
+        }
 
-            points[i  ] = sx * b1 + cpx * b2 + x * b3;
-            points[i+1] = sy * b1 + cpy * b2 + y * b3;
+        remaining -= length - t;
+        if(dash !== null){
+            dash.push(x1,y1);
         }
-        if(this._recordSvgCmd){
-            this._subPath.cmd += createSvgPathCmdQuadraticCurveTo(
-                cpx, cpy,
-                x, y
-            ) + ' ';
+    }
+
+    if(dash !== null){
+        if(closed && startsOn){
+            //pattern never switched, the whole polyline is one dash
+            if(!toggled){
+                dash.length -= 2;
+                dashes.push({points : dash, closed : true});
+                return dashes;
+            }
+            //join with the first dash
+            var first = dashes[0].points;
+            for(i = 2; i < first.length; ++i){
+                dash.push(first[i]);
+            }
+            dashes[0].points = dash;
+        } else {
+            dashes.push({points : dash, closed : false});
         }
-    } else {
-        this._pathCmd += createSvgPathCmdQuadraticCurveTo(
-            cpx, cpy,
-            x, y
-        ) + ' ';
     }
 
-    this._dirty = true;
-};
+    return dashes;
+}
 
-/**
- * Adds a cubic Bézier curve to the path. It requires three points. The first two points are control points and the
- * third one is the end point. The starting point is the last point in the current path, which can be changed using
- * moveTo() before creating the Bézier curve.
- * @param {Number} cp1x - The x axis of the coordinate for the first control point.
- * @param {Number} cp1y - The y axis of the coordinate for first control point.
- * @param {Number} cp2x - The x axis of the coordinate for the second control point.
- * @param {Number} cp2y - The y axis of the coordinate for the second control point.
- * @param {Number} x - The x axis of the coordinate for the end point.
- * @param {Number} y - The y axis of the coordinate for the end point.
- * @param {Boolean} [numCurvePoints] - Number of curve points.
- */
-Path2d.prototype.cubicCurveTo = function(cp1x,cp1y,cp2x,cp2y,x,y,numCurvePoints){
-    if(this._recordPoints){
-        numCurvePoints = numCurvePoints == undefined ? this._numCurvePointsCubic : Math.max(2,numCurvePoints);
+/*--------------------------------------------------------------------------------------------------------------------*/
+// Polygon arrangement
+/*--------------------------------------------------------------------------------------------------------------------*/
 
-        this._ensureSubPathType(TYPE_LINE,TYPE_CURVE);
+// Polygons get decomposed into edges, which are split at all intersections and classified by sweeping horizontal slabs
+// between consecutive vertex heights. Within a slab no edges cross, so sorting them by x gives the winding numbers of
+// the regions between them.
 
-        var subPath    = this._subPath;
-        var points     = subPath.points;
-        var pointsLen0 = points.length;
-
-        var numCurvePoints_1 = numCurvePoints - 1;
+var EPSILON_INTERSECTION = 1e-9;
 
-        var sx = points[pointsLen0 - 2];
-        var sy = points[pointsLen0 - 1];
+/**
+ * Creates an edge, oriented upwards, horizontal edges towards positive x. The winding per operand is +1 if the input
+ * direction matches, -1 otherwise.
+ * @private
+ */
+function createArrangementEdge(x0,y0,x1,y1,operand,numOperands){
+    var winding = [];
+    for(var i = 0; i < numOperands; ++i){
+        winding[i] = 0;
+    }
+    var forward = y0 < y1 || (y0 === y1 && x0 < x1);
+    winding[operand] = forward ? 1 : -1;
+    return forward ?
+           {x0 : x0, y0 : y0, x1 : x1, y1 : y1, winding : winding} :
+           {x0 : x1, y0 : y1, x1 : x0, y1 : y0, winding : winding};
+}
 
-        var pointsLen1 = points.length = pointsLen0 + numCurvePoints * 2;
+/**
+ * Adds the edges of implicitly closed polygons.
+ * @param {Array} polygons - [[x,y,x,y,...],...]
+ * @param {Number} operand - The operand index the polygons belong to.
+ * @param {Number} numOperands
+ * @param {Array} out
+ * @returns {Array}
+ * @private
+ */
+function addArrangementEdges(polygons,operand,numOperands,out){
+    var points, l;
+    var x0, y0, x1, y1;
+
+    for(var i = 0; i < polygons.length; ++i){
+        points = polygons[i];
+        l = points.length;
+        if(l < 6){
+            continue;
+        }
+        x0 = points[l-2];
+        y0 = points[l-1];
+        for(var j = 0; j < l; j+=2){
+            x1 = points[j  ];
+            y1 = points[j+1];
+            if(x0 !== x1 || y0 !== y1){
+                out.push(createArrangementEdge(x0,y0,x1,y1,operand,numOperands));
+            }
+            x0 = x1;
+            y0 = y1;
+        }
+    }
+    return out;
+}
 
-        var n, n2, _n, _n2;
-        var b1, b2, b3, b4;
+/**
+ * Collects the split points of two intersecting or overlapping edges. [t,x,y]
+ * @private
+ */
+function intersectArrangementEdges(a,b,splitsA,splitsB){
+    var eps = EPSILON_INTERSECTION;
+
+    var rx = a.x1 - a.x0;
+    var ry = a.y1 - a.y0;
+    var sx = b.x1 - b.x0;
+    var sy = b.y1 - b.y0;
+    var qx = b.x0 - a.x0;
+    var qy = b.y0 - a.y0;
+
+    var rr = rx * rx + ry * ry;
+    var ss = sx * sx + sy * sy;
+    var denom = rx * sy - ry * sx;
+    var t, u, px, py;
+
+    //parallel, split at the end points of the other edge if collinear
+    if(Math.abs(denom) <= eps * Math.sqrt(rr * ss)){
+        if(Math.abs(qx * ry - qy * rx) > eps * rr){
+            return;
+        }
+        t = (qx * rx + qy * ry) / rr;
+        if(t > eps && t < 1 - eps){
+            splitsA.push([t,b.x0,b.y0]);
+        }
+        t = ((b.x1 - a.x0) * rx + (b.y1 - a.y0) * ry) / rr;
+        if(t > eps && t < 1 - eps){
+            splitsA.push([t,b.x1,b.y1]);
+        }
+        u = (-qx * sx - qy * sy) / ss;
+        if(u > eps && u < 1 - eps){
+            splitsB.push([u,a.x0,a.y0]);
+        }
+        u = ((a.x1 - b.x0) * sx + (a.y1 - b.y0) * sy) / ss;
+        if(u > eps && u < 1 - eps){
+            splitsB.push([u,a.x1,a.y1]);
+        }
+        return;
+    }
 
-        for(var i = pointsLen0, j = 0; i < pointsLen1; i+=2, j++){
-            n   = 1.0 - j / numCurvePoints_1;
-            n2  = n * n;
-            _n  = 1 - n;
-            _n2 = _n * _n;
+    t = (qx * sy - qy * sx) / denom;
+    u = (qx * ry - qy * rx) / denom;
 
-            b1 = n2 * n;
-            b2 = 3 * n2 * _n;
-            b3 = 3 * n * _n2;
-            b4 = _n2 * _n;
+    if(t < -eps || t > 1 + eps || u < -eps || u > 1 + eps){
+        return;
+    }
 
-            points[i  ] = sx * b1 + cp1x * b2 + cp2x * b3 + x * b4;
-            points[i+1] = sy * b1 + cp1y * b2 + cp2y * b3 + y * b4;
-        }
-        if(this._recordSvgCmd){
-            this._subPath.cmd += createSvgPathCmdCubicCurveTo(
-                cp1x,cp1y,
-                cp2x,cp2y,
-                x,y
-            ) + ' ';
-        }
+    //snap to existing end points
+    if(t <= eps){
+        px = a.x0; py = a.y0;
+    } else if(t >= 1 - eps){
+        px = a.x1; py = a.y1;
+    } else if(u <= eps){
+        px = b.x0; py = b.y0;
+    } else if(u >= 1 - eps){
+        px = b.x1; py = b.y1;
     } else {
-        this._pathCmd += createSvgPathCmdCubicCurveTo(
-            cp1x,cp1y,
-            cp2x,cp2y,
-            x,y
-        ) + ' ';
+        px = a.x0 + rx * t;
+        py = a.y0 + ry * t;
     }
 
-    this._dirty = true;
-};
+    if(t > eps && t < 1 - eps){
+        splitsA.push([t,px,py]);
+    }
+    if(u > eps && u < 1 - eps){
+        splitsB.push([u,px,py]);
+    }
+}
 
-Path2d.prototype._arc = function(cx,cy,radiusX,radiusY,rotation,sAngle,eAngle,counterclockwise,numArcPoints){
-    var cosrot = Math.cos(rotation);
-    var sinrot = Math.sin(rotation);
-    var srx, sry;
-    var sx, sy;
-    var px, py;
+function sortSplits(a,b){
+    return a[0] - b[0];
+}
 
-    if(this._recordPoints){
-        if(this._subPath === null || this._subPath.points.length === 0){
-            srx = Math.cos(sAngle) * radiusX;
-            sry = Math.sin(sAngle) * radiusY;
-            sx  = srx * cosrot - sry * sinrot + cx;
-            sy  = srx * sinrot + sry * cosrot + cy;
-            this.moveTo(sx,sy);
-        }
+/**
+ * Splits all edges at their intersections and overlaps. Coincident edges get merged by summing their windings, edges
+ * without any winding left are removed.
+ * @param {Array} edges
+ * @returns {Array}
+ * @private
+ */
+function splitArrangementEdges(edges){
+    var numEdges = edges.length;
+    var splits = [];
+    var a, b, i, j;
 
-        if(sAngle === eAngle){
-            srx = Math.cos(sAngle) * radiusX;
-            sry = Math.sin(sAngle) * radiusY;
-            sx  = srx * cosrot - sry * sinrot + cx;
-            sy  = srx * sinrot + sry * cosrot + cy;
-            this.lineTo(sx,sy);
-            return;
-        }
+    for(i = 0; i < numEdges; ++i){
+        splits[i] = [];
+    }
 
-        this._ensureSubPathType(TYPE_LINE,TYPE_CURVE);
+    for(i = 0; i < numEdges; ++i){
+        a = edges[i];
+        for(j = i + 1; j < numEdges; ++j){
+            b = edges[j];
+            if(Math.max(a.y0,a.y1) < Math.min(b.y0,b.y1) || Math.min(a.y0,a.y1) > Math.max(b.y0,b.y1) ||
+               Math.max(a.x0,a.x1) < Math.min(b.x0,b.x1) || Math.min(a.x0,a.x1) > Math.max(b.x0,b.x1)){
+                continue;
+            }
+            intersectArrangementEdges(a,b,splits[i],splits[j]);
+        }
+    }
 
-        var subPath    = this._subPath;
-        var points     = subPath.points;
-        var pointsLen0 = points.length;
-        var pointsLen1 = points.length = pointsLen0 + numArcPoints * 2;
+    var out    = [];
+    var merged = {};
+    var edge, points, key, existing, winding;
+    var x0, y0, x1, y1, k;
+
+    for(i = 0; i < numEdges; ++i){
+        edge   = edges[i];
+        points = splits[i].sort(sortSplits);
+        points.unshift([0,edge.x0,edge.y0]);
+        points.push([1,edge.x1,edge.y1]);
+
+        for(j = 0; j < points.length - 1; ++j){
+            x0 = points[j  ][1];
+            y0 = points[j  ][2];
+            x1 = points[j+1][1];
+            y1 = points[j+1][2];
+            if(x0 === x1 && y0 === y1){
+                continue;
+            }
 
-        var sweep = eAngle - sAngle;
+            winding = edge.winding.slice(0);
 
-        if(counterclockwise){
-            if(sweep <= -PI2){
-                sweep = PI2;
-            } else{
-                while(sweep >= 0){
-                    sweep -= PI2;
+            //keep orientation after snapping
+            if(y1 < y0 || (y0 === y1 && x1 < x0)){
+                x1 = points[j][1];
+                y1 = points[j][2];
+                x0 = points[j+1][1];
+                y0 = points[j+1][2];
+                for(k = 0; k < winding.length; ++k){
+                    winding[k] = -winding[k];
                 }
             }
-        } else {
-            if(sweep >= PI2){
-                sweep = PI2;
-            } else{
-                while(sweep <= 0){
-                    sweep += PI2;
+
+            key = x0 + ' ' + y0 + ' ' + x1 + ' ' + y1;
+            existing = merged[key];
+            if(existing !== undefined){
+                for(k = 0; k < winding.length; ++k){
+                    existing.winding[k] += winding[k];
                 }
+                continue;
             }
+            existing = merged[key] = {x0 : x0, y0 : y0, x1 : x1, y1 : y1, winding : winding};
+            out.push(existing);
         }
+    }
 
-        var numArcPoints_1 = numArcPoints - 1;
-        var angleStep = sweep / numArcPoints_1;
-
-        if(rotation === 0){
-            for(var i = pointsLen0, j = 0, angle; i < pointsLen1; i+=2, j++){
-                angle = sAngle + angleStep * j;
-                points[i  ] = cx + radiusX * Math.cos(angle);
-                points[i+1] = cy + radiusY * Math.sin(angle);
+    return out.filter(function(edge){
+        for(var i = 0; i < edge.winding.length; ++i){
+            if(edge.winding[i] !== 0){
+                return true;
             }
+        }
+        return false;
+    });
+}
 
-        } else {
-            for(var i = pointsLen0, j = 0; i < pointsLen1; i+=2, j++){
-                angle = sAngle + angleStep * j;
-
-                px = radiusX * Math.cos(angle);
-                py = radiusY * Math.sin(angle);
+function getArrangementEdgeXAt(edge,y){
+    if(y === edge.y0){
+        return edge.x0;
+    }
+    if(y === edge.y1){
+        return edge.x1;
+    }
+    return edge.x0 + (edge.x1 - edge.x0) * (y - edge.y0) / (edge.y1 - edge.y0);
+}
 
-                points[i  ] = px * cosrot - py * sinrot + cx;
-                points[i+1] = px * sinrot + py * cosrot + cy;
-            }
+/**
+ * Sweeps the split edges and returns the trapezoids covering the region for which isInside returns true, trapezoids of
+ * consecutive slabs bounded by the same edges get merged.
+ * @param {Array} edges - Split edges.
+ * @param {Function} isInside - Called with the winding numbers per operand.
+ * @returns {Array} - [{left : edge, right : edge, y0 : bottom, y1 : top},...]
+ * @private
+ */
+function getArrangementTrapezoids(edges,isInside){
+    var heights = {};
+    var ys = [];
+    var sorted = [];
+    var edge, i, j;
+
+    for(i = 0; i < edges.length; ++i){
+        edge = edges[i];
+        edge.id = i;
+        if(heights[edge.y0] === undefined){
+            heights[edge.y0] = true;
+            ys.push(edge.y0);
+        }
+        if(heights[edge.y1] === undefined){
+            heights[edge.y1] = true;
+            ys.push(edge.y1);
+        }
+        if(edge.y0 !== edge.y1){
+            sorted.push(edge);
         }
-
     }
 
-    if(this._recordSvgCmd){
-        var diff = Math.abs(eAngle - sAngle);
+    ys.sort(function(a,b){return a - b;});
+    sorted.sort(function(a,b){return a.y0 - b.y0;});
+
+    var numOperands = edges.length > 0 ? edges[0].winding.length : 0;
+    var winding = [];
+    var active  = [];
+    var next    = 0;
+    var out     = [];
+    var open    = {};
+    var openNext, trapezoid, key;
+    var yb, yt, ym, left, inside, insidePrev;
+
+    for(i = 0; i < ys.length - 1; ++i){
+        yb = ys[i];
+        yt = ys[i+1];
+        ym = (yb + yt) * 0.5;
+
+        active = active.filter(function(edge){
+            return edge.y1 > yb;
+        });
+        while(next < sorted.length && sorted[next].y0 <= yb){
+            active.push(sorted[next++]);
+        }
+        for(j = 0; j < active.length; ++j){
+            active[j].xm = getArrangementEdgeXAt(active[j],ym);
+        }
+        active.sort(function(a,b){return a.xm - b.xm;});
 
-        //mimic canvas, sweep larger PI2 get constrained to PI2
-        if((sAngle === eAngle )|| diff <= EPSILON || diff >= PI2){
-            eAngle = sAngle + PI2_NEAR;
+        for(j = 0; j < numOperands; ++j){
+            winding[j] = 0;
         }
 
-        diff  = eAngle - sAngle;
-        diff += diff < 0 ? PI2 : 0;
+        openNext   = {};
+        insidePrev = false;
+        left       = null;
 
-        var largeArcFlag = diff > Math.PI;
-            largeArcFlag = counterclockwise ? !largeArcFlag : largeArcFlag;
+        for(j = 0; j < active.length; ++j){
+            edge = active[j];
+            for(var k = 0; k < numOperands; ++k){
+                winding[k] += edge.winding[k];
+            }
+            //coincident edges enclose nothing between them
+            if(j < active.length - 1 && active[j+1].xm === edge.xm){
+                continue;
+            }
+            inside = isInside(winding);
+
+            if(inside && !insidePrev){
+                left = edge;
+            } else if(!inside && insidePrev){
+                key = left.id + ' ' + edge.id;
+                trapezoid = open[key];
+                if(trapezoid === undefined){
+                    trapezoid = {left : left, right : edge, y0 : yb, y1 : yt};
+                    out.push(trapezoid);
+                } else {
+                    trapezoid.y1 = yt;
+                }
+                openNext[key] = trapezoid;
+            }
+            insidePrev = inside;
+        }
 
-        var ex, ey;
+        open = openNext;
+    }
 
-        if(rotation === 0){
-            sx = cx + radiusX * Math.cos(sAngle);
-            sy = cy + radiusY * Math.sin(sAngle);
-            ex = cx + radiusX * Math.cos(eAngle);
-            ey = cy + radiusY * Math.sin(eAngle);
+    return out;
+}
 
-        } else {
-            var x = radiusX * Math.cos(sAngle);
-            var y = radiusY * Math.sin(sAngle);
+/**
+ * Returns the edges separating the inside from the outside of the region covered by the trapezoids, directed so the
+ * inside is on their left (counter-clockwise with y pointing up).
+ * Trapezoid sides get emitted within the height range of their trapezoid only, tops and bottoms meeting at a height
+ * cancel each other out. All end points are taken from the edges at the slab heights, so boundaries continue at equal
+ * points, also where floating point errors make an edge bound the region within some slabs only.
+ * @param {Array} trapezoids
+ * @returns {Array} - [[x0,y0,x1,y1],...]
+ * @private
+ */
+function getArrangementBoundaries(trapezoids){
+    var out = [];
+    var ys  = [];
+    //covered spans per height [xl,xr,covering,...], +1 for trapezoids starting, -1 for trapezoids ending there
+    var heights = {};
+    var trapezoid, xl0, xr0, xl1, xr1, i;
+
+    for(i = 0; i < trapezoids.length; ++i){
+        trapezoid = trapezoids[i];
+        xl0 = getArrangementEdgeXAt(trapezoid.left, trapezoid.y0);
+        xr0 = getArrangementEdgeXAt(trapezoid.right,trapezoid.y0);
+        xl1 = getArrangementEdgeXAt(trapezoid.left, trapezoid.y1);
+        xr1 = getArrangementEdgeXAt(trapezoid.right,trapezoid.y1);
+
+        out.push(
+            [xl1,trapezoid.y1,xl0,trapezoid.y0],
+            [xr0,trapezoid.y0,xr1,trapezoid.y1]
+        );
+        if(heights[trapezoid.y0] === undefined){
+            heights[trapezoid.y0] = [];
+            ys.push(trapezoid.y0);
+        }
+        if(heights[trapezoid.y1] === undefined){
+            heights[trapezoid.y1] = [];
+            ys.push(trapezoid.y1);
+        }
+        //sides crossing by floating point errors reverse the span
+        heights[trapezoid.y0].push(Math.min(xl0,xr0),Math.max(xl0,xr0),xl0 <= xr0 ?  1 : -1);
+        heights[trapezoid.y1].push(Math.min(xl1,xr1),Math.max(xl1,xr1),xl1 <= xr1 ? -1 :  1);
+    }
 
-            sx  = x * cosrot - y * sinrot + cx;
-            sy  = x * sinrot + y * cosrot + cy;
+    var spans, xs, covering, y, j, k;
 
-            x = radiusX * Math.cos(eAngle);
-            y = radiusY * Math.sin(eAngle);
+    for(i = 0; i < ys.length; ++i){
+        y     = ys[i];
+        spans = heights[y];
+        xs    = [];
+        for(j = 0; j < spans.length; j+=3){
+            xs.push(spans[j],spans[j+1]);
+        }
+        xs.sort(function(a,b){return a - b;});
 
-            ex = x * cosrot - y * sinrot + cx;
-            ey = x * sinrot + y * cosrot + cy;
+        for(j = 0; j < xs.length - 1; ++j){
+            if(xs[j] === xs[j+1]){
+                continue;
+            }
+            covering = 0;
+            for(k = 0; k < spans.length; k+=3){
+                if(spans[k] <= xs[j] && spans[k+1] >= xs[j+1]){
+                    covering += spans[k+2];
+                }
+            }
+            for(; covering > 0; --covering){
+                out.push([xs[j],y,xs[j+1],y]);
+            }
+            for(; covering < 0; ++covering){
+                out.push([xs[j+1],y,xs[j],y]);
+            }
         }
+    }
 
-        this._subPath.cmd += createSvgPathCmdLineTo(
-                sx, sy
-            ) + ' ' +
-            createSvgPathCmdArc(
-                radiusX,radiusY,
-                rotation * _180_PI,
-                +largeArcFlag, +!counterclockwise,
-                ex, ey
-            ) + ' ';
+    //pieces running both ways enclose nothing
+    var unmatched = {};
+    var removed   = [];
+    var boundary, key, reverse;
+
+    for(i = 0; i < out.length; ++i){
+        boundary = out[i];
+        key     = boundary[0] + ' ' + boundary[1] + ' ' + boundary[2] + ' ' + boundary[3];
+        reverse = boundary[2] + ' ' + boundary[3] + ' ' + boundary[0] + ' ' + boundary[1];
+        if(unmatched[reverse] !== undefined && unmatched[reverse].length > 0){
+            removed[unmatched[reverse].pop()] = removed[i] = true;
+        } else {
+            (unmatched[key] || (unmatched[key] = [])).push(i);
+        }
     }
 
-    this._dirty = true;
-};
+    return out.filter(function(boundary,index){
+        return removed[index] !== true;
+    });
+}
 
 /**
- * Adds an arc to the path which is centered at (x, y) position with radius r starting at startAngle and ending at
- * endAngle going in the given direction by anticlockwise (defaulting to clockwise).
- * @param {Number} cx - The x coordinate of the arc's center.
- * @param {Number} cy - The y coordinate of the arc's center.
- * @param {Number} r - The arc's radius.
- * @param {Number} sAngle - The angle at which the arc starts, measured clockwise from the positive x axis and
- * expressed in radians.
- * @param {Number} eAngle - The angle at which the arc ends, measured clockwise from the positive x axis and
- * expressed in radians.
- * @param {Boolean} [counterclockwise] - An optional Boolean which, if true, causes the arc to be drawn
- * counter-clockwise between the two angles. By default it is drawn clockwise.
- * @param {Number} [numArcPoints] - Number of arc points.
+ * Removes points lying on the straight line between their neighbours or coinciding with their predecessor, within
+ * floating point errors, from a closed polygon.
+ * @param {Number[]} points
+ * @returns {Number[]}
+ * @private
  */
-Path2d.prototype.arc = function(cx,cy,r,sAngle,eAngle,counterclockwise,numArcPoints){
-    counterclockwise = counterclockwise || false;
-    numArcPoints     = numArcPoints === undefined ? this._numArcPoints : numArcPoints;
-    this._arc(cx,cy,r,r,0,sAngle,eAngle,counterclockwise,numArcPoints);
-};
+function removeCollinearPoints(points){
+    var out = [];
+    var l = points.length;
+    var ax, ay, bx, by;
+
+    for(var i = 0; i < l; i+=2){
+        ax = points[i  ] - points[(i - 2 + l) % l];
+        ay = points[i+1] - points[(i - 1 + l) % l];
+        bx = points[(i + 2) % l] - points[i  ];
+        by = points[(i + 3) % l] - points[i+1];
+        if(Math.abs(ax) + Math.abs(ay) <= EPSILON_INTERSECTION * (Math.abs(points[i]) + Math.abs(points[i+1]))){
+            continue;
+        }
+        if(Math.abs(ax * by - ay * bx) <= EPSILON_INTERSECTION * Math.sqrt((ax * ax + ay * ay) * (bx * bx + by * by)) &&
+           ax * bx + ay * by > 0){
+            continue;
+        }
+        out.push(points[i],points[i+1]);
+    }
+    return out;
+}
 
 /**
- * Adds an arc to the path with the given control points and radius, connected to the previous point by a straight line.
- * @param {Number} x1 - The x axis of the coordinate for the first control point.
- * @param {Number} y1 - The y axis of the coordinate for the first control point.
- * @param {Number} x2 - The x axis of the coordinate for the second control point.
- * @param {Number} y2 - The y axis of the coordinate for the second control point.
- * @param {Number} radius - The arc's radius.
- * @param {Number} [numArcPoints] - Number of arc points.
+ * Links directed boundary edges into closed polygons. At vertices with several outgoing edges the sharpest left turn
+ * gets taken, so regions touching at a vertex become separate polygons. Throws if an edge chain does not close.
+ * @param {Array} boundaries - [[x0,y0,x1,y1],...]
+ * @returns {Array} - [[x,y,x,y,...],...]
+ * @private
  */
-//http://d.hatena.ne.jp/mindcat/20100131/1264958828
-Path2d.prototype.arcTo = function(x1,y1,x2,y2,radius,numArcPoints){
-    if(this._recordPoints){
-        numArcPoints = numArcPoints === undefined ? this._numArcPoints : Math.max(2,numArcPoints);
-
-        var x0 = this._subPath.points[this._subPath.points.length-2];
-        var y0 = this._subPath.points[this._subPath.points.length-1];
-        var a1 = y0 - y1;
-        var b1 = x0 - x1;
-        var a2 = y2 - y1;
-        var b2 = x2 - x1;
-        var mm = Math.abs(a1*b2 - b1*a2);
-
-        if (mm === 0 || radius === 0) {
-            this.lineTo(x1, y1)
-            return;
-        }
+function linkArrangementBoundaries(boundaries){
+    var outgoing = {};
+    var used = [];
+    var out  = [];
+    var boundary, key, i;
+
+    for(i = 0; i < boundaries.length; ++i){
+        boundary = boundaries[i];
+        boundary.index = i;
+        key = boundary[0] + ' ' + boundary[1];
+        (outgoing[key] || (outgoing[key] = [])).push(boundary);
+    }
 
-        var dd = a1 * a1 + b1 * b1;
-        var cc = a2 * a2 + b2 * b2;
-        var tt = a1 * a2 + b1 * b2;
-        var k1 = radius * Math.sqrt(dd) / mm;
-        var k2 = radius * Math.sqrt(cc) / mm;
-        var j1 = k1 * tt / dd;
-        var j2 = k2 * tt / cc;
-        var cx = k1 * b2 + k2 * b1;
-        var cy = k1 * a2 + k2 * a1;
-        var px = b1 * (k2 + j1);
-        var py = a1 * (k2 + j1);
-        var qx = b2 * (k1 + j2);
-        var qy = a2 * (k1 + j2);
-        var ang1 = Math.atan2(py - cy, px - cx);
-        var ang2 = Math.atan2(qy - cy, qx - cx);
-
-        this.lineTo(px + x1, py + y1);
-        this.arc(cx + x1, cy + y1, radius, ang1, ang2, b1 * a2 > b2 * a1,numArcPoints);
+    var start, current, next, candidates, candidate;
+    var rx, ry, dx, dy, angle, angleMin, points, length;
 
-        if(this._recordSvgCmd){
+    for(i = 0; i < boundaries.length; ++i){
+        if(used[i]){
+            continue;
+        }
+        start   = current = boundaries[i];
+        points  = [];
+
+        while(true){
+            used[current.index] = true;
+            points.push(current[0],current[1]);
+
+            candidates = outgoing[current[2] + ' ' + current[3]] || [];
+            rx = current[0] - current[2];
+            ry = current[1] - current[3];
+            next = null;
+            angleMin = Number.MAX_VALUE;
+
+            //smallest clockwise rotation from the reversed incoming edge
+            for(var j = 0; j < candidates.length; ++j){
+                candidate = candidates[j];
+                if(used[candidate.index] && candidate !== start){
+                    continue;
+                }
+                dx = candidate[2] - candidate[0];
+                dy = candidate[3] - candidate[1];
+                angle = -Math.atan2(rx * dy - ry * dx,rx * dx + ry * dy);
+                if(angle <= 0){
+                    angle += PI2;
+                }
+                if(angle < angleMin){
+                    angleMin = angle;
+                    next = candidate;
+                }
+            }
 
+            if(next === null){
+                throw new Error('Path2d: Boundary open at ' + current[2] + ', ' + current[3] + '.');
+            }
+            if(next === start){
+                break;
+            }
+            current = next;
         }
-    } else {
 
+        points = removeCollinearPoints(points);
+        if(points.length < 6){
+            continue;
+        }
+        //slivers between vertices differing by floating point errors only, their mean width is below the precision
+        length = getPolylineLength(points,0,points.length / 2 - 1);
+        if(Math.abs(getPolygonArea(points)) * 2 <=
+           EPSILON_INTERSECTION * length * (Math.abs(points[0]) + Math.abs(points[1]) + length)){
+            continue;
+        }
+        out.push(points);
     }
 
-    this._dirty = true;
-};
+    return out;
+}
 
 /**
- * Adds an ellipse to the path which is centered at (x, y) position with the radii radiusX and radiusY starting at
- * startAngle and ending at endAngle going in the given direction by anticlockwise (defaulting to clockwise).
- * @param {Number} x - The x axis of the coordinate for the ellipse's center.
- * @param {Number} y - The y axis of the coordinate for the ellipse's center.
- * @param {Number} radiusX - The ellipse's major-axis radius.
- * @param {Number} radiusY - The ellipse's minor-axis radius.
- * @param {Number} rotation - The rotation for this ellipse, expressed in degrees.
- * @param {Number} sAngle - The starting point, measured from the x axis, from which it will be drawn, expressed in
- * radians.
- * @param {Number} eAngle - The end ellipse's angle to which it will be drawn, expressed in radians.
- * @param {Boolean} [counterclockwise] - An optional Boolean which, if true, draws the ellipse anticlockwise
- * (counter-clockwise), otherwise in a clockwise direction.
- * @param [numEllipsePoints] - Number of ellipse points.
+ * Combines the areas of two sets of implicitly closed polygons, both filled by the nonzero rule.
+ * @param {Array} polygonsA - [[x,y,x,y,...],...]
+ * @param {Array} polygonsB - [[x,y,x,y,...],...]
+ * @param {Function} isInside - Called with the insides of a and b.
+ * @returns {Array} - The outlines of the resulting area, directed counter-clockwise (y up), holes clockwise.
+ * @private
  */
-Path2d.prototype.ellipse = function(x,y,radiusX,radiusY,rotation,sAngle,eAngle,counterclockwise,numEllipsePoints){
-    counterclockwise = counterclockwise || false;
-    numEllipsePoints = numEllipsePoints === undefined ? this._numEllipsePoints : numEllipsePoints;
-    this._arc(x,y,radiusX,radiusY,rotation,sAngle,eAngle,counterclockwise,numEllipsePoints);
-};
+function combinePolygons(polygonsA,polygonsB,isInside){
+    var edges = [];
+    addArrangementEdges(polygonsA,0,2,edges);
+    addArrangementEdges(polygonsB,1,2,edges);
+    edges = splitArrangementEdges(edges);
+
+    var trapezoids = getArrangementTrapezoids(edges,function(winding){
+        return isInside(winding[0] !== 0,winding[1] !== 0);
+    });
+    return linkArrangementBoundaries(getArrangementBoundaries(trapezoids));
+}
 
-Path2d.prototype.ellipseCentered = function(){};
+/*--------------------------------------------------------------------------------------------------------------------*/
+// Intersection
+/*--------------------------------------------------------------------------------------------------------------------*/
 
 /**
- * Creates a new sub path ellipse which is centered at (x, y) position with the radii radiusX and radiusY starting at
- * startAngle and ending at endAngle going in the given direction by anticlockwise (defaulting to clockwise).
- * @param {Number} x - The x axis of the coordinate for the ellipse's center.
- * @param {Number} y - The y axis of the coordinate for the ellipse's center.
- * @param {Number} radiusX - The ellipse's major-axis radius.
- * @param {Number} radiusY - The ellipse's minor-axis radius.
- * @param {Number} rotation - The rotation for this ellipse, expressed in degrees.
- * @param {Number} startAngle - The starting point, measured from the x axis, from which it will be drawn, expressed in
- * radians.
- * @param {Number} endAngle - The end ellipse's angle to which it will be drawn, expressed in radians.
- * @param {Boolean} [counterclockwise] - An optional Boolean which, if true, draws the ellipse anticlockwise
- * (counter-clockwise), otherwise in a clockwise direction.
- * @param [numEllipsePoints] - Number of ellipse points.
+ * Collects the segments of sub-paths with their bounds. Segments are half-open, excluding their end point, unless they
+ * end a figure, so crossings at shared vertices get found once.
+ * @param {SubPath[]} subPaths
+ * @param {Number} source - Identifies the path the segments belong to.
+ * @param {Array} out
+ * @returns {Array}
+ * @private
  */
-Path2d.prototype.ellipseAt = function(x,y,radiusX,radiusY,rotation,startAngle,endAngle,counterclockwise,numEllipsePoints){
-    this._subPath = null;
-    this.ellipse(
-        x,y,
+function collectSegments(subPaths,source,out){
+    var subPath, points, next, endsFigure;
+    var x0, y0, x1, y1;
+
+    for(var i = 0, l = subPaths.length; i < l; ++i){
+        subPath = subPaths[i];
+        points  = subPath.points;
+        next    = subPaths[i + 1];
+        endsFigure = !subPath.closed && (next === undefined || !next.continued);
+
+        for(var j = 0, k = 0, m = points.length - 2; j < m; j+=2, k++){
+            x0 = points[j  ];
+            y0 = points[j+1];
+            x1 = points[j+2];
+            y1 = points[j+3];
+            out.push({
+                source : source,
+                subPathIndex : i,
+                segIndex : k,
+                x0 : x0, y0 : y0, x1 : x1, y1 : y1,
+                minX : Math.min(x0,x1),
+                maxX : Math.max(x0,x1),
+                minY : Math.min(y0,y1),
+                maxY : Math.max(y0,y1),
+                includesEnd : endsFigure && j === m - 2
+            });
+        }
+    }
+    return out;
+}
+
+/**
+ * Writes the ratios along both segments at which they cross to out, returns false if they don't. Parallel segments are
+ * not considered.
+ * @private
+ */
+function getSegmentIntersectionRatios(a,b,out){
+    var rx = a.x1 - a.x0;
+    var ry = a.y1 - a.y0;
+    var sx = b.x1 - b.x0;
+    var sy = b.y1 - b.y0;
+    var denom = rx * sy - ry * sx;
+
+    if(Math.abs(denom) <= EPSILON_INTERSECTION * Math.sqrt((rx * rx + ry * ry) * (sx * sx + sy * sy))){
+        return false;
+    }
+
+    var qx = b.x0 - a.x0;
+    var qy = b.y0 - a.y0;
+    var t  = (qx * sy - qy * sx) / denom;
+    var u  = (qx * ry - qy * rx) / denom;
+
+    //snap to end points
+    t = Math.abs(t) < EPSILON_INTERSECTION ? 0 : Math.abs(1 - t) < EPSILON_INTERSECTION ? 1 : t;
+    u = Math.abs(u) < EPSILON_INTERSECTION ? 0 : Math.abs(1 - u) < EPSILON_INTERSECTION ? 1 : u;
+
+    if(t < 0 || t > 1 || (t === 1 && !a.includesEnd) ||
+       u < 0 || u > 1 || (u === 1 && !b.includesEnd)){
+        return false;
+    }
+    out[0] = t;
+    out[1] = u;
+    return true;
+}
+
+/**
+ * Calls back with all pairs of crossing segments, either between segments of different sources or, if self is true,
+ * between segments of the same source. Candidates are found by sweeping the segment bounds along x.
+ * @param {Array} segments
+ * @param {Boolean} self
+ * @param {Function} callback - Called with both segments and the ratios along them.
+ * @private
+ */
+function sweepSegmentIntersections(segments,self,callback){
+    var sorted = segments.slice(0).sort(function(a,b){
+        return a.minX - b.minX;
+    });
+    var active = [];
+    var ratios = [0,0];
+    var segment, other, i, j, k;
+
+    for(i = 0; i < sorted.length; ++i){
+        segment = sorted[i];
+
+        for(j = 0, k = 0; j < active.length; ++j){
+            other = active[j];
+            if(other.maxX < segment.minX){
+                continue;
+            }
+            active[k++] = other;
+
+            if(other.maxY < segment.minY || other.minY > segment.maxY ||
+               (other.source === segment.source) !== self){
+                continue;
+            }
+            if(getSegmentIntersectionRatios(other,segment,ratios)){
+                callback(other,segment,ratios[0],ratios[1]);
+            }
+        }
+        active.length = k;
+        active.push(segment);
+    }
+}
+
+/*--------------------------------------------------------------------------------------------------------------------*/
+// Spatial index
+/*--------------------------------------------------------------------------------------------------------------------*/
+
+var SPATIAL_INDEX_LEAF_SIZE = 4;
+
+function createSegmentIndexNode(points,segments,start,end){
+    var node = {
+        minX : Number.MAX_VALUE, minY : Number.MAX_VALUE,
+        maxX : -Number.MAX_VALUE, maxY : -Number.MAX_VALUE,
+        start : start,
+        end   : end,
+        left  : null,
+        right : null
+    };
+    var i, index;
+
+    for(i = start; i < end; ++i){
+        index = segments[i] * 2;
+        node.minX = Math.min(node.minX,points[index],points[index+2]);
+        node.minY = Math.min(node.minY,points[index+1],points[index+3]);
+        node.maxX = Math.max(node.maxX,points[index],points[index+2]);
+        node.maxY = Math.max(node.maxY,points[index+1],points[index+3]);
+    }
+
+    if(end - start <= SPATIAL_INDEX_LEAF_SIZE){
+        return node;
+    }
+
+    //split at the median segment center along the longer axis
+    var axis = node.maxX - node.minX >= node.maxY - node.minY ? 0 : 1;
+    var sorted = segments.slice(start,end).sort(function(a,b){
+        return (points[a * 2 + axis] + points[a * 2 + 2 + axis]) - (points[b * 2 + axis] + points[b * 2 + 2 + axis]);
+    });
+    for(i = start; i < end; ++i){
+        segments[i] = sorted[i - start];
+    }
+
+    var mid = (start + end) >> 1;
+    node.left  = createSegmentIndexNode(points,segments,start,mid);
+    node.right = createSegmentIndexNode(points,segments,mid,end);
+    return node;
+}
+
+/**
+ * Creates a bounding volume hierarchy over the segments of a polyline.
+ * @param {Number[]} points - [x,y,x,y,...]
+ * @returns {Object|null} - {segments : segment indices referenced by node ranges, root : node}
+ * @private
+ */
+function createSegmentIndex(points){
+    var numSegments = points.length / 2 - 1;
+    if(numSegments < 1){
+        return null;
+    }
+    var segments = [];
+    for(var i = 0; i < numSegments; ++i){
+        segments[i] = i;
+    }
+    return {
+        segments : segments,
+        root     : createSegmentIndexNode(points,segments,0,numSegments)
+    };
+}
+
+function getDistanceToIndexNode(node,x,y){
+    var dx = Math.max(node.minX - x,0,x - node.maxX);
+    var dy = Math.max(node.minY - y,0,y - node.maxY);
+    return Math.sqrt(dx * dx + dy * dy);
+}
+
+/*--------------------------------------------------------------------------------------------------------------------*/
+// Triangulation
+/*--------------------------------------------------------------------------------------------------------------------*/
+
+/**
+ * Triangulates the trapezoids of an arrangement. Vertices of adjacent trapezoids lying on a trapezoids top or bottom
+ * get included, so the resulting mesh has no t-junctions.
+ * @param {Array} trapezoids
+ * @returns {Object} - {vertices : [x,y,x,y,...], indices : [a,b,c,...]}
+ * @private
+ */
+function triangulateTrapezoids(trapezoids){
+    var rows = {};
+    var row, trapezoid, i, j;
+
+    //end points of all boundary edges per height
+    function addVertex(x,y){
+        row = rows[y] || (rows[y] = []);
+        if(row.indexOf(x) === -1){
+            row.push(x);
+        }
+    }
+    for(i = 0; i < trapezoids.length; ++i){
+        trapezoid = trapezoids[i];
+        addVertex(trapezoid.left.x0, trapezoid.left.y0);
+        addVertex(trapezoid.left.x1, trapezoid.left.y1);
+        addVertex(trapezoid.right.x0,trapezoid.right.y0);
+        addVertex(trapezoid.right.x1,trapezoid.right.y1);
+    }
+    for(var y in rows){
+        rows[y].sort(function(a,b){return a - b;});
+    }
+
+    var vertices = [];
+    var indices  = [];
+    var indexMap = {};
+
+    function getIndex(x,y){
+        var key   = x + ' ' + y;
+        var index = indexMap[key];
+        if(index === undefined){
+            index = indexMap[key] = vertices.length / 2;
+            vertices.push(x,y);
+        }
+        return index;
+    }
+
+    function getChain(y,xl,xr){
+        var chain = [xl];
+        var xs = rows[y] || [];
+        for(var i = 0; i < xs.length; ++i){
+            if(xs[i] > xl && xs[i] < xr){
+                chain.push(xs[i]);
+            }
+        }
+        if(xr > xl){
+            chain.push(xr);
+        }
+        return chain;
+    }
+
+    var bottom, top, xlb, xrb, xlt, xrt, ub, ut;
+
+    for(i = 0; i < trapezoids.length; ++i){
+        trapezoid = trapezoids[i];
+        if(trapezoid.y0 === trapezoid.y1){
+            continue;
+        }
+
+        xlb = getArrangementEdgeXAt(trapezoid.left, trapezoid.y0);
+        xrb = getArrangementEdgeXAt(trapezoid.right,trapezoid.y0);
+        xlt = getArrangementEdgeXAt(trapezoid.left, trapezoid.y1);
+        xrt = getArrangementEdgeXAt(trapezoid.right,trapezoid.y1);
+
+        bottom = getChain(trapezoid.y0,xlb,xrb);
+        top    = getChain(trapezoid.y1,xlt,xrt);
+
+        //zip both chains by their relative position between the bounding edges
+        var b = 0, t = 0;
+        while(b < bottom.length - 1 || t < top.length - 1){
+            ub = b < bottom.length - 1 ? (bottom[b+1] - xlb) / (xrb - xlb) : Number.MAX_VALUE;
+            ut = t < top.length - 1    ? (top[t+1]    - xlt) / (xrt - xlt) : Number.MAX_VALUE;
+
+            if(ub <= ut){
+                indices.push(
+                    getIndex(bottom[b],  trapezoid.y0),
+                    getIndex(bottom[b+1],trapezoid.y0),
+                    getIndex(top[t],     trapezoid.y1)
+                );
+                b++;
+            } else {
+                indices.push(
+                    getIndex(bottom[b],  trapezoid.y0),
+                    getIndex(top[t+1],   trapezoid.y1),
+                    getIndex(top[t],     trapezoid.y1)
+                );
+                t++;
+            }
+        }
+    }
+
+    return {vertices : vertices, indices : indices};
+}
+
+/*--------------------------------------------------------------------------------------------------------------------*/
+// Curve evaluation
+/*--------------------------------------------------------------------------------------------------------------------*/
+
+// Curves are parametrized by t in [0,1], arcs and ellipses by the ratio of their sweep, matching their flattened
+// points, which lie at uniform steps of t.
+
+// 8-point Gauss-Legendre abscissae and weights on [-1,1]
+var GAUSS_LEGENDRE_X = [
+    -0.9602898564975363, -0.7966664774136267, -0.5255324099163290, -0.1834346424956498,
+     0.1834346424956498,  0.5255324099163290,  0.7966664774136267,  0.9602898564975363
+];
+var GAUSS_LEGENDRE_W = [
+     0.1012285362903763,  0.2223810344533745,  0.3137066458778873,  0.3626837833783620,
+     0.3626837833783620,  0.3137066458778873,  0.2223810344533745,  0.1012285362903763
+];
+
+var EPSILON_CURVE_LENGTH       = 1e-12;
+var MAX_CURVE_LENGTH_DEPTH     = 12;
+var MAX_CURVE_RATIO_ITERATIONS = 32;
+var EPSILON_CURVATURE          = 1e-9;
+
+/**
+ * Writes the point on a curve, arc or ellipse at t.
+ * @param {Object} curve
+ * @param {Number} t
+ * @param {Number[]} out - [x,y]
+ * @returns {Number[]}
+ * @private
+ */
+function getCurvePoint(curve,t,out){
+    var args = curve.args;
+    var _t = 1.0 - t;
+    var b1, b2, b3, b4;
+
+    switch(curve.type){
+        case 'Q':
+            b1 = _t * _t;
+            b2 = 2 * _t * t;
+            b3 = t * t;
+            out[0] = args[0] * b1 + args[2] * b2 + args[4] * b3;
+            out[1] = args[1] * b1 + args[3] * b2 + args[5] * b3;
+            break;
+
+        case 'C':
+            b1 = _t * _t * _t;
+            b2 = 3 * _t * _t * t;
+            b3 = 3 * _t * t * t;
+            b4 = t * t * t;
+            out[0] = args[0] * b1 + args[2] * b2 + args[4] * b3 + args[6] * b4;
+            out[1] = args[1] * b1 + args[3] * b2 + args[5] * b3 + args[7] * b4;
+            break;
+
+        case 'A':
+            var angle  = args[5] + args[6] * t;
+            var px     = args[2] * Math.cos(angle);
+            var py     = args[3] * Math.sin(angle);
+            var cosrot = Math.cos(args[4]);
+            var sinrot = Math.sin(args[4]);
+            out[0] = px * cosrot - py * sinrot + args[0];
+            out[1] = px * sinrot + py * cosrot + args[1];
+            break;
+    }
+    return out;
+}
+
+/**
+ * Writes the derivative of a curve, arc or ellipse with respect to t.
+ * @param {Object} curve
+ * @param {Number} t
+ * @param {Number[]} out - [dx,dy]
+ * @returns {Number[]}
+ * @private
+ */
+function getCurveDerivative(curve,t,out){
+    var args = curve.args;
+    var _t = 1.0 - t;
+    var b1, b2, b3;
+
+    switch(curve.type){
+        case 'Q':
+            b1 = 2 * _t;
+            b2 = 2 * t;
+            out[0] = (args[2] - args[0]) * b1 + (args[4] - args[2]) * b2;
+            out[1] = (args[3] - args[1]) * b1 + (args[5] - args[3]) * b2;
+            break;
+
+        case 'C':
+            b1 = 3 * _t * _t;
+            b2 = 6 * _t * t;
+            b3 = 3 * t * t;
+            out[0] = (args[2] - args[0]) * b1 + (args[4] - args[2]) * b2 + (args[6] - args[4]) * b3;
+            out[1] = (args[3] - args[1]) * b1 + (args[5] - args[3]) * b2 + (args[7] - args[5]) * b3;
+            break;
+
+        case 'A':
+            var sweep  = args[6];
+            var angle  = args[5] + sweep * t;
+            var px     = -args[2] * Math.sin(angle) * sweep;
+            var py     =  args[3] * Math.cos(angle) * sweep;
+            var cosrot = Math.cos(args[4]);
+            var sinrot = Math.sin(args[4]);
+            out[0] = px * cosrot - py * sinrot;
+            out[1] = px * sinrot + py * cosrot;
+            break;
+    }
+    return out;
+}
+
+/**
+ * Writes the second derivative of a curve, arc or ellipse with respect to t.
+ * @param {Object} curve
+ * @param {Number} t
+ * @param {Number[]} out - [ddx,ddy]
+ * @returns {Number[]}
+ * @private
+ */
+function getCurveSecondDerivative(curve,t,out){
+    var args = curve.args;
+
+    switch(curve.type){
+        case 'Q':
+            out[0] = 2 * (args[0] - 2 * args[2] + args[4]);
+            out[1] = 2 * (args[1] - 2 * args[3] + args[5]);
+            break;
+
+        case 'C':
+            var _t = 1.0 - t;
+            out[0] = 6 * _t * (args[0] - 2 * args[2] + args[4]) + 6 * t * (args[2] - 2 * args[4] + args[6]);
+            out[1] = 6 * _t * (args[1] - 2 * args[3] + args[5]) + 6 * t * (args[3] - 2 * args[5] + args[7]);
+            break;
+
+        case 'A':
+            var sweep  = args[6];
+            var angle  = args[5] + sweep * t;
+            var px     = -args[2] * Math.cos(angle) * sweep * sweep;
+            var py     = -args[3] * Math.sin(angle) * sweep * sweep;
+            var cosrot = Math.cos(args[4]);
+            var sinrot = Math.sin(args[4]);
+            out[0] = px * cosrot - py * sinrot;
+            out[1] = px * sinrot + py * cosrot;
+            break;
+    }
+    return out;
+}
+
+/**
+ * Returns the signed curvature of a curve, arc or ellipse at t, positive if turning towards the normal. At cusps the
+ * curvature next to it is returned.
+ * @param {Object} curve
+ * @param {Number} t
+ * @returns {Number}
+ * @private
+ */
+function getCurveCurvature(curve,t){
+    var d  = getCurveDerivative(curve,t,[0,0]);
+    var dd = getCurveSecondDerivative(curve,t,[0,0]);
+    var speedSq = d[0] * d[0] + d[1] * d[1];
+
+    if(speedSq === 0){
+        t  = t < 0.5 ? t + EPSILON : t - EPSILON;
+        d  = getCurveDerivative(curve,t,d);
+        dd = getCurveSecondDerivative(curve,t,dd);
+        speedSq = d[0] * d[0] + d[1] * d[1];
+        if(speedSq === 0){
+            return 0;
+        }
+    }
+    return (d[0] * dd[1] - d[1] * dd[0]) / (speedSq * Math.sqrt(speedSq));
+}
+
+/**
+ * Returns the speed of a curve, arc or ellipse at t.
+ * @private
+ */
+function getCurveSpeed(curve,t,temp){
+    var d = getCurveDerivative(curve,t,temp);
+    return Math.sqrt(d[0] * d[0] + d[1] * d[1]);
+}
+
+/**
+ * Integrates the speed of a curve between t0 and t1 by Gauss-Legendre quadrature.
+ * @private
+ */
+function integrateCurveSpeed(curve,t0,t1,temp){
+    var half   = (t1 - t0) * 0.5;
+    var center = (t1 + t0) * 0.5;
+    var sum    = 0;
+    for(var i = 0; i < 8; ++i){
+        sum += GAUSS_LEGENDRE_W[i] * getCurveSpeed(curve,center + half * GAUSS_LEGENDRE_X[i],temp);
+    }
+    return sum * half;
+}
+
+/**
+ * Returns the arc length of a curve, arc or ellipse between t0 and t1. The interval gets bisected until the
+ * quadrature converges.
+ * @param {Object} curve
+ * @param {Number} t0
+ * @param {Number} t1
+ * @returns {Number}
+ * @private
+ */
+function getCurveLength(curve,t0,t1){
+    var temp = [0,0];
+    var args = curve.args;
+
+    //circular arcs have constant speed
+    if(curve.type === 'A' && args[2] === args[3]){
+        return Math.abs(args[2] * args[6] * (t1 - t0));
+    }
+
+    function integrate(t0,t1,whole,depth){
+        var tm    = (t0 + t1) * 0.5;
+        var left  = integrateCurveSpeed(curve,t0,tm,temp);
+        var right = integrateCurveSpeed(curve,tm,t1,temp);
+        var sum   = left + right;
+        if(depth >= MAX_CURVE_LENGTH_DEPTH || Math.abs(sum - whole) <= EPSILON_CURVE_LENGTH * Math.max(1,sum)){
+            return sum;
+        }
+        return integrate(t0,tm,left,depth + 1) + integrate(tm,t1,right,depth + 1);
+    }
+
+    return integrate(t0,t1,integrateCurveSpeed(curve,t0,t1,temp),0);
+}
+
+/**
+ * Returns the parameter of a curve, arc or ellipse at the arc length given, measured from t0. Solved by Newton's
+ * method, falling back to bisection if a step leaves the bracket [t0,t1].
+ * @param {Object} curve
+ * @param {Number} t0
+ * @param {Number} t1
+ * @param {Number} length - The arc length from t0.
+ * @param {Number} lengthTotal - The arc length between t0 and t1.
+ * @returns {Number}
+ * @private
+ */
+function getCurveRatioAtLength(curve,t0,t1,length,lengthTotal){
+    if(length <= 0 || lengthTotal <= 0){
+        return t0;
+    }
+    if(length >= lengthTotal){
+        return t1;
+    }
+
+    var temp = [0,0];
+    var low  = t0;
+    var high = t1;
+    var t    = t0 + (t1 - t0) * length / lengthTotal;
+    var error, speed, next;
+
+    for(var i = 0; i < MAX_CURVE_RATIO_ITERATIONS; ++i){
+        error = getCurveLength(curve,t0,t) - length;
+        if(Math.abs(error) <= EPSILON_CURVE_LENGTH * Math.max(1,lengthTotal)){
+            break;
+        }
+        if(error > 0){
+            high = t;
+        } else {
+            low = t;
+        }
+        speed = getCurveSpeed(curve,t,temp);
+        next  = speed > 0 ? t - error / speed : NaN;
+        t     = next > low && next < high ? next : (low + high) * 0.5;
+    }
+    return t;
+}
+
+/**
+ * Returns the curve of a sub-path a segment belongs to, or null if the segment is a straight line.
+ * @param {SubPath} subPath
+ * @param {Number} segIndex
+ * @returns {Object|null}
+ * @private
+ */
+function getCurveAtSegment(subPath,segIndex){
+    var curves = subPath.curves;
+    var low  = 0;
+    var high = curves.length - 1;
+    var mid;
+
+    if(high < 0 || curves[0].index > segIndex){
+        return null;
+    }
+    while(low < high){
+        mid = (low + high + 1) >> 1;
+        if(curves[mid].index <= segIndex){
+            low = mid;
+        } else {
+            high = mid - 1;
+        }
+    }
+    var curve = curves[low];
+    return segIndex < curve.index + curve.count - 1 ? curve : null;
+}
+
+/**
+ * Returns the parameter of the curve a sub-path segment belongs to, at the ratio between the segment start and end.
+ * @param {SubPath} subPath
+ * @param {Object} curve
+ * @param {Number} segIndex
+ * @param {Number} ratio
+ * @returns {Number}
+ * @private
+ */
+function getCurveRatioAtSegment(subPath,curve,segIndex,ratio){
+    var step = 1.0 / (curve.count - 1);
+    var t0   = (segIndex - curve.index) * step;
+    var segmentLength = subPath.segmentLengths[segIndex];
+    return getCurveRatioAtLength(curve,t0,t0 + step,ratio * segmentLength,segmentLength);
+}
+
+/**
+ * Writes the segment index and ratio of a curve parameter, the ratio being a length ratio if segment lengths are
+ * analytic.
+ * @param {SubPath} subPath
+ * @param {Object} curve
+ * @param {Number} t
+ * @param {Boolean} analytic
+ * @param {Array} out - [index sub-path, index a, index b, ratio]
+ * @returns {Array}
+ * @private
+ */
+function getIndicesAndRatioAtCurveRatio(subPath,curve,t,analytic,out){
+    var step   = 1.0 / (curve.count - 1);
+    var offset = Math.min(Math.floor(t / step),curve.count - 2);
+    var t0     = offset * step;
+    var segIndex = curve.index + offset;
+    var segmentLength = subPath.segmentLengths[segIndex];
+
+    out[1] = segIndex;
+    out[2] = segIndex + 1;
+    out[3] = !analytic ? (t - t0) / step :
+             segmentLength > 0 ? Math.min(1,getCurveLength(curve,t0,t) / segmentLength) : 0;
+    return out;
+}
+
+/**
+ * Returns the parameter of a curvature feature of a curve between t0 and t1, the root of the curvature for inflections
+ * with the curvature changing sign in between, otherwise the maximum of the absolute curvature.
+ * @param {Object} curve
+ * @param {Number} t0
+ * @param {Number} t1
+ * @param {Boolean} inflection
+ * @returns {Number}
+ * @private
+ */
+function getCurveRatioAtCurvatureFeature(curve,t0,t1,inflection){
+    var i, t;
+
+    if(inflection){
+        var positive = getCurveCurvature(curve,t0) > 0;
+        for(i = 0; i < MAX_CURVE_RATIO_ITERATIONS; ++i){
+            t = (t0 + t1) * 0.5;
+            if(getCurveCurvature(curve,t) > 0 === positive){
+                t0 = t;
+            } else {
+                t1 = t;
+            }
+        }
+        return (t0 + t1) * 0.5;
+    }
+
+    //golden section search
+    var ratio = (Math.sqrt(5) - 1) * 0.5;
+    var a = t1 - (t1 - t0) * ratio;
+    var b = t0 + (t1 - t0) * ratio;
+    var ka = Math.abs(getCurveCurvature(curve,a));
+    var kb = Math.abs(getCurveCurvature(curve,b));
+
+    for(i = 0; i < MAX_CURVE_RATIO_ITERATIONS; ++i){
+        if(ka > kb){
+            t1 = b;
+            b  = a;
+            kb = ka;
+            a  = t1 - (t1 - t0) * ratio;
+            ka = Math.abs(getCurveCurvature(curve,a));
+        } else {
+            t0 = a;
+            a  = b;
+            ka = kb;
+            b  = t0 + (t1 - t0) * ratio;
+            kb = Math.abs(getCurveCurvature(curve,b));
+        }
+    }
+    return (t0 + t1) * 0.5;
+}
+
+/**
+ * Replaces the lengths of segments flattened from curves, arcs and ellipses by the arc lengths of the original
+ * definitions and updates the segment offsets.
+ * @param {SubPath} subPath
+ * @returns {Number} - The resulting sub-path length.
+ * @private
+ */
+function updateSegmentLengthsAnalytic(subPath){
+    var curves = subPath.curves;
+    var segmentLengths = subPath.segmentLengths;
+    var segmentOffsets = subPath.segmentOffsets;
+    var curve, step, i, j, l;
+
+    for(i = 0, l = curves.length; i < l; ++i){
+        curve = curves[i];
+        step  = 1.0 / (curve.count - 1);
+        for(j = 0; j < curve.count - 1; ++j){
+            segmentLengths[curve.index + j] = getCurveLength(curve,j * step,(j + 1) * step);
+        }
+    }
+
+    var length = 0;
+    for(i = 0, l = segmentLengths.length; i < l; ++i){
+        segmentOffsets[i] = length;
+        length += segmentLengths[i];
+    }
+    return length;
+}
+
+/*--------------------------------------------------------------------------------------------------------------------*/
+// Spline
+/*--------------------------------------------------------------------------------------------------------------------*/
+
+var SPLINE_TYPES = {
+    'catmull-rom' : true,
+    'centripetal' : true,
+    'cardinal'    : true,
+    'monotone-x'  : true
+};
+
+/**
+ * Returns the cubic Bézier control and end points of a Catmull-Rom family spline through the points given. Open
+ * splines repeat their end points as outer neighbours, closed ones wrap.
+ * @param {Number[]} points - [x,y,x,y,...]
+ * @param {Boolean} centripetal - If true, the spline gets parameterized by the square root of the point distances,
+ * otherwise uniformly.
+ * @param {Number} tension - The tension of uniform splines, 0 yields Catmull-Rom, 1 straight lines.
+ * @param {Boolean} closed
+ * @returns {Number[]} - [cp1x,cp1y,cp2x,cp2y,x,y,...]
+ * @private
+ */
+function getSplineCurvesCatmullRom(points,centripetal,tension,closed){
+    var numPoints   = points.length / 2;
+    var numSegments = closed ? numPoints : numPoints - 1;
+    var scale = (1.0 - tension) / 6.0;
+    var out   = new Array(numSegments * 6);
+    var i0, i1, i2, i3, x0, y0, x1, y1, x2, y2, x3, y3;
+    var l01, l12, l23, a, b, n;
+
+    for(var i = 0; i < numSegments; ++i){
+        i1 = i;
+        i2 = (i + 1) % numPoints;
+        i0 = closed ? (i - 1 + numPoints) % numPoints : Math.max(0,i - 1);
+        i3 = closed ? (i + 2) % numPoints : Math.min(numPoints - 1,i + 2);
+
+        x0 = points[i0 * 2]; y0 = points[i0 * 2 + 1];
+        x1 = points[i1 * 2]; y1 = points[i1 * 2 + 1];
+        x2 = points[i2 * 2]; y2 = points[i2 * 2 + 1];
+        x3 = points[i3 * 2]; y3 = points[i3 * 2 + 1];
+
+        if(!centripetal){
+            out[i * 6    ] = x1 + (x2 - x0) * scale;
+            out[i * 6 + 1] = y1 + (y2 - y0) * scale;
+            out[i * 6 + 2] = x2 - (x3 - x1) * scale;
+            out[i * 6 + 3] = y2 - (y3 - y1) * scale;
+        } else {
+            l01 = Math.sqrt(Math.sqrt((x1 - x0) * (x1 - x0) + (y1 - y0) * (y1 - y0)));
+            l12 = Math.sqrt(Math.sqrt((x2 - x1) * (x2 - x1) + (y2 - y1) * (y2 - y1)));
+            l23 = Math.sqrt(Math.sqrt((x3 - x2) * (x3 - x2) + (y3 - y2) * (y3 - y2)));
+
+            //coincident neighbours, as at open ends, keep the control point on the segment point
+            if(l01 > EPSILON){
+                a = 2 * l01 * l01 + 3 * l01 * l12 + l12 * l12;
+                n = 3 * l01 * (l01 + l12);
+                out[i * 6    ] = (x1 * a - x0 * l12 * l12 + x2 * l01 * l01) / n;
+                out[i * 6 + 1] = (y1 * a - y0 * l12 * l12 + y2 * l01 * l01) / n;
+            } else {
+                out[i * 6    ] = x1;
+                out[i * 6 + 1] = y1;
+            }
+            if(l23 > EPSILON){
+                b = 2 * l23 * l23 + 3 * l23 * l12 + l12 * l12;
+                n = 3 * l23 * (l23 + l12);
+                out[i * 6 + 2] = (x2 * b + x1 * l23 * l23 - x3 * l12 * l12) / n;
+                out[i * 6 + 3] = (y2 * b + y1 * l23 * l23 - y3 * l12 * l12) / n;
+            } else {
+                out[i * 6 + 2] = x2;
+                out[i * 6 + 3] = y2;
+            }
+        }
+
+        out[i * 6 + 4] = x2;
+        out[i * 6 + 5] = y2;
+    }
+
+    return out;
+}
+
+/**
+ * Returns the cubic Bézier control and end points of a spline through the points given which is monotone in y between
+ * them (Steffen). Requires ascending x coordinates.
+ * @param {Number[]} points - [x,y,x,y,...]
+ * @returns {Number[]} - [cp1x,cp1y,cp2x,cp2y,x,y,...]
+ * @private
+ */
+function getSplineCurvesMonotoneX(points){
+    var numPoints   = points.length / 2;
+    var numSegments = numPoints - 1;
+    var slopes = new Array(numSegments);
+    var tangents = new Array(numPoints);
+    var i, h, h0, h1, s0, s1, p;
+
+    for(i = 0; i < numSegments; ++i){
+        h = points[i * 2 + 2] - points[i * 2];
+        if(h < 0){
+            throw new Error('Path2d: Monotone-x splines require ascending x coordinates.');
+        }
+        slopes[i] = h > 0 ? (points[i * 2 + 3] - points[i * 2 + 1]) / h : 0;
+    }
+
+    //interior tangents limited to keep the spline monotone, one-sided tangents at the ends
+    for(i = 1; i < numSegments; ++i){
+        h0 = points[i * 2] - points[i * 2 - 2];
+        h1 = points[i * 2 + 2] - points[i * 2];
+        s0 = slopes[i - 1];
+        s1 = slopes[i];
+        if(s0 * s1 <= 0){
+            tangents[i] = 0;
+            continue;
+        }
+        p = (s0 * h1 + s1 * h0) / (h0 + h1);
+        tangents[i] = (s0 > 0 ? 2 : -2) * Math.min(Math.abs(s0),Math.abs(s1),0.5 * Math.abs(p));
+    }
+    if(numSegments === 1){
+        tangents[0] = tangents[1] = slopes[0];
+    } else {
+        tangents[0] = (3 * slopes[0] - tangents[1]) * 0.5;
+        tangents[numSegments] = (3 * slopes[numSegments - 1] - tangents[numSegments - 1]) * 0.5;
+    }
+
+    var out = new Array(numSegments * 6);
+    var x0, y0, x1, y1, dx;
+
+    for(i = 0; i < numSegments; ++i){
+        x0 = points[i * 2    ];
+        y0 = points[i * 2 + 1];
+        x1 = points[i * 2 + 2];
+        y1 = points[i * 2 + 3];
+        dx = (x1 - x0) / 3;
+
+        out[i * 6    ] = x0 + dx;
+        out[i * 6 + 1] = y0 + dx * tangents[i];
+        out[i * 6 + 2] = x1 - dx;
+        out[i * 6 + 3] = y1 - dx * tangents[i + 1];
+        out[i * 6 + 4] = x1;
+        out[i * 6 + 5] = y1;
+    }
+
+    return out;
+}
+
+/*--------------------------------------------------------------------------------------------------------------------*/
+// Export formats
+/*--------------------------------------------------------------------------------------------------------------------*/
+
+var EXPORT_PRECISION = 6;
+
+/**
+ * Returns a number in fixed-point notation without trailing zeros, as required by PDF content streams.
+ * @param {Number} value
+ * @returns {String}
+ * @private
+ */
+function formatNumberFixed(value){
+    var str = value.toFixed(EXPORT_PRECISION);
+    if(str.indexOf('.') !== -1){
+        str = str.replace(/\.?0+$/,'');
+    }
+    return str === '-0' ? '0' : str;
+}
+
+/**
+ * Returns the point of an arc or ellipse [cx,cy,radiusX,radiusY,rotation,startAngle,sweep] at the angle given.
+ * @private
+ */
+function getArcPoint(args,angle,out){
+    var x = Math.cos(angle) * args[2];
+    var y = Math.sin(angle) * args[3];
+    var cosrot = Math.cos(args[4]);
+    var sinrot = Math.sin(args[4]);
+    out[0] = x * cosrot - y * sinrot + args[0];
+    out[1] = x * sinrot + y * cosrot + args[1];
+    return out;
+}
+
+/**
+ * Returns cubic Béziers approximating an arc or ellipse [cx,cy,radiusX,radiusY,rotation,startAngle,sweep], one per
+ * quarter turn at most.
+ * @param {Number[]} args
+ * @returns {Number[]} - [cp1x,cp1y,cp2x,cp2y,x,y,...]
+ * @private
+ */
+function getArcBeziers(args){
+    var sweep = args[6];
+    var num   = Math.max(1,Math.ceil(Math.abs(sweep) / (Math.PI * 0.5) - EPSILON));
+    var step  = sweep / num;
+    var k     = 4 / 3 * Math.tan(step * 0.25);
+    var cosrot = Math.cos(args[4]);
+    var sinrot = Math.sin(args[4]);
+    var out = [];
+    var angle0, angle1, cos0, sin0, cos1, sin1;
+
+    function push(x,y){
+        x *= args[2];
+        y *= args[3];
+        out.push(x * cosrot - y * sinrot + args[0],x * sinrot + y * cosrot + args[1]);
+    }
+
+    for(var i = 0; i < num; ++i){
+        angle0 = args[5] + step * i;
+        angle1 = angle0 + step;
+        cos0 = Math.cos(angle0); sin0 = Math.sin(angle0);
+        cos1 = Math.cos(angle1); sin1 = Math.sin(angle1);
+        push(cos0 - k * sin0,sin0 + k * cos0);
+        push(cos1 + k * sin1,sin1 - k * cos1);
+        push(cos1,sin1);
+    }
+    return out;
+}
+
+/*--------------------------------------------------------------------------------------------------------------------*/
+// Storage
+/*--------------------------------------------------------------------------------------------------------------------*/
+
+/**
+ * Array types per storage option, null for plain arrays.
+ * @type {Object}
+ * @private
+ */
+var STORAGE_ARRAY_TYPES = {
+    'array'   : null,
+    'float32' : Float32Array,
+    'float64' : Float64Array
+};
+
+var STORAGE_CAPACITY_MIN = 16;
+
+/**
+ * Creates an empty float array.
+ * @param {Function|null} ArrayType - Typed array constructor, null for a plain array.
+ * @returns {Array|Float32Array|Float64Array}
+ * @private
+ */
+function createFloatArray(ArrayType){
+    return ArrayType ? new ArrayType(0) : [];
+}
+
+/**
+ * Resizes a float array. Typed arrays are views into a larger buffer, which gets doubled in size if the new length
+ * exceeds its capacity, so repeated appends are amortized. Contents up to the new length are kept.
+ * @param {Array|Float32Array|Float64Array} array
+ * @param {Number} length
+ * @returns {Array|Float32Array|Float64Array} - The resized array, which might not be the passed one.
+ * @private
+ */
+function resizeFloatArray(array,length){
+    if(array.buffer === undefined){
+        array.length = length;
+        return array;
+    }
+    var ArrayType = array.constructor;
+    var capacity  = array.buffer.byteLength / ArrayType.BYTES_PER_ELEMENT;
+    if(length <= capacity){
+        return new ArrayType(array.buffer,0,length);
+    }
+    var buffer = new ArrayType(Math.max(length,capacity * 2,STORAGE_CAPACITY_MIN));
+    buffer.set(array);
+    return new ArrayType(buffer.buffer,0,length);
+}
+
+/**
+ * Appends values to a float array.
+ * @param {Array|Float32Array|Float64Array} array
+ * @param {...Number} values
+ * @returns {Array|Float32Array|Float64Array} - The resulting array, which might not be the passed one.
+ * @private
+ */
+function pushFloats(array){
+    var offset = array.length;
+    var num    = arguments.length - 1;
+    array = resizeFloatArray(array,offset + num);
+    for(var i = 0; i < num; ++i){
+        array[offset + i] = arguments[i + 1];
+    }
+    return array;
+}
+
+/*--------------------------------------------------------------------------------------------------------------------*/
+// SubPath
+/*--------------------------------------------------------------------------------------------------------------------*/
+
+var TYPE_LINE  = 0;
+var TYPE_CURVE = 1;
+
+/**
+ * 2d sub-path representation. Path points are manipulated through parent path.
+ * @constructor
+ */
+function SubPath(ArrayType){
+
+    /**
+     * The type of the sub-path. 0 - Straight, 1 - Curve
+     * @type {Number}
+     */
+    this.type = 0;
+
+    /**
+     * An array of positions. [x,y,x,y,x,y,...]
+     * @type {Array|Float32Array|Float64Array}
+     */
+    this.points = createFloatArray(ArrayType);
+
+    /**
+     * Tangents per positions. (If activated in parent path.)
+     * @type {Array|Float32Array|Float64Array}
+     */
+    this.tangents = createFloatArray(ArrayType);
+
+    /**
+     * Normals per positions. (If activated in parent path.)
+     * @type {Array|Float32Array|Float64Array}
+     */
+    this.normals = createFloatArray(ArrayType);
+
+    /**
+     * Miter length scales per position, the normal times the scale is the miter normal. 1 for the 'segment' tangent
+     * mode. (If activated in parent path.)
+     * @type {Array|Float32Array|Float64Array}
+     */
+    this.miterScales = createFloatArray(ArrayType);
+
+    /**
+     * Normals per segment for the 'averaged' tangent mode, where the normals per position are their bisectors. Empty
+     * for the 'segment' tangent mode, the normal of a position is the one of its outgoing segment. (If activated in
+     * parent path.)
+     * @type {Array|Float32Array|Float64Array}
+     */
+    this.segmentNormals = createFloatArray(ArrayType);
+
+    /**
+     * Signed curvatures per position, positive if the sub-path turns towards its normals. (If activated in parent
+     * path.)
+     * @type {Array|Float32Array|Float64Array}
+     */
+    this.curvatures = createFloatArray(ArrayType);
+
+    /**
+     * The total length of the sub-path.
+     * @type {number}
+     */
+    this.length = 0;
+
+    /**
+     * The global offset of the sub-path relative to the paths total length.
+     * @type {number}
+     */
+    this.offset = 0;
+
+    /**
+     * The offsets of the sub-path segments.
+     * @type {Array|Float32Array|Float64Array}
+     */
+    this.segmentOffsets = createFloatArray(ArrayType);
+
+    /**
+     * The lengths of ths sub-path segments.
+     * @type {Array|Float32Array|Float64Array}
+     */
+    this.segmentLengths = createFloatArray(ArrayType);
+
+    /**
+     * The curves, arcs and ellipses the sub-path points were flattened from.
+     * [{type : 'Q'|'C'|'A', index : first point index, count : number of points, args : [...], resolution : ...}]
+     * Bézier args are [sx,sy,cpx,cpy,...,x,y], arc args are [cx,cy,radiusX,radiusY,rotation,startAngle,sweep].
+     * The resolution is the setting the point count derives from, 'quadratic', 'cubic', 'arc' or 'ellipse', or null
+     * if the count was passed explicitly.
+     * @type {Array}
+     */
+    this.curves = [];
+
+    this.cmd = '';
+
+    /**
+     * True if the sub-path is closed.
+     * @type {boolean}
+     */
+    this.closed = false;
+
+    /**
+     * True if the sub-path continues the previous sub-path, which ended because of a change from straight lines to
+     * curves or vice versa. Both are part of the same figure.
+     * @type {boolean}
+     */
+    this.continued = false;
+
+    this._dirty = true;
+
+    this._bounds      = null;
+    this._boundsExact = null;
+    this._index       = null;
+}
+
+function clearSubPath(subPath){
+    subPath.type = 0;
+    subPath.length = 0;
+    subPath.offset = 0;
+
+    subPath.points   = resizeFloatArray(subPath.points,0);
+    subPath.tangents = resizeFloatArray(subPath.tangents,0);
+    subPath.normals  = resizeFloatArray(subPath.normals,0);
+
+    subPath.miterScales    = resizeFloatArray(subPath.miterScales,0);
+    subPath.segmentNormals = resizeFloatArray(subPath.segmentNormals,0);
+    subPath.curvatures     = resizeFloatArray(subPath.curvatures,0);
+
+    subPath.segmentOffsets = resizeFloatArray(subPath.segmentOffsets,0);
+    subPath.segmentLengths = resizeFloatArray(subPath.segmentLengths,0);
+
+    subPath.curves.length = 0;
+
+    subPath.cmd       = '';
+    subPath.closed    = false;
+    subPath.continued = false;
+
+    subPath._dirty = true;
+
+    return subPath;
+}
+
+function copyCurve(curve){
+    return {
+        type       : curve.type,
+        index      : curve.index,
+        count      : curve.count,
+        args       : curve.args.slice(0),
+        resolution : curve.resolution
+    };
+}
+
+/**
+ * Writes the flattened points of a curve, arc or ellipse.
+ * @param {Object} curve
+ * @param {Array|Float32Array|Float64Array} points
+ * @param {Number} offset - The index of the first component to write.
+ * @private
+ */
+function flattenCurve(curve,points,offset){
+    var args  = curve.args;
+    var count = curve.count;
+    var end   = offset + count * 2;
+    var i, j, n, n2, _n, _n2;
+    var b1, b2, b3, b4;
+
+    switch(curve.type){
+        case 'Q':
+            for(i = offset, j = 0; i < end; i+=2, j++){
+                n  = j / (count - 1);
+                _n = 1.0 - n;
+                b1 = _n * _n;
+                b2 = 2 * _n * n;
+                b3 = n * n;
+
+                points[i  ] = args[0] * b1 + args[2] * b2 + args[4] * b3;
+                points[i+1] = args[1] * b1 + args[3] * b2 + args[5] * b3;
+            }
+            break;
+
+        case 'C':
+            for(i = offset, j = 0; i < end; i+=2, j++){
+                n   = 1.0 - j / (count - 1);
+                n2  = n * n;
+                _n  = 1 - n;
+                _n2 = _n * _n;
+
+                b1 = n2 * n;
+                b2 = 3 * n2 * _n;
+                b3 = 3 * n * _n2;
+                b4 = _n2 * _n;
+
+                points[i  ] = args[0] * b1 + args[2] * b2 + args[4] * b3 + args[6] * b4;
+                points[i+1] = args[1] * b1 + args[3] * b2 + args[5] * b3 + args[7] * b4;
+            }
+            break;
+
+        case 'A':
+            var cx = args[0], cy = args[1];
+            var radiusX  = args[2], radiusY = args[3];
+            var rotation = args[4];
+            var cosrot   = Math.cos(rotation);
+            var sinrot   = Math.sin(rotation);
+            var angleStep = args[6] / (count - 1);
+            var angle, px, py;
+
+            for(i = offset, j = 0; i < end; i+=2, j++){
+                angle = args[5] + angleStep * j;
+                if(rotation === 0){
+                    points[i  ] = cx + radiusX * Math.cos(angle);
+                    points[i+1] = cy + radiusY * Math.sin(angle);
+                    continue;
+                }
+                px = radiusX * Math.cos(angle);
+                py = radiusY * Math.sin(angle);
+
+                points[i  ] = px * cosrot - py * sinrot + cx;
+                points[i+1] = px * sinrot + py * cosrot + cy;
+            }
+            break;
+    }
+}
+
+/**
+ * Re-flattens the curves of a sub-path with the point counts given, keeping the points in between.
+ * @param {SubPath} subPath
+ * @param {Number[]} counts - The new number of points per curve.
+ * @private
+ */
+function reflattenSubPath(subPath,counts){
+    var points = subPath.points;
+    var curves = subPath.curves;
+    var curve, i, j, l;
+
+    var length = points.length;
+    for(i = 0, l = curves.length; i < l; ++i){
+        length += (counts[i] - curves[i].count) * 2;
+    }
+
+    var pointsNext = resizeFloatArray(createFloatArray(points.buffer ? points.constructor : null),length);
+    var read  = 0;
+    var write = 0;
+
+    for(i = 0, l = curves.length; i < l; ++i){
+        curve = curves[i];
+        for(j = curve.index * 2; read < j; ++read, ++write){
+            pointsNext[write] = points[read];
+        }
+        read += curve.count * 2;
+
+        curve.index = write / 2;
+        curve.count = counts[i];
+        flattenCurve(curve,pointsNext,write);
+        write += curve.count * 2;
+    }
+    for(j = points.length; read < j; ++read, ++write){
+        pointsNext[write] = points[read];
+    }
+
+    subPath.points = pointsNext;
+    subPath._dirty = true;
+}
+
+/**
+ * Returns the index of the first segment of a sub-path ending at or after the local length given.
+ * @param {SubPath} subPath
+ * @param {Number} offset - The length along the sub-path.
+ * @returns {Number}
+ * @private
+ */
+function getSegmentIndexAtOffset(subPath,offset){
+    var segmentOffsets = subPath.segmentOffsets;
+    var segmentLengths = subPath.segmentLengths;
+    var low  = 0;
+    var high = segmentLengths.length - 1;
+    var mid;
+
+    while(low < high){
+        mid = (low + high) >> 1;
+        if(segmentOffsets[mid] + segmentLengths[mid] >= offset){
+            high = mid;
+        } else {
+            low = mid + 1;
+        }
+    }
+    return low;
+}
+
+/**
+ * Returns the ratio between segment start and end at the local length given.
+ * @private
+ */
+function getSegmentRatioAtOffset(subPath,segIndex,offset){
+    var segmentLength = subPath.segmentLengths[segIndex];
+    if(!(segmentLength > 0)){
+        return 0;
+    }
+    return Math.max(0,Math.min(1,(offset - subPath.segmentOffsets[segIndex]) / segmentLength));
+}
+
+/**
+ * Returns the local length of a sub-path point.
+ * @private
+ */
+function getPointOffset(subPath,index){
+    return index === 0 ? 0 : subPath.segmentOffsets[index - 1] + subPath.segmentLengths[index - 1];
+}
+
+/**
+ * Writes the direction of the first segment with a length starting at the vertex given, searching forward or
+ * backward.
+ * @param {Array|Float32Array|Float64Array} points
+ * @param {Number} vertex
+ * @param {Number} step - 1 to search forward, -1 to search backward.
+ * @param {Number[]} out - [x,y]
+ * @returns {Boolean} - false if there is no such segment
+ * @private
+ */
+function getSegmentDirection(points,vertex,step,out){
+    var numPoints = points.length / 2;
+    var i = step > 0 ? vertex : vertex - 1;
+    var dx, dy, length;
+
+    for(; i >= 0 && i < numPoints - 1; i += step){
+        dx = points[i * 2 + 2] - points[i * 2    ];
+        dy = points[i * 2 + 3] - points[i * 2 + 1];
+        length = Math.sqrt(dx * dx + dy * dy);
+        if(length > 0){
+            out[0] = dx / length;
+            out[1] = dy / length;
+            return true;
+        }
+    }
+    return false;
+}
+
+/**
+ * Sets the tangents and normals of a figure, a sub-path and the sub-paths continuing it, to the angle bisectors of the
+ * adjacent segments. Closed figures wrap at the seam.
+ * @param {SubPath[]} subPaths
+ * @param {Number} first - The index of the first sub-path of the figure.
+ * @param {Number} end - The index after the last sub-path of the figure.
+ * @private
+ */
+function averageFigureTangents(subPaths,first,end){
+    var closed  = subPaths[end - 1].closed;
+    var dirIn   = [0,0];
+    var dirOut  = [0,0];
+    var subPath, points, numPoints, prev, next;
+    var hasIn, hasOut, tx, ty, length, dot;
+
+    for(var i = first; i < end; ++i){
+        subPath   = subPaths[i];
+        points    = subPath.points;
+        numPoints = points.length / 2;
+
+        prev = i > first ? subPaths[i - 1] : closed ? subPaths[end - 1] : null;
+        next = i < end - 1 ? subPaths[i + 1] : closed ? subPaths[first] : null;
+
+        for(var j = 0; j < numPoints; ++j){
+            hasIn = getSegmentDirection(points,j,-1,dirIn) ||
+                    (prev !== null && getSegmentDirection(prev.points,prev.points.length / 2 - 1,-1,dirIn));
+            hasOut = getSegmentDirection(points,j,1,dirOut) ||
+                     (next !== null && getSegmentDirection(next.points,0,1,dirOut));
+
+            tx = (hasIn ? dirIn[0] : 0) + (hasOut ? dirOut[0] : 0);
+            ty = (hasIn ? dirIn[1] : 0) + (hasOut ? dirOut[1] : 0);
+            length = Math.sqrt(tx * tx + ty * ty);
+
+            //reversing segments have no bisector, keep the outgoing direction
+            if(length <= EPSILON){
+                tx  = hasOut ? dirOut[0] : 0;
+                ty  = hasOut ? dirOut[1] : 0;
+                dot = 1.0;
+            } else {
+                tx /= length;
+                ty /= length;
+                dot = hasOut ? tx * dirOut[0] + ty * dirOut[1] : tx * dirIn[0] + ty * dirIn[1];
+            }
+
+            subPath.tangents[j * 2    ] = tx;
+            subPath.tangents[j * 2 + 1] = ty;
+            subPath.normals[j * 2    ] = -ty;
+            subPath.normals[j * 2 + 1] =  tx;
+            subPath.miterScales[j] = 1.0 / Math.max(dot,EPSILON);
+        }
+    }
+}
+
+/**
+ * Returns the index of the nearest point differing from the point given, searching forward or backward.
+ * @param {Number[]} points
+ * @param {Number} numPoints - The number of points searched, closed figures wrap after it.
+ * @param {Number} index
+ * @param {Number} step - 1 to search forward, -1 to search backward.
+ * @param {Boolean} closed
+ * @returns {Number} - -1 if there is no such point
+ * @private
+ */
+function getDistinctNeighbour(points,numPoints,index,step,closed){
+    var x = points[index * 2];
+    var y = points[index * 2 + 1];
+    var i = index;
+
+    for(var n = 1; n < numPoints; ++n){
+        i += step;
+        if(i < 0 || i >= numPoints){
+            if(!closed){
+                return -1;
+            }
+            i = (i + numPoints) % numPoints;
+        }
+        if(points[i * 2] !== x || points[i * 2 + 1] !== y){
+            return i;
+        }
+    }
+    return -1;
+}
+
+/**
+ * Sets the curvatures of a figure, a sub-path and the sub-paths continuing it. Points flattened from curves, arcs and
+ * ellipses get the curvature of their original definition, as do points coincident with their end points. All others
+ * get a discrete estimate from their neighbours, wrapping at the seam of closed figures.
+ * @param {SubPath[]} subPaths
+ * @param {Number} first - The index of the first sub-path of the figure.
+ * @param {Number} end - The index after the last sub-path of the figure.
+ * @private
+ */
+function updateFigureCurvatures(subPaths,first,end){
+    var closed = subPaths[end - 1].closed;
+
+    //join the figure points, continued sub-paths start at the end of the previous one
+    var points = [];
+    var refs   = [];
+    var starts = [];
+    var subPath, numPoints, i, j;
+
+    for(i = first; i < end; ++i){
+        subPath   = subPaths[i];
+        numPoints = subPath.points.length / 2;
+        subPath.curvatures = resizeFloatArray(subPath.curvatures,numPoints);
+        starts.push(i > first ? points.length / 2 - 1 : 0);
+        for(j = i > first ? 1 : 0; j < numPoints; ++j){
+            points.push(subPath.points[j * 2],subPath.points[j * 2 + 1]);
+            refs.push(i,j);
+        }
+    }
+
+    var num = points.length / 2;
+    //closed figures end at their first point, which is skipped when wrapping
+    var numUnique = closed && num > 2 &&
+                    points[0] === points[num * 2 - 2] && points[1] === points[num * 2 - 1] ? num - 1 : num;
+    var prev, next, x, y, abx, aby, bcx, bcy, acx, acy, denom;
+
+    for(i = 0; i < num; ++i){
+        j    = i % numUnique;
+        prev = getDistinctNeighbour(points,numUnique,j,-1,closed);
+        next = getDistinctNeighbour(points,numUnique,j, 1,closed);
+
+        //discrete curvature of the circle through the vertex and its neighbours
+        denom = 0;
+        if(prev !== -1 && next !== -1){
+            x   = points[j * 2];
+            y   = points[j * 2 + 1];
+            abx = x - points[prev * 2];
+            aby = y - points[prev * 2 + 1];
+            bcx = points[next * 2]     - x;
+            bcy = points[next * 2 + 1] - y;
+            acx = points[next * 2]     - points[prev * 2];
+            acy = points[next * 2 + 1] - points[prev * 2 + 1];
+            denom = Math.sqrt((abx * abx + aby * aby) * (bcx * bcx + bcy * bcy) * (acx * acx + acy * acy));
+        }
+
+        subPaths[refs[i * 2]].curvatures[refs[i * 2 + 1]] = denom > 0 ? 2 * (abx * bcy - aby * bcx) / denom : 0;
+    }
+
+    //exact curvatures where the definition is known
+    var exact = new Array(num);
+    var curves, curve, step, k;
+    for(i = first; i < end; ++i){
+        subPath = subPaths[i];
+        curves  = subPath.curves;
+        for(j = 0; j < curves.length; ++j){
+            curve = curves[j];
+            step  = 1.0 / (curve.count - 1);
+            for(k = 0; k < curve.count; ++k){
+                subPath.curvatures[curve.index + k] = getCurveCurvature(curve,k * step);
+                exact[starts[i - first] + curve.index + k] = true;
+            }
+        }
+    }
+
+    //points coincident with curve end points, as moves to the start or closing points, lie on the curve as well
+    for(i = first; i < end; ++i){
+        curves = subPaths[i].curves;
+        for(j = 0; j < curves.length; ++j){
+            curve = curves[j];
+            k     = starts[i - first] + curve.index;
+            setCoincidentCurvatures(subPaths,points,refs,exact,k,-1,closed,getCurveCurvature(curve,0));
+            setCoincidentCurvatures(subPaths,points,refs,exact,k + curve.count - 1,1,closed,getCurveCurvature(curve,1));
+        }
+    }
+
+    //continued sub-paths share their first point with the end of the previous one
+    for(i = first + 1; i < end; ++i){
+        if(subPaths[i].curvatures.length > 0){
+            subPaths[i].curvatures[0] = subPaths[i - 1].curvatures[subPaths[i - 1].curvatures.length - 1];
+        }
+    }
+}
+
+/**
+ * Sets the curvature of the figure points coincident with a curve end point, searching forward or backward until a
+ * distinct point or a point on a curve is reached.
+ * @param {SubPath[]} subPaths
+ * @param {Number[]} points - The joined figure points.
+ * @param {Number[]} refs - The sub-path and point index per figure point.
+ * @param {Boolean[]} exact - True for figure points on a curve.
+ * @param {Number} index - The figure index of the curve end point.
+ * @param {Number} step - 1 to search forward, -1 to search backward.
+ * @param {Boolean} closed - If true the search wraps at the figure ends.
+ * @param {Number} curvature
+ * @private
+ */
+function setCoincidentCurvatures(subPaths,points,refs,exact,index,step,closed,curvature){
+    var num = points.length / 2;
+    var x = points[index * 2];
+    var y = points[index * 2 + 1];
+    var i = index;
+
+    for(var n = 1; n < num; ++n){
+        i += step;
+        if(i < 0 || i >= num){
+            if(!closed){
+                return;
+            }
+            i = (i + num) % num;
+        }
+        if(exact[i] || Math.abs(points[i * 2] - x) > EPSILON || Math.abs(points[i * 2 + 1] - y) > EPSILON){
+            return;
+        }
+        subPaths[refs[i * 2]].curvatures[refs[i * 2 + 1]] = curvature;
+    }
+}
+
+/**
+ * Removes the last curvature feature of a wrapped sub-path if it equals the first, features at the seam get found from
+ * both of its sides.
+ * @param {Array} features - [[x,y,...],...]
+ * @returns {Array}
+ * @private
+ */
+function removeSeamDuplicateFeature(features){
+    var first = features[0];
+    var last  = features[features.length - 1];
+    if(features.length > 1 &&
+       Math.abs(first[0] - last[0]) <= EPSILON &&
+       Math.abs(first[1] - last[1]) <= EPSILON){
+        features.pop();
+    }
+    return features;
+}
+
+/**
+ * Calls back with the range of every figure containing the sub-paths given. Figures are sub-paths and the sub-paths
+ * continuing them.
+ * @param {SubPath[]} subPaths
+ * @param {Number[]} indices - Ascending sub-path indices.
+ * @param {Function} callback - Called with the sub-paths, the index of the first sub-path and the index after the last.
+ * @private
+ */
+function forEachFigure(subPaths,indices,callback){
+    var end = 0;
+    var first, index;
+
+    for(var i = 0, l = indices.length; i < l; ++i){
+        index = indices[i];
+        if(index < end){
+            continue;
+        }
+        first = index;
+        while(first > 0 && subPaths[first].continued){
+            first--;
+        }
+        end = index + 1;
+        while(end < subPaths.length && subPaths[end].continued){
+            end++;
+        }
+        callback(subPaths,first,end);
+    }
+}
+
+function copySubPath(subPath){
+    var out = new SubPath();
+
+    out.type           = subPath.type;
+    out.points         = subPath.points.slice(0);
+    out.length         = subPath.length;
+    out.offset         = subPath.offset;
+    out.closed         = subPath.closed;
+    out.continued      = subPath.continued;
+    out.segmentLengths = subPath.segmentLengths.slice(0);
+    out.segmentOffsets = subPath.segmentOffsets.slice(0);
+    out.tangents       = subPath.tangents.slice(0);
+    out.normals        = subPath.normals.slice(0);
+    out.miterScales    = subPath.miterScales.slice(0);
+    out.segmentNormals = subPath.segmentNormals.slice(0);
+    out.curvatures     = subPath.curvatures.slice(0);
+    out.curves         = subPath.curves.map(copyCurve);
+    out.cmd            = subPath.cmd;
+    out._dirty         = subPath._dirty;
+    out._index         = subPath._index;
+
+    return out;
+}
+
+/*--------------------------------------------------------------------------------------------------------------------*/
+// Path2d
+/*--------------------------------------------------------------------------------------------------------------------*/
+
+/**
+ * 2d path representation
+ * @param {Object} [options]
+ * @constructor
+ */
+function Path2d(options){
+    options = options || DEFAULT_OPTIONS;
+
+    validateOptions(options);
+
+    options.recordPoints = options.recordPoints === undefined ?
+        DEFAULT_OPTIONS.recordPoints :
+        options.recordPoints;
+
+    options.recordSvgCmd = options.recordSvgCmd === undefined ?
+        DEFAULT_OPTIONS.recordSvgCmd :
+        options.recordSvgCmd;
+
+    options.numCurvePointsCubic = options.numCurvePointsCubic === undefined ?
+        DEFAULT_OPTIONS.numCurvePointsCubic :
+        options.numCurvePointsCubic;
+
+    options.numCurvePointsQuadratic = options.numCurvePointsQuadratic === undefined ?
+        DEFAULT_OPTIONS.numCurvePointsQuadratic :
+        options.numCurvePointsQuadratic;
+
+    options.numArcPoints = options.numArcPoints === undefined ?
+        DEFAULT_OPTIONS.numArcPoints :
+        options.numArcPoints;
+
+    options.numEllipsePoints = options.numEllipsePoints == undefined ?
+        DEFAULT_OPTIONS.numEllipsePoints :
+        options.numEllipsePoints;
+
+    options.flatteningTolerance = options.flatteningTolerance === undefined ?
+        DEFAULT_OPTIONS.flatteningTolerance :
+        options.flatteningTolerance;
+
+    options.calcTangentsAndNormals = options.calcTangentsAndNormals === undefined ?
+        DEFAULT_OPTIONS.calcTangentsAndNormals :
+        options.calcTangentsAndNormals;
+
+    options.spatialIndex = options.spatialIndex === undefined ?
+        DEFAULT_OPTIONS.spatialIndex :
+        options.spatialIndex;
+
+    options.storage = options.storage === undefined ?
+        DEFAULT_OPTIONS.storage :
+        options.storage;
+
+    options.analytic = options.analytic === undefined ?
+        DEFAULT_OPTIONS.analytic :
+        options.analytic;
+
+    options.tangentMode = options.tangentMode === undefined ?
+        DEFAULT_OPTIONS.tangentMode :
+        options.tangentMode;
+
+    if(options.tangentMode !== 'segment' && options.tangentMode !== 'averaged'){
+        throw new Error('Path2d: Invalid tangent mode "' + options.tangentMode + '".');
+    }
+
+    if(!STORAGE_ARRAY_TYPES.hasOwnProperty(options.storage)){
+        throw new Error('Path2d: Invalid storage "' + options.storage + '".');
+    }
+
+    if(!options.recordPoints && !options.recordSvgCmd){
+        throw new Error('Path2d: No point or svg recording enabled.');
+    }
+
+    if(!options.recordPoints && options.calcTangentsAndNormals){
+        throw new Error('Path2d: Tangent and normal calculation can only be enabled if points get recorded.');
+    }
+
+    this._numCurvePointsCubic     = options.numCurvePointsCubic;
+    this._numCurvePointsQuadratic = options.numCurvePointsQuadratic;
+    this._numArcPoints            = options.numArcPoints;
+    this._numEllipsePoints        = options.numEllipsePoints;
+    this._flatteningTolerance     = Math.max(0,options.flatteningTolerance);
+
+    this._recordPoints = options.recordPoints;
+    this._recordSvgCmd = options.recordSvgCmd;
+
+    this._calcTangentsAndNormals = options.calcTangentsAndNormals;
+    this._spatialIndex           = options.spatialIndex;
+
+    this._storage   = options.storage;
+    this._arrayType = STORAGE_ARRAY_TYPES[options.storage];
+
+    this._analytic    = options.analytic;
+    this._tangentMode = options.tangentMode;
+
+    this._subPaths = [];
+    this._subPath  = null;
+
+    this._subPathCmds = [];
+    this._pathCmd     = '';
+
+    //figure start and current point, tracked if points are not recorded
+    this._pointStart = [0,0];
+    this._pointLast  = [0,0];
+
+    this._transform      = null;
+    this._transformStack = [];
+    this._tempTransform  = [1,0,0,1,0,0];
+    this._tempEllipse    = [0,0,0,0,0,0,0];
+    this._tempRect       = [0,0,0,0,0,0,0,0];
+    this._tempBounds     = [0,0,0,0];
+    this._tempFrame      = [0,0,0,0,0,0];
+    this._tempDerivative = [0,0];
+
+    this._dirty = false;
+    this._reflatten = false;
+    this._lengthTotal = -1;
+
+    this._bounds      = null;
+    this._boundsExact = null;
+    this._contours    = null;
+
+    this._tempSegIndicesRatio = [
+        0,    //index sub-path
+        0, 0, //index point a & b
+        0     //ratio
+    ];
+
+    this._tempSegIndices = [
+        0,    //index sub-path
+        0     //index point
+    ];
+
+    this._tempSegPoint = [
+        0, 0, //0,1 – point on segment x,y
+        0,    //2   – distance point on segment to input
+        0,    //3   – sub-path index
+        0,    //4   – segment index
+        0     //5   – distance on path
+    ];
+
+    this._tempSegIndicesOut  = [0,0];
+    this._tempSubPathPoint   = [0,0,0,0,0,0];
+    this._tempPointOut       = [0,0,0,0,0,0];
+    this._tempPointProjected = [0,0,0,0,0,0];
+
+    this._lengthIndexRatioPassedPrev = -1;
+    this._lengthIndexPassedPrev = -1;
+
+    if(this._calcTangentsAndNormals){
+        this._update = this._updateB;
+    } else {
+        this._update = this._updateA;
+    }
+}
+
+/*--------------------------------------------------------------------------------------------------------------------*/
+// Internal
+/*--------------------------------------------------------------------------------------------------------------------*/
+
+/**
+ * Returns an options object matching the paths current settings.
+ * @returns {Object}
+ * @private
+ */
+Path2d.prototype._getOptions = function(){
+    return {
+        numCurvePointsCubic     : this._numCurvePointsCubic,
+        numCurvePointsQuadratic : this._numCurvePointsQuadratic,
+        numArcPoints            : this._numArcPoints,
+        numEllipsePoints        : this._numEllipsePoints,
+        flatteningTolerance     : this._flatteningTolerance,
+        recordPoints            : this._recordPoints,
+        recordSvgCmd            : this._recordSvgCmd,
+        calcTangentsAndNormals  : this._calcTangentsAndNormals,
+        spatialIndex            : this._spatialIndex,
+        storage                 : this._storage,
+        analytic                : this._analytic,
+        tangentMode             : this._tangentMode
+    };
+};
+
+/**
+ * Returns the figures of the path, sub-paths continuing previous ones get joined.
+ * @returns {Array} - [{points : [x,y,x,y,...], closed : Boolean}, ...]
+ * @private
+ */
+Path2d.prototype._getContours = function(){
+    if(this._contours !== null){
+        return this._contours;
+    }
+
+    var subPaths = this._subPaths;
+    var subPath;
+    var contours = [];
+    var contour  = null;
+    var points;
+
+    for(var i = 0, l = subPaths.length; i < l; ++i){
+        subPath = subPaths[i];
+        points  = subPath.points;
+
+        if(subPath.continued && contour !== null){
+            for(var j = 2, k = points.length; j < k; ++j){
+                contour.points.push(points[j]);
+            }
+        } else {
+            contour = {points : Array.prototype.slice.call(points), closed : false};
+            contours.push(contour);
+        }
+        contour.closed = subPath.closed;
+    }
+
+    return this._contours = contours;
+};
+
+/**
+ * Returns the figures with the normals of their segments, taken from the normals calculated on update, or the segment
+ * normals kept with the 'averaged' tangent mode. Sub-paths continuing previous ones are merged. Coincident consecutive
+ * points are merged as well, their zero-length segments have no normal. Points are coincident within the precision of
+ * their coordinates.
+ * @returns {Array} - [{points : [x,y,...], normals : [x,y,...], lengths : [...], numPoints : Number, closed : Boolean}]
+ * @private
+ */
+Path2d.prototype._getStrokeContours = function(){
+    var subPaths = this._subPaths;
+    var subPath;
+    var contours = [];
+    var contour  = null;
+    var points, normals, last;
+    var dx, dy;
+
+    for(var i = 0, l = subPaths.length; i < l; ++i){
+        subPath = subPaths[i];
+        points  = subPath.points;
+        normals = this._tangentMode === 'averaged' ? subPath.segmentNormals : subPath.normals;
+
+        if(!subPath.continued || contour === null){
+            contour = {points : [points[0],points[1]], normals : [], lengths : [], numPoints : 1, closed : false};
+            contours.push(contour);
+        }
+
+        //the normal of a point is the one of its outgoing segment
+        for(var j = 2, k = points.length; j < k; j+=2){
+            last = contour.points.length;
+            dx   = points[j  ] - contour.points[last - 2];
+            dy   = points[j+1] - contour.points[last - 1];
+            contour.numPoints++;
+            //zero-length up to floating point errors, like the end of arcs meeting their start, the later point is
+            //kept so closed figures end exactly at their start
+            if(Math.abs(dx) + Math.abs(dy) <= EPSILON * (Math.abs(points[j]) + Math.abs(points[j+1]))){
+                contour.points[last - 2] = points[j  ];
+                contour.points[last - 1] = points[j+1];
+                continue;
+            }
+            contour.points.push(points[j],points[j+1]);
+            contour.normals.push(normals[j-2],normals[j-1]);
+            contour.lengths.push(Math.sqrt(dx * dx + dy * dy));
+        }
+        contour.closed = subPath.closed;
+    }
+
+    return contours;
+};
+
+/**
+ * Returns the points of all closed figures.
+ * @returns {Array} - [[x,y,x,y,...],...]
+ * @private
+ */
+Path2d.prototype._getClosedPolygons = function(){
+    this.update();
+    var contours = this._getContours();
+    var out = [];
+    for(var i = 0, l = contours.length; i < l; ++i){
+        if(contours[i].closed){
+            out.push(contours[i].points);
+        }
+    }
+    return out;
+};
+
+/**
+ * Returns the sub-path segment index at the length given.
+ * @param length
+ * @returns {Array}
+ * @private
+ */
+Path2d.prototype._getSegIndexAtLength = function(length){
+    var out = this._tempSegIndices;
+
+    var subPaths = this._subPaths;
+    var lengthTotal = this._lengthTotal;
+
+    if(length <= 0){
+        out[0] = out[1] = 0;
+        return out;
+    } else if(length >= lengthTotal){
+        var last = subPaths.length - 1;
+        out[0] = last;
+        out[1] = subPaths[last].points.length / 2 - 1;
+        return out;
+    }
+
+    var subPathIndex = out[0] = this._getSubPathIndexAtLength(length);
+    out[1] = getSegmentIndexAtOffset(subPaths[subPathIndex],length - subPaths[subPathIndex].offset);
+
+    return out;
+};
+
+/**
+ * Returns the sub-path segment index and ration between segment start and end at the length given.
+ * @param length
+ * @returns {Array}
+ * @private
+ */
+Path2d.prototype._getIndicesAndRatioAtLength = function(length){
+    var out = this._tempSegIndicesRatio;
+
+    var subPaths = this._subPaths;
+    var lengthTotal = this._lengthTotal;
+
+    if(length <= 0){
+        out[0] = 0;
+        out[1] = out[2] = 0;
+        out[3] = 0;
+
+        return out;
+    }else if (length >= lengthTotal){
+        var last = subPaths.length - 1;
+        out[0] = last;
+        out[1] = out[2] = subPaths[last].points.length / 2 - 1;
+        out[3] = 1.0;
+
+        return out;
+    }
+
+    var subPathIndex = this._getSubPathIndexAtLength(length);
+    var subPath      = subPaths[subPathIndex];
+    var remaining    = length - subPath.offset;
+    var segIndex     = getSegmentIndexAtOffset(subPath,remaining);
+
+    out[0] = subPathIndex;
+    out[1] = segIndex;
+    out[2] = segIndex + 1;
+    out[3] = getSegmentRatioAtOffset(subPath,segIndex,remaining);
+
+    return out;
+};
+
+/**
+ * Returns the point, tangent and normal at the sub-path segment indices and ratio given. In analytic mode segments
+ * flattened from curves, arcs and ellipses are evaluated on their original definitions, otherwise averaged tangents
+ * get interpolated along segments. Tangents and normals are only written if they get calculated.
+ * @param {Array} indicesRatio - [index sub-path, index a, index b, ratio]
+ * @param {Number[]} out - [px,py,tx,ty,nx,ny]
+ * @returns {Number[]}
+ * @private
+ */
+Path2d.prototype._getFrameAtIndicesRatio = function(indicesRatio,out){
+    var subPath  = this._subPaths[indicesRatio[0]];
+    var points   = subPath.points;
+    var segIndex = indicesRatio[1];
+    var ratio    = indicesRatio[3];
+    var numSegments = subPath.segmentLengths.length;
+
+    //the path end resolves to the last point, evaluate the end of the last segment instead
+    if(segIndex >= numSegments && numSegments > 0){
+        segIndex = numSegments - 1;
+        ratio    = 1.0;
+    }
+
+    //zero-length segments, as at the start of Bézier curves, have no direction, continue on the next one
+    while(segIndex < numSegments - 1 && subPath.segmentLengths[segIndex] === 0){
+        segIndex++;
+        ratio = 0.0;
+    }
+
+    var curve  = this._analytic ? getCurveAtSegment(subPath,segIndex) : null;
+    var indexA = segIndex * 2;
+    var indexB = Math.min(indexA + 2,points.length - 2);
+
+    if(curve === null){
+        var x0 = points[indexA  ];
+        var y0 = points[indexA+1];
+
+        out[0] = x0 + (points[indexB  ] - x0) * ratio;
+        out[1] = y0 + (points[indexB+1] - y0) * ratio;
+
+        if(!this._calcTangentsAndNormals){
+            return out;
+        }
+
+        var tangents = subPath.tangents;
+        var tx = tangents[indexA  ];
+        var ty = tangents[indexA+1];
+
+        //averaged tangents get interpolated between the segment end points, straight segments evaluated
+        //analytically keep their direction
+        if(this._tangentMode === 'averaged'){
+            var itx, ity;
+            if(this._analytic){
+                itx = points[indexB  ] - x0;
+                ity = points[indexB+1] - y0;
+            } else {
+                itx = tx + (tangents[indexB  ] - tx) * ratio;
+                ity = ty + (tangents[indexB+1] - ty) * ratio;
+            }
+            var length = Math.sqrt(itx * itx + ity * ity);
+            if(length > EPSILON){
+                tx = itx / length;
+                ty = ity / length;
+            }
+        }
+
+        out[2] = tx;
+        out[3] = ty;
+        out[4] = -ty;
+        out[5] =  tx;
+        return out;
+    }
+
+    var t = getCurveRatioAtSegment(subPath,curve,segIndex,ratio);
+
+    getCurvePoint(curve,t,out);
+
+    if(this._calcTangentsAndNormals){
+        var d = getCurveDerivative(curve,t,this._tempDerivative);
+        var speed = Math.sqrt(d[0] * d[0] + d[1] * d[1]);
+
+        //vanishing derivatives at cusps or coincident control points, take the direction next to it
+        if(speed === 0){
+            d = getCurveDerivative(curve,t < 0.5 ? t + EPSILON : t - EPSILON,d);
+            speed = Math.sqrt(d[0] * d[0] + d[1] * d[1]);
+        }
+        speed = 1.0 / (speed || 1.0);
+
+        out[2] = d[0] * speed;
+        out[3] = d[1] * speed;
+        out[4] = -out[3];
+        out[5] =  out[2];
+    }
+    return out;
+};
+
+/**
+ * Returns the point, tangent and normal at the length given, see
+ * [_getFrameAtIndicesRatio]{@link Path2d#_getFrameAtIndicesRatio}.
+ * @param {Number} length
+ * @param {Number[]} out - [px,py,tx,ty,nx,ny]
+ * @returns {Number[]}
+ * @private
+ */
+Path2d.prototype._getFrameAtLength = function(length,out){
+    var indicesRatio;
+
+    if(!this._dirty && length == this._lengthIndexRatioPassedPrev){
+        indicesRatio = this._tempSegIndicesRatio;
+    } else {
+        this.update();
+        indicesRatio = this._getIndicesAndRatioAtLength(length);
+    }
+
+    this._lengthIndexRatioPassedPrev = length;
+    return this._getFrameAtIndicesRatio(indicesRatio,out);
+};
+
+/**
+ * Returns the curvature at the sub-path segment indices and ratio given. In analytic mode segments flattened from
+ * curves, arcs and ellipses are evaluated on their original definitions, otherwise the point curvatures get
+ * interpolated.
+ * @param {Array} indicesRatio - [index sub-path, index a, index b, ratio]
+ * @returns {Number}
+ * @private
+ */
+Path2d.prototype._getCurvatureAtIndicesRatio = function(indicesRatio){
+    var subPath  = this._subPaths[indicesRatio[0]];
+    var segIndex = indicesRatio[1];
+    var ratio    = indicesRatio[3];
+
+    if(this._analytic && segIndex < subPath.segmentLengths.length){
+        var curve = getCurveAtSegment(subPath,segIndex);
+        if(curve !== null){
+            return getCurveCurvature(curve,getCurveRatioAtSegment(subPath,curve,segIndex,ratio));
+        }
+    }
+
+    var curvatures = subPath.curvatures;
+    var curvature  = curvatures[segIndex];
+    return curvature + (curvatures[indicesRatio[2]] - curvature) * ratio;
+};
+
+/**
+ * Calls back with the sub-path index, the segment indices and the ratio for every length given. Ascending lengths are
+ * resolved in a single walk along the path, unsorted ones by binary search.
+ * @param {Number[]} lengths
+ * @param {Function} callback - Called with the index into lengths and [index sub-path, index a, index b, ratio].
+ * @private
+ */
+Path2d.prototype._forEachIndicesAndRatioAtLengths = function(lengths,callback){
+    var subPaths = this._subPaths;
+    var lengthTotal = this._lengthTotal;
+    var numLengths = lengths.length;
+    var sorted = true;
+    var i;
+
+    for(i = 1; i < numLengths; ++i){
+        if(lengths[i] < lengths[i-1]){
+            sorted = false;
+            break;
+        }
+    }
+
+    //the shared indices are overwritten, invalidate them for single lookups
+    this._lengthIndexRatioPassedPrev = NaN;
+
+    if(!sorted){
+        for(i = 0; i < numLengths; ++i){
+            callback(i,this._getIndicesAndRatioAtLength(lengths[i]));
+        }
+        return;
+    }
+
+    var out = this._tempSegIndicesRatio;
+    var subPathIndex = 0;
+    var segIndex     = 0;
+    var subPath      = subPaths[0];
+    var numSubPaths  = subPaths.length;
+    var length, remaining;
+
+    for(i = 0; i < numLengths; ++i){
+        length = lengths[i];
+        if(length <= 0 || length >= lengthTotal){
+            callback(i,this._getIndicesAndRatioAtLength(length));
+            continue;
+        }
+
+        while(subPathIndex < numSubPaths - 1 && subPaths[subPathIndex + 1].offset <= length){
+            subPath  = subPaths[++subPathIndex];
+            segIndex = 0;
+        }
+
+        remaining = length - subPath.offset;
+        while(segIndex < subPath.segmentLengths.length - 1 &&
+              subPath.segmentOffsets[segIndex] + subPath.segmentLengths[segIndex] < remaining){
+            segIndex++;
+        }
+
+        out[0] = subPathIndex;
+        out[1] = segIndex;
+        out[2] = segIndex + 1;
+        out[3] = getSegmentRatioAtOffset(subPath,segIndex,remaining);
+        callback(i,out);
+    }
+};
+
+/**
+ * Returns the index of the last sub-path starting at or before the length given.
+ * @param {Number} length
+ * @returns {Number}
+ * @private
+ */
+Path2d.prototype._getSubPathIndexAtLength = function(length){
+    var subPaths = this._subPaths;
+    var low  = 0;
+    var high = subPaths.length - 1;
+    var mid;
+
+    while(low < high){
+        mid = (low + high + 1) >> 1;
+        if(subPaths[mid].offset <= length){
+            low = mid;
+        } else {
+            high = mid - 1;
+        }
+    }
+    return low;
+};
+
+/**
+ * Updates on lengths.
+ * @private
+ */
+Path2d.prototype._updateA = function(){
+    var subPaths = this._subPaths;
+    var subPath;
+
+    var lengthSegment;
+    var lengthLocal;
+    var lengthGlobal = 0;
+
+    var points;
+    var pointsLength;
+
+    var numSegments;
+    var segmentLengths;
+    var segmentOffsets;
+
+    var dx, dy;
+
+    for(var i = 0, l = subPaths.length; i < l; ++i){
+        subPath = subPaths[i];
+
+        if(!subPath._dirty){
+            subPath.offset = lengthGlobal;
+            lengthGlobal  += subPath.length;
+            continue;
+        }
+
+        points       = subPath.points;
+        pointsLength = points.length;
+
+        numSegments    = Math.max(0,pointsLength / 2 - 1);
+        segmentLengths = subPath.segmentLengths = resizeFloatArray(subPath.segmentLengths,numSegments);
+        segmentOffsets = subPath.segmentOffsets = resizeFloatArray(subPath.segmentOffsets,numSegments);
+
+        subPath.offset = lengthGlobal;
+
+        subPath._bounds = subPath._boundsExact = null;
+        subPath._index  = null;
+
+        lengthLocal = 0;
+
+        for(var j = 0, m = 0, k = points.length-2; j < k; j+=2, m++){
+            dx = points[j+2] - points[j  ];
+            dy = points[j+3] - points[j+1];
+
+            lengthSegment     = segmentLengths[m] = Math.sqrt(dx * dx + dy * dy);
+            segmentOffsets[m] = lengthLocal;
+            lengthLocal      += lengthSegment;
+        }
+
+        if(this._analytic && subPath.curves.length > 0){
+            lengthLocal = updateSegmentLengthsAnalytic(subPath);
+        }
+
+        subPath.length = lengthLocal;
+        lengthGlobal  += lengthLocal;
+
+        subPath._dirty = false;
+    }
+
+    this._lengthTotal = lengthGlobal;
+};
+
+/**
+ * Updates lengths, tangents and normals.
+ * @private
+ */
+Path2d.prototype._updateB = function(){
+    var subPaths = this._subPaths;
+    var subPath;
+
+    var lengthSegment;
+    var lengthLocal;
+    var lengthGlobal = 0;
+
+    var points;
+    var pointsLength;
+
+    var numSegments;
+    var segmentLengths;
+    var segmentOffsets;
+
+    var tangents;
+    var normals;
+    var miterScales;
+    var segmentNormals;
+    var dx, dy;
+    var tx, ty;
+
+    //averaged normals are vertex bisectors, the ones of the segments get kept for joins
+    var averaged = this._tangentMode === 'averaged';
+
+    //figures of updated sub-paths get averaged and their curvatures computed once all segments are known
+    var updated = [];
+
+    for(var i = 0, l = subPaths.length; i < l; ++i){
+        subPath = subPaths[i];
+
+        if(!subPath._dirty){
+            subPath.offset = lengthGlobal;
+            lengthGlobal  += subPath.length;
+            continue;
+        }
+
+        points       = subPath.points;
+        pointsLength = points.length;
+
+        tangents = subPath.tangents = resizeFloatArray(subPath.tangents,pointsLength);
+        normals  = subPath.normals  = resizeFloatArray(subPath.normals, pointsLength);
+
+        miterScales = subPath.miterScales = resizeFloatArray(subPath.miterScales,pointsLength / 2);
+        for(var j = 0, k = miterScales.length; j < k; ++j){
+            miterScales[j] = 1.0;
+        }
+
+        numSegments    = Math.max(0,pointsLength / 2 - 1);
+        segmentLengths = subPath.segmentLengths = resizeFloatArray(subPath.segmentLengths,numSegments);
+        segmentOffsets = subPath.segmentOffsets = resizeFloatArray(subPath.segmentOffsets,numSegments);
+        segmentNormals = subPath.segmentNormals =
+            resizeFloatArray(subPath.segmentNormals,averaged ? numSegments * 2 : 0);
+
+        subPath.offset = lengthGlobal;
+
+        subPath._bounds = subPath._boundsExact = null;
+        subPath._index  = null;
+
+        lengthLocal = 0;
+
+        for(var j = 0, m = 0, k = points.length-2; j < k; j+=2, m++){
+            dx = points[j+2] - points[j  ];
+            dy = points[j+3] - points[j+1];
+
+            lengthSegment     = segmentLengths[m] = Math.sqrt(dx * dx + dy * dy);
+            segmentOffsets[m] = lengthLocal;
+            lengthLocal      += lengthSegment;
+
+            lengthSegment = 1.0 / (lengthSegment || 1.0);
+            tangents[j  ] = tx = dx * lengthSegment;
+            tangents[j+1] = ty = dy * lengthSegment;
+
+            normals[j  ] = -ty;
+            normals[j+1] =  tx;
+
+            if(averaged){
+                segmentNormals[j  ] = -ty;
+                segmentNormals[j+1] =  tx;
+            }
+        }
+
+        if(k > 0){
+            tangents[k  ] = tangents[k-2];
+            tangents[k+1] = tangents[k-1];
+
+            normals[k  ] = normals[k-2];
+            normals[k+1] = normals[k-1];
+        } else if(k === 0){
+            tangents[0] = tangents[1] = 0;
+            normals[0]  = normals[1]  = 0;
+        }
+
+        if(this._analytic && subPath.curves.length > 0){
+            lengthLocal = updateSegmentLengthsAnalytic(subPath);
+        }
+
+        subPath.length = lengthLocal;
+        lengthGlobal  += lengthLocal;
+
+        subPath._dirty = false;
+
+        updated.push(i);
+    }
+
+    if(averaged){
+        forEachFigure(subPaths,updated,averageFigureTangents);
+    }
+    forEachFigure(subPaths,updated,updateFigureCurvatures);
+
+    this._lengthTotal = lengthGlobal;
+};
+
+/**
+ * Handles sub-path creation if the desired type differs.
+ * @param from
+ * @param to
+ * @private
+ */
+Path2d.prototype._ensureSubPathType = function(from,to){
+    var subPath = this._subPath;
+    var points  = subPath.points;
+
+    if(points.length === 2){
+        subPath.type = to;
+        return;
+    }
+
+    //continue with a new sub-path of the desired type at the last point
+    if(subPath.type === from){
+        var subPathNext = new SubPath(this._arrayType);
+        subPathNext.type      = to;
+        subPathNext.continued = true;
+        subPathNext.points = pushFloats(subPathNext.points,
+            points[points.length - 2],
+            points[points.length - 1]
+        );
+        this._subPaths.splice(this._subPaths.indexOf(subPath) + 1,0,subPathNext);
+        this._subPath = subPathNext;
+    }
+};
+
+/**
+ * Returns the number of points a curve gets flattened with, derived from its resolution setting and the flattening
+ * tolerance.
+ * @param {Object} curve
+ * @returns {Number}
+ * @private
+ */
+Path2d.prototype._getNumCurvePoints = function(curve){
+    var args      = curve.args;
+    var tolerance = this._flatteningTolerance;
+
+    switch(curve.resolution){
+        case 'quadratic':
+            return tolerance > 0 ?
+                   getNumCurvePointsQuadratic(args[0],args[1],args[2],args[3],args[4],args[5],tolerance) :
+                   this._numCurvePointsQuadratic;
+        case 'cubic':
+            return tolerance > 0 ?
+                   getNumCurvePointsCubic(args[0],args[1],args[2],args[3],args[4],args[5],args[6],args[7],tolerance) :
+                   this._numCurvePointsCubic;
+        case 'arc':
+            return tolerance > 0 ?
+                   getNumArcPoints(args[2],args[3],args[6],tolerance) :
+                   this._numArcPoints;
+        case 'ellipse':
+            return tolerance > 0 ?
+                   getNumArcPoints(args[2],args[3],args[6],tolerance) :
+                   this._numEllipsePoints;
+        default:
+            return curve.count;
+    }
+};
+
+/**
+ * Re-flattens all curves whose number of points changed with the resolution settings. Sub-paths continuing
+ * re-flattened ones get their start point updated.
+ * @private
+ */
+Path2d.prototype._reflattenSubPaths = function(){
+    var subPaths = this._subPaths;
+    var subPath, curves, counts, changed, points, next;
+
+    for(var i = 0, l = subPaths.length; i < l; ++i){
+        subPath = subPaths[i];
+        curves  = subPath.curves;
+        if(curves.length === 0){
+            continue;
+        }
+
+        counts  = new Array(curves.length);
+        changed = false;
+        for(var j = 0; j < curves.length; ++j){
+            counts[j] = this._getNumCurvePoints(curves[j]);
+            changed   = changed || counts[j] !== curves[j].count;
+        }
+        if(!changed){
+            continue;
+        }
+
+        reflattenSubPath(subPath,counts);
+
+        next = subPaths[i + 1];
+        if(next !== undefined && next.continued && next.points.length > 0){
+            points = subPath.points;
+            next.points[0] = points[points.length - 2];
+            next.points[1] = points[points.length - 1];
+            next._dirty = true;
+        }
+    }
+};
+
+Path2d.prototype._getPointOnSegment = function(point,subPathIndex,segIndex,out){
+    var subPath  = this._subPaths[subPathIndex];
+    var points   = subPath.points;
+
+    var index = segIndex * 2;
+
+    var startx = points[index];
+    var starty = points[index + 1];
+    var endx   = points[index + 2];
+    var endy   = points[index + 3];
+
+    var px = point[0];
+    var py = point[1];
+
+    var a = px - startx;
+    var b = py - starty;
+    var c = endx - startx;
+    var d = endy - starty;
+
+    var dot = a * c + b * d;
+    var len = c * c + d * d;
+    var ppx, ppy;
+
+    if(dot <= 0){
+        ppx = startx;
+        ppy = starty;
+    } else if(dot >= len){
+        ppx = endx;
+        ppy = endy;
+    } else {
+        var t = dot / len;
+        ppx = startx + t * c;
+        ppy = starty + t * d;
+    }
+
+    out[0] = ppx;
+    out[1] = ppy;
+
+    var dx = ppx - px;
+    var dy = ppy - py;
+
+    out[2] = Math.sqrt(dx * dx + dy * dy);
+
+    out[3] = subPathIndex;
+    out[4] = segIndex;
+
+    dx = startx - ppx;
+    dy = starty - ppy;
+
+    out[5] = subPath.offset + subPath.segmentOffsets[segIndex] + Math.sqrt(dx * dx + dy * dy);
+
+    return out;
+};
+
+Path2d.prototype._getPointOnSubPath = function(point,subPathIndex,out){
+    if(this._spatialIndex){
+        return this._getPointOnSubPathsIndexed(point,subPathIndex,subPathIndex + 1,out);
+    }
+
+    var subPath = this._subPaths[subPathIndex];
+    var points  = subPath.points;
+
+    var distanceToPoint;
+    var distanceMin = Number.MAX_VALUE;
+
+    var pointOnSegment = this._tempSegPoint;
+
+    var x, y, d, i0, i1, dp;
+
+    for(var i = 0, j = 0, l = points.length - 2; i < l; i+=2, j++){
+        this._getPointOnSegment(point,subPathIndex,j,pointOnSegment);
+        distanceToPoint = pointOnSegment[2];
+
+        if(distanceToPoint <= distanceMin){
+            x  = pointOnSegment[0];
+            y  = pointOnSegment[1];
+            d  = pointOnSegment[2];
+            i0 = pointOnSegment[3];
+            i1 = pointOnSegment[4];
+            dp = pointOnSegment[5];
+
+            distanceMin = distanceToPoint;
+        }
+    }
+
+    out[0] = x;
+    out[1] = y;
+    out[2] = d;
+    out[3] = i0;
+    out[4] = i1;
+    out[5] = dp;
+
+    return out;
+};
+
+/**
+ * Rebuilds the segment hierarchies of sub-paths modified since the last update.
+ * @private
+ */
+Path2d.prototype._updateSpatialIndex = function(){
+    var subPaths = this._subPaths;
+    for(var i = 0, l = subPaths.length; i < l; ++i){
+        if(subPaths[i]._index === null){
+            subPaths[i]._index = createSegmentIndex(subPaths[i].points);
+        }
+    }
+};
+
+/**
+ * Finds the nearest point on a range of sub-paths by a best-first search of their segment hierarchies. Returns the same
+ * result as testing all segments, ties resolved in favour of the last segment.
+ * @private
+ */
+Path2d.prototype._getPointOnSubPathsIndexed = function(point,subPathBegin,subPathEnd,out){
+    var subPaths = this._subPaths;
+    var pointOnSegment = this._tempSegPoint;
+    var px = point[0];
+    var py = point[1];
+
+    var heap = [];
+    var index, node, item, subPathIndex, segIndex;
+    var distanceToPoint;
+    var distanceMin = Number.MAX_VALUE;
+    var subPathIndexMin = -1;
+    var segIndexMin = -1;
+    var x, y, d, i0, i1, dp;
+
+    for(var i = subPathBegin; i < subPathEnd; ++i){
+        index = subPaths[i]._index;
+        if(index !== null){
+            pushHeap(heap,[getDistanceToIndexNode(index.root,px,py),index.root,i]);
+        }
+    }
+
+    //allow for rounding of projected points, so ties are not missed
+    var slack = EPSILON_INTERSECTION * (Math.abs(px) + Math.abs(py) + 1);
+
+    while(heap.length > 0){
+        item = popHeap(heap);
+        if(item[0] > distanceMin + slack){
+            break;
+        }
+        node = item[1];
+        subPathIndex = item[2];
+
+        if(node.left !== null){
+            pushHeap(heap,[getDistanceToIndexNode(node.left, px,py),node.left, subPathIndex]);
+            pushHeap(heap,[getDistanceToIndexNode(node.right,px,py),node.right,subPathIndex]);
+            continue;
+        }
+
+        index = subPaths[subPathIndex]._index;
+        for(var j = node.start; j < node.end; ++j){
+            segIndex = index.segments[j];
+            this._getPointOnSegment(point,subPathIndex,segIndex,pointOnSegment);
+            distanceToPoint = pointOnSegment[2];
+
+            if(distanceToPoint < distanceMin ||
+               (distanceToPoint === distanceMin &&
+                (subPathIndex > subPathIndexMin || (subPathIndex === subPathIndexMin && segIndex > segIndexMin)))){
+                x  = pointOnSegment[0];
+                y  = pointOnSegment[1];
+                d  = pointOnSegment[2];
+                i0 = pointOnSegment[3];
+                i1 = pointOnSegment[4];
+                dp = pointOnSegment[5];
+
+                distanceMin = distanceToPoint;
+                subPathIndexMin = subPathIndex;
+                segIndexMin = segIndex;
+            }
+        }
+    }
+
+    out[0] = x;
+    out[1] = y;
+    out[2] = d;
+    out[3] = i0;
+    out[4] = i1;
+    out[5] = dp;
+
+    return out;
+};
+
+Path2d.prototype._getPointOnPath = function(point,out){
+    if(this._spatialIndex){
+        return this._getPointOnSubPathsIndexed(point,0,this._subPaths.length,out);
+    }
+
+    var subPaths = this._subPaths;
+    var subPath;
+    var points;
+
+    var distanceToPoint;
+    var distanceMin = Number.MAX_VALUE;
+
+    var pointOnSubPath = this._tempSubPathPoint;
+
+    var x, y, d, i0, i1, dp;
+
+    for(var i = 0, l = subPaths.length; i < l; ++i){
+        subPath = subPaths[i];
+        points  = subPath.points;
+
+        this._getPointOnSubPath(point,i,pointOnSubPath);
+        distanceToPoint = pointOnSubPath[2];
+
+        if(distanceToPoint <= distanceMin){
+            x  = pointOnSubPath[0];
+            y  = pointOnSubPath[1];
+            d  = pointOnSubPath[2];
+            i0 = pointOnSubPath[3];
+            i1 = pointOnSubPath[4];
+            dp = pointOnSubPath[5];
+
+            distanceMin = distanceToPoint;
+        }
+    }
+
+    out[0] = x;
+    out[1] = y;
+    out[2] = d;
+    out[3] = i0;
+    out[4] = i1;
+    out[5] = dp;
+
+    return out;
+};
+
+/*--------------------------------------------------------------------------------------------------------------------*/
+// SubPath modifier
+/*--------------------------------------------------------------------------------------------------------------------*/
+
+/**
+ * Begins a new sub path.
+ */
+Path2d.prototype.beginSubPath = function(){
+    if(!this._recordPoints){
+        return;
+    }
+    this._subPath = new SubPath(this._arrayType);
+    this._subPaths.push(this._subPath);
+};
+
+/**
+ * Closes the current sub path.
+ */
+Path2d.prototype.closeSubPath = function(){
+    var subPath = this._subPath =
+        this._subPath === null ?
+            new SubPath(this._arrayType) :
+            this._subPath;
+
+    subPath.closed = true;
+
+    if(this._recordPoints){
+        var points       = subPath.points;
+        var pointsLength = points.length;
+
+        //sub-paths continuing previous ones close at the start of the first
+        var subPaths   = this._subPaths;
+        var index      = subPaths.indexOf(subPath);
+        var pointsStart = points;
+        while(index > 0 && subPaths[index].continued){
+            pointsStart = subPaths[--index].points;
+        }
+
+        if(pointsStart[0] != points[pointsLength-2] ||
+           pointsStart[1] != points[pointsLength-1]){
+            subPath.points = pushFloats(points,pointsStart[0],pointsStart[1]);
+            subPath._dirty = true;
+        }
+
+        if(this._recordSvgCmd){
+            this._subPath.cmd += createSvgPathCmdClose() + ' ';
+        }
+    } else {
+        this._pathCmd += createSvgPathCmdClose() + ' ';
+        this._pointLast[0] = this._pointStart[0];
+        this._pointLast[1] = this._pointStart[1];
+    }
+    this._dirty = true;
+};
+
+Path2d.prototype.createSubPathAtIndex = function(index){
+    if(index > this._subPaths.length - 1){
+        throw new Range('Path2d: Sub-path index out of range');
+    }
+    this._subPath = new SubPath(this._arrayType);
+    this._subPaths.push(this._subPath);
+    this._dirty = true;
+};
+
+Path2d.prototype.removeSubPathAtIndex = function(subPathIndex){
+    if(this._subPaths[subPathIndex] === undefined){
+        throw new RangeError('Path2d: Sub-path index out of range.');
+    }
+    this._subPaths.splice(subPathIndex,1);
+    this._dirty = true;
+};
+
+Path2d.prototype.clearSubPath = function(){
+    clearSubPath(this._subPath);
+    this._dirty = true;
+};
+
+Path2d.prototype.clearSubPathAtIndex = function(subPathIndex){
+    var subPath = this._subPaths[subPathIndex];
+    if(subPath === undefined){
+        throw new RangeError('Path2d: Sub-path index out of range.');
+    }
+    clearSubPath(subPath);
+    this._dirty = true;
+};
+
+Path2d.prototype.moveToSubPathAtIndex = function(subPathIndex){
+    var subPath = this._subPaths[subPathIndex];
+    if(subPath === undefined){
+        throw new RangeError('Path2d: Sub-path index out of range.');
+    }
+    this._subPath = subPath;
+};
+
+/*--------------------------------------------------------------------------------------------------------------------*/
+// Update
+/*--------------------------------------------------------------------------------------------------------------------*/
+
+/**
+ * Updates all sub-path components. Called internally if the path is dirty on
+ * [getTotalLength]{@link Path2d#getTotalLength},
+ * [getPointAtLength]{@link Path2d#getPointAtLength},
+ * [getTangentAtLength]{@link Path2d#getTangentAtLength},
+ * [getNormalAtLength]{@link Path2d#getNormalAtLength},
+ * [getSubPathAtLength]{@link Path2d#getSubPathIndexAtLength},
+ * [getPathSegAtLength]{@link Path2d#getPathSegIndexAtLength},
+ * [getSubPaths]{@link Path2d#getSubPaths}.
+ */
+Path2d.prototype.update = function(){
+    if(!this._dirty){
+        return;
+    }
+
+    if(this._recordPoints){
+        if(this._reflatten){
+            this._reflattenSubPaths();
+            this._reflatten = false;
+        }
+        this._update();
+        this._bounds = this._boundsExact = this._contours = null;
+        if(this._spatialIndex){
+            this._updateSpatialIndex();
+        }
+        if(this._recordSvgCmd){
+            this._pathCmd = '';
+            var subPaths = this._subPaths;
+            for(var i = 0, l = subPaths.length; i < l; ++i){
+                this._pathCmd += subPaths[i].cmd;
+            }
+        }
+    } else {
+        this._lengthTotal = 0;
+    }
+
+    this._dirty = false;
+};
+
+/*--------------------------------------------------------------------------------------------------------------------*/
+// Path modifier
+/*--------------------------------------------------------------------------------------------------------------------*/
+
+/**
+ * Clears all path points.
+ */
+Path2d.prototype.clear = function(){
+    if(this._recordPoints){
+        this._subPath = null;
+        this._subPaths.length = 0;
+        this._lengthTotal = 0;
+    }
+
+    if(this._recordSvgCmd){
+        this._pathCmd = '';
+    }
+
+    this._dirty = true;
+};
+
+/**
+ * Moves the starting point of a new sub-path to the (x, y) coordinates.
+ * @param {Number} x - The x axis of the point.
+ * @param {Number} y - The y axis of the point.
+ */
+Path2d.prototype.moveTo = function(x,y){
+    var m = this._transform;
+    if(m !== null){
+        this._moveTo(m[0] * x + m[2] * y + m[4], m[1] * x + m[3] * y + m[5]);
+        return;
+    }
+    this._moveTo(x,y);
+};
+
+/**
+ * Moves the starting point of a new sub-path to the (x, y) coordinates, ignoring the current transform.
+ * @param {Number} x
+ * @param {Number} y
+ * @private
+ */
+Path2d.prototype._moveTo = function(x,y){
+    if(this._recordPoints){
+        if(this._subPath && this._subPath.points.length == 0){
+            this._subPath.points = pushFloats(this._subPath.points,x,y);
+        } else {
+            this._subPath = new SubPath(this._arrayType);
+            this._subPath.points = pushFloats(this._subPath.points,x,y);
+            this._subPaths.push(this._subPath);
+        }
+        if(this._recordSvgCmd){
+            this._subPath.cmd += createSvgPathCmdMoveTo(x,y) + ' ';
+        }
+        this._subPath._dirty = true;
+    } else {
+        this._pathCmd += createSvgPathCmdMoveTo(x,y) + ' ';
+        this._pointStart[0] = this._pointLast[0] = x;
+        this._pointStart[1] = this._pointLast[1] = y;
+    }
+
+    this._dirty = true;
+};
+
+/**
+ * Connects the last point in the sub-path to the x, y coordinates with a straight line.
+ * @param {Number} x - The x axis of the coordinate for the end of the line.
+ * @param {Number} y - The y axis of the coordinate for the end of the line.
+ */
+Path2d.prototype.lineTo = function(x,y){
+    var m = this._transform;
+    if(m !== null){
+        this._lineTo(m[0] * x + m[2] * y + m[4], m[1] * x + m[3] * y + m[5]);
+        return;
+    }
+    this._lineTo(x,y);
+};
+
+/**
+ * Connects the last point in the sub-path to the x, y coordinates, ignoring the current transform.
+ * @param {Number} x
+ * @param {Number} y
+ * @private
+ */
+Path2d.prototype._lineTo = function(x,y){
+    if(this._recordPoints){
+        if(this._subPath.points.length === 0){
+            throw new Error('SubPath line origin missing.');
+        }
+
+        this._ensureSubPathType(TYPE_CURVE,TYPE_LINE);
+
+        this._subPath.points = pushFloats(this._subPath.points,x,y);
+        this._subPath.segmentLengths = pushFloats(this._subPath.segmentLengths,-1);
+
+        if(this._recordSvgCmd){
+            this._subPath.cmd += createSvgPathCmdLineTo(x,y) + ' ';
+        }
+
+        this._subPath._dirty = true;
+    } else {
+        this._pathCmd += createSvgPathCmdLineTo(x,y) + ' ';
+        this._pointLast[0] = x;
+        this._pointLast[1] = y;
+    }
+
+    this._dirty = true;
+};
+
+/**
+ * Connects the last point in the sub-path to a list of points with straight lines.
+ * @param {Number[]|Array[]} points - Flat [x,y,x,y,...] or nested [[x,y],[x,y],...] points.
+ */
+Path2d.prototype.linesTo = function(points){
+    if(points.length === 0){
+        return;
+    }
+
+    var flat = [];
+    if(points[0].length === undefined){
+        flat = points.slice(0);
+    } else {
+        for(var i = 0, l = points.length; i < l; ++i){
+            flat.push(points[i][0],points[i][1]);
+        }
+    }
+
+    if(this._transform !== null){
+        transformPoints(this._transform,flat);
+    }
+
+    if(this._recordPoints){
+        if(this._subPath === null || this._subPath.points.length === 0){
+            throw new Error('SubPath line origin missing.');
+        }
+
+        this._ensureSubPathType(TYPE_CURVE,TYPE_LINE);
+
+        var subPath  = this._subPath;
+        var offset   = subPath.points.length;
+        var points_  = subPath.points = resizeFloatArray(subPath.points,offset + flat.length);
+
+        for(var i = 0, l = flat.length; i < l; ++i){
+            points_[offset + i] = flat[i];
+        }
+
+        if(this._recordSvgCmd){
+            subPath.cmd += createSvgPathCmdLinesTov(flat);
+        }
+
+        subPath._dirty = true;
+    } else {
+        this._pathCmd += createSvgPathCmdLinesTov(flat);
+        this._pointLast[0] = flat[flat.length - 2];
+        this._pointLast[1] = flat[flat.length - 1];
+    }
+
+    this._dirty = true;
+};
+
+/**
+ * Adds a quadratic Bézier curve to the path. It requires two points. The first point is a control point and the second
+ * one is the end point. The starting point is the last point in the current path, which can be changed using moveTo()
+ * before creating the quadratic Bézier curve.
+ * @param {Number} cpx - The x axis of the coordinate for the control point.
+ * @param {Number} cpy - The y axis of the coordinate for the control point.
+ * @param {Number} x - The x axis of the coordinate for the end point.
+ * @param {Number} y - The y axis of the coordinate for the end point.
+ * @param {Boolean} [numCurvePoints]
+ */
+Path2d.prototype.quadraticCurveTo = function(cpx,cpy,x,y,numCurvePoints){
+    var m = this._transform;
+    if(m !== null){
+        var tx = m[0] * cpx + m[2] * cpy + m[4];
+        var ty = m[1] * cpx + m[3] * cpy + m[5];
+        cpx = tx;
+        cpy = ty;
+        tx  = m[0] * x + m[2] * y + m[4];
+        ty  = m[1] * x + m[3] * y + m[5];
+        x   = tx;
+        y   = ty;
+    }
+
+    if(this._recordPoints){
+        this._ensureSubPathType(TYPE_LINE,TYPE_CURVE);
+
+        var subPath    = this._subPath;
+        var points     = subPath.points;
+        var pointsLen0 = points.length;
+
+        var sx = points[pointsLen0 - 2];
+        var sy = points[pointsLen0 - 1];
+
+        var curve = {
+            type       : 'Q',
+            index      : pointsLen0 / 2,
+            count      : 0,
+            args       : [sx,sy,cpx,cpy,x,y],
+            resolution : numCurvePoints != undefined ? null : 'quadratic'
+        };
+        curve.count = numCurvePoints != undefined ? Math.max(2,numCurvePoints) : this._getNumCurvePoints(curve);
+
+        points = subPath.points = resizeFloatArray(points,pointsLen0 + curve.count * 2);
+        flattenCurve(curve,points,pointsLen0);
+
+        subPath.curves.push(curve);
+        subPath._dirty = true;
+
+        if(this._recordSvgCmd){
+            this._subPath.cmd += createSvgPathCmdQuadraticCurveTo(
+                cpx, cpy,
+                x, y
+            ) + ' ';
+        }
+    } else {
+        this._pathCmd += createSvgPathCmdQuadraticCurveTo(
+            cpx, cpy,
+            x, y
+        ) + ' ';
+        this._pointLast[0] = x;
+        this._pointLast[1] = y;
+    }
+
+    this._dirty = true;
+};
+
+/**
+ * Adds a cubic Bézier curve to the path. It requires three points. The first two points are control points and the
+ * third one is the end point. The starting point is the last point in the current path, which can be changed using
+ * moveTo() before creating the Bézier curve.
+ * @param {Number} cp1x - The x axis of the coordinate for the first control point.
+ * @param {Number} cp1y - The y axis of the coordinate for first control point.
+ * @param {Number} cp2x - The x axis of the coordinate for the second control point.
+ * @param {Number} cp2y - The y axis of the coordinate for the second control point.
+ * @param {Number} x - The x axis of the coordinate for the end point.
+ * @param {Number} y - The y axis of the coordinate for the end point.
+ * @param {Boolean} [numCurvePoints] - Number of curve points.
+ */
+Path2d.prototype.cubicCurveTo = function(cp1x,cp1y,cp2x,cp2y,x,y,numCurvePoints){
+    var m = this._transform;
+    if(m !== null){
+        var tx = m[0] * cp1x + m[2] * cp1y + m[4];
+        var ty = m[1] * cp1x + m[3] * cp1y + m[5];
+        cp1x = tx;
+        cp1y = ty;
+        tx   = m[0] * cp2x + m[2] * cp2y + m[4];
+        ty   = m[1] * cp2x + m[3] * cp2y + m[5];
+        cp2x = tx;
+        cp2y = ty;
+        tx   = m[0] * x + m[2] * y + m[4];
+        ty   = m[1] * x + m[3] * y + m[5];
+        x    = tx;
+        y    = ty;
+    }
+
+    if(this._recordPoints){
+        this._ensureSubPathType(TYPE_LINE,TYPE_CURVE);
+
+        var subPath    = this._subPath;
+        var points     = subPath.points;
+        var pointsLen0 = points.length;
+
+        var sx = points[pointsLen0 - 2];
+        var sy = points[pointsLen0 - 1];
+
+        var curve = {
+            type       : 'C',
+            index      : pointsLen0 / 2,
+            count      : 0,
+            args       : [sx,sy,cp1x,cp1y,cp2x,cp2y,x,y],
+            resolution : numCurvePoints != undefined ? null : 'cubic'
+        };
+        curve.count = numCurvePoints != undefined ? Math.max(2,numCurvePoints) : this._getNumCurvePoints(curve);
+
+        points = subPath.points = resizeFloatArray(points,pointsLen0 + curve.count * 2);
+        flattenCurve(curve,points,pointsLen0);
+
+        subPath.curves.push(curve);
+        subPath._dirty = true;
+
+        if(this._recordSvgCmd){
+            this._subPath.cmd += createSvgPathCmdCubicCurveTo(
+                cp1x,cp1y,
+                cp2x,cp2y,
+                x,y
+            ) + ' ';
+        }
+    } else {
+        this._pathCmd += createSvgPathCmdCubicCurveTo(
+            cp1x,cp1y,
+            cp2x,cp2y,
+            x,y
+        ) + ' ';
+        this._pointLast[0] = x;
+        this._pointLast[1] = y;
+    }
+
+    this._dirty = true;
+};
+
+/**
+ * Adds an arc or ellipse, see [ellipse]{@link Path2d#ellipse}.
+ * @param {Number} [numArcPoints] - Number of arc points, derived from the resolution if undefined.
+ * @param {String} [resolution] - The resolution setting the number of points derives from, 'arc' or 'ellipse'.
+ * @private
+ */
+Path2d.prototype._arc = function(cx,cy,radiusX,radiusY,rotation,sAngle,eAngle,counterclockwise,numArcPoints,resolution){
+    if(this._transform !== null){
+        var ellipse = transformEllipse(this._transform,cx,cy,radiusX,radiusY,rotation,this._tempEllipse);
+        var sign    = ellipse[6];
+        cx       = ellipse[0];
+        cy       = ellipse[1];
+        radiusX  = ellipse[2];
+        radiusY  = ellipse[3];
+        rotation = ellipse[4];
+        sAngle   = sign * (sAngle + ellipse[5]);
+        eAngle   = sign * (eAngle + ellipse[5]);
+        counterclockwise = sign < 0 ? !counterclockwise : counterclockwise;
+    }
+
+    var cosrot = Math.cos(rotation);
+    var sinrot = Math.sin(rotation);
+    var srx, sry;
+    var sx, sy;
+    var px, py;
+
+    if(this._recordPoints){
+        if(this._subPath === null || this._subPath.points.length === 0){
+            srx = Math.cos(sAngle) * radiusX;
+            sry = Math.sin(sAngle) * radiusY;
+            sx  = srx * cosrot - sry * sinrot + cx;
+            sy  = srx * sinrot + sry * cosrot + cy;
+            this._moveTo(sx,sy);
+        }
+
+        if(sAngle === eAngle){
+            srx = Math.cos(sAngle) * radiusX;
+            sry = Math.sin(sAngle) * radiusY;
+            sx  = srx * cosrot - sry * sinrot + cx;
+            sy  = srx * sinrot + sry * cosrot + cy;
+            this._lineTo(sx,sy);
+            return;
+        }
+
+        this._ensureSubPathType(TYPE_LINE,TYPE_CURVE);
+
+        var sweep = getArcSweep(sAngle,eAngle,counterclockwise);
+
+        var subPath    = this._subPath;
+        var points     = subPath.points;
+        var pointsLen0 = points.length;
+
+        px = points[pointsLen0 - 2];
+        py = points[pointsLen0 - 1];
+
+        var curve = {
+            type       : 'A',
+            index      : pointsLen0 / 2,
+            count      : 0,
+            args       : [cx,cy,radiusX,radiusY,rotation,sAngle,sweep],
+            resolution : resolution || null
+        };
+        curve.count = numArcPoints !== undefined ? numArcPoints : this._getNumCurvePoints(curve);
+
+        points = subPath.points = resizeFloatArray(points,pointsLen0 + curve.count * 2);
+        flattenCurve(curve,points,pointsLen0);
+
+        subPath.curves.push(curve);
+        subPath._dirty = true;
+
+    } else {
+        px = this._pointLast[0];
+        py = this._pointLast[1];
+
+        var angle = sAngle === eAngle ? sAngle : sAngle + getArcSweep(sAngle,eAngle,counterclockwise);
+        srx = Math.cos(angle) * radiusX;
+        sry = Math.sin(angle) * radiusY;
+        this._pointLast[0] = srx * cosrot - sry * sinrot + cx;
+        this._pointLast[1] = srx * sinrot + sry * cosrot + cy;
+    }
+
+    if(this._recordSvgCmd){
+        var diff = Math.abs(eAngle - sAngle);
+
+        //mimic canvas, sweep larger PI2 get constrained to PI2
+        if((sAngle === eAngle )|| diff <= EPSILON || diff >= PI2){
+            eAngle = sAngle + PI2_NEAR;
+        }
+
+        diff  = eAngle - sAngle;
+        diff += diff < 0 ? PI2 : 0;
+
+        var largeArcFlag = diff > Math.PI;
+            largeArcFlag = counterclockwise ? !largeArcFlag : largeArcFlag;
+
+        var ex, ey;
+
+        if(rotation === 0){
+            sx = cx + radiusX * Math.cos(sAngle);
+            sy = cy + radiusY * Math.sin(sAngle);
+            ex = cx + radiusX * Math.cos(eAngle);
+            ey = cy + radiusY * Math.sin(eAngle);
+
+        } else {
+            var x = radiusX * Math.cos(sAngle);
+            var y = radiusY * Math.sin(sAngle);
+
+            sx  = x * cosrot - y * sinrot + cx;
+            sy  = x * sinrot + y * cosrot + cy;
+
+            x = radiusX * Math.cos(eAngle);
+            y = radiusY * Math.sin(eAngle);
+
+            ex = x * cosrot - y * sinrot + cx;
+            ey = x * sinrot + y * cosrot + cy;
+        }
+
+        //connect to the arc start, unless the current point is already there
+        var cmd = Math.abs(sx - px) > EPSILON || Math.abs(sy - py) > EPSILON ?
+                  createSvgPathCmdLineTo(sx,sy) + ' ' : '';
+
+        cmd += createSvgPathCmdArc(
+            radiusX,radiusY,
+            rotation * _180_PI,
+            +largeArcFlag, +!counterclockwise,
+            ex, ey
+        ) + ' ';
+
+        if(this._recordPoints){
+            this._subPath.cmd += cmd;
+        } else {
+            this._pathCmd += cmd;
+        }
+    }
+
+    this._dirty = true;
+};
+
+/**
+ * Adds an arc to the path which is centered at (x, y) position with radius r starting at startAngle and ending at
+ * endAngle going in the given direction by anticlockwise (defaulting to clockwise).
+ * @param {Number} cx - The x coordinate of the arc's center.
+ * @param {Number} cy - The y coordinate of the arc's center.
+ * @param {Number} r - The arc's radius.
+ * @param {Number} sAngle - The angle at which the arc starts, measured clockwise from the positive x axis and
+ * expressed in radians.
+ * @param {Number} eAngle - The angle at which the arc ends, measured clockwise from the positive x axis and
+ * expressed in radians.
+ * @param {Boolean} [counterclockwise] - An optional Boolean which, if true, causes the arc to be drawn
+ * counter-clockwise between the two angles. By default it is drawn clockwise.
+ * @param {Number} [numArcPoints] - Number of arc points.
+ */
+Path2d.prototype.arc = function(cx,cy,r,sAngle,eAngle,counterclockwise,numArcPoints){
+    counterclockwise = counterclockwise || false;
+    this._arc(cx,cy,r,r,0,sAngle,eAngle,counterclockwise,numArcPoints,numArcPoints === undefined ? 'arc' : null);
+};
+
+/**
+ * Adds an arc to the path with the given control points and radius, connected to the previous point by a straight line.
+ * @param {Number} x1 - The x axis of the coordinate for the first control point.
+ * @param {Number} y1 - The y axis of the coordinate for the first control point.
+ * @param {Number} x2 - The x axis of the coordinate for the second control point.
+ * @param {Number} y2 - The y axis of the coordinate for the second control point.
+ * @param {Number} radius - The arc's radius.
+ * @param {Number} [numArcPoints] - Number of arc points.
+ */
+//http://d.hatena.ne.jp/mindcat/20100131/1264958828
+Path2d.prototype.arcTo = function(x1,y1,x2,y2,radius,numArcPoints){
+    numArcPoints = numArcPoints === undefined ? undefined : Math.max(2,numArcPoints);
+
+    var x0, y0;
+    if(this._recordPoints){
+        x0 = this._subPath.points[this._subPath.points.length-2];
+        y0 = this._subPath.points[this._subPath.points.length-1];
+    } else {
+        x0 = this._pointLast[0];
+        y0 = this._pointLast[1];
+    }
+
+    //current point back to untransformed space
+    if(this._transform !== null){
+        var inv = invertTransform(this._transform,this._tempTransform);
+        if(inv === null){
+            return;
+        }
+        var tx = inv[0] * x0 + inv[2] * y0 + inv[4];
+        var ty = inv[1] * x0 + inv[3] * y0 + inv[5];
+        x0 = tx;
+        y0 = ty;
+    }
+    var a1 = y0 - y1;
+    var b1 = x0 - x1;
+    var a2 = y2 - y1;
+    var b2 = x2 - x1;
+    var mm = Math.abs(a1*b2 - b1*a2);
+
+    if (mm === 0 || radius === 0) {
+        this.lineTo(x1, y1)
+        return;
+    }
+
+    var dd = a1 * a1 + b1 * b1;
+    var cc = a2 * a2 + b2 * b2;
+    var tt = a1 * a2 + b1 * b2;
+    var k1 = radius * Math.sqrt(dd) / mm;
+    var k2 = radius * Math.sqrt(cc) / mm;
+    var j1 = k1 * tt / dd;
+    var j2 = k2 * tt / cc;
+    var cx = k1 * b2 + k2 * b1;
+    var cy = k1 * a2 + k2 * a1;
+    var px = b1 * (k2 + j1);
+    var py = a1 * (k2 + j1);
+    var qx = b2 * (k1 + j2);
+    var qy = a2 * (k1 + j2);
+    var ang1 = Math.atan2(py - cy, px - cx);
+    var ang2 = Math.atan2(qy - cy, qx - cx);
+
+    //recorded as line and arc, both emit their own svg commands
+    this.lineTo(px + x1, py + y1);
+    this.arc(cx + x1, cy + y1, radius, ang1, ang2, b1 * a2 > b2 * a1,numArcPoints);
+};
+
+/**
+ * Adds an ellipse to the path which is centered at (x, y) position with the radii radiusX and radiusY starting at
+ * startAngle and ending at endAngle going in the given direction by anticlockwise (defaulting to clockwise).
+ * @param {Number} x - The x axis of the coordinate for the ellipse's center.
+ * @param {Number} y - The y axis of the coordinate for the ellipse's center.
+ * @param {Number} radiusX - The ellipse's major-axis radius.
+ * @param {Number} radiusY - The ellipse's minor-axis radius.
+ * @param {Number} rotation - The rotation for this ellipse, expressed in degrees.
+ * @param {Number} sAngle - The starting point, measured from the x axis, from which it will be drawn, expressed in
+ * radians.
+ * @param {Number} eAngle - The end ellipse's angle to which it will be drawn, expressed in radians.
+ * @param {Boolean} [counterclockwise] - An optional Boolean which, if true, draws the ellipse anticlockwise
+ * (counter-clockwise), otherwise in a clockwise direction.
+ * @param [numEllipsePoints] - Number of ellipse points.
+ */
+Path2d.prototype.ellipse = function(x,y,radiusX,radiusY,rotation,sAngle,eAngle,counterclockwise,numEllipsePoints){
+    counterclockwise = counterclockwise || false;
+    this._arc(x,y,radiusX,radiusY,rotation,sAngle,eAngle,counterclockwise,numEllipsePoints,
+              numEllipsePoints === undefined ? 'ellipse' : null);
+};
+
+/**
+ * Adds a closed sub-path with a full ellipse centered at (x, y) with the radii radiusX and radiusY, starting at the
+ * end of its major axis.
+ * @param {Number} x - The x axis of the coordinate for the ellipse's center.
+ * @param {Number} y - The y axis of the coordinate for the ellipse's center.
+ * @param {Number} radiusX - The ellipse's major-axis radius.
+ * @param {Number} radiusY - The ellipse's minor-axis radius.
+ * @param {Number} [rotation=0] - The rotation for this ellipse, expressed in radians.
+ * @param {Number} [numEllipsePoints] - Number of ellipse points.
+ */
+Path2d.prototype.ellipseCentered = function(x,y,radiusX,radiusY,rotation,numEllipsePoints){
+    rotation = rotation || 0;
+    this.moveTo(x + Math.cos(rotation) * radiusX,y + Math.sin(rotation) * radiusX);
+    this._arc(x,y,radiusX,radiusY,rotation,0,PI2,false,numEllipsePoints,
+              numEllipsePoints === undefined ? 'ellipse' : null);
+    this.closeSubPath();
+};
+
+/**
+ * Creates a new sub path ellipse which is centered at (x, y) position with the radii radiusX and radiusY starting at
+ * startAngle and ending at endAngle going in the given direction by anticlockwise (defaulting to clockwise).
+ * @param {Number} x - The x axis of the coordinate for the ellipse's center.
+ * @param {Number} y - The y axis of the coordinate for the ellipse's center.
+ * @param {Number} radiusX - The ellipse's major-axis radius.
+ * @param {Number} radiusY - The ellipse's minor-axis radius.
+ * @param {Number} rotation - The rotation for this ellipse, expressed in degrees.
+ * @param {Number} startAngle - The starting point, measured from the x axis, from which it will be drawn, expressed in
+ * radians.
+ * @param {Number} endAngle - The end ellipse's angle to which it will be drawn, expressed in radians.
+ * @param {Boolean} [counterclockwise] - An optional Boolean which, if true, draws the ellipse anticlockwise
+ * (counter-clockwise), otherwise in a clockwise direction.
+ * @param [numEllipsePoints] - Number of ellipse points.
+ */
+Path2d.prototype.ellipseAt = function(x,y,radiusX,radiusY,rotation,startAngle,endAngle,counterclockwise,numEllipsePoints){
+    this._subPath = null;
+    this.ellipse(
+        x,y,
         radiusX,radiusY,
         rotation,
         startAngle,endAngle,
@@ -1341,762 +6200,3320 @@ Path2d.prototype.ellipseAt = function(x,y,radiusX,radiusY,rotation,startAngle,en
     );
 };
 
-Path2d.prototype.ellipseCenteredAt = function(){};
+/**
+ * Creates a new closed sub-path with a full ellipse centered at (x, y), see
+ * [ellipseCentered]{@link Path2d#ellipseCentered}.
+ * @param {Number} x - The x axis of the coordinate for the ellipse's center.
+ * @param {Number} y - The y axis of the coordinate for the ellipse's center.
+ * @param {Number} radiusX - The ellipse's major-axis radius.
+ * @param {Number} radiusY - The ellipse's minor-axis radius.
+ * @param {Number} [rotation=0] - The rotation for this ellipse, expressed in radians.
+ * @param {Number} [numEllipsePoints] - Number of ellipse points.
+ */
+Path2d.prototype.ellipseCenteredAt = function(x,y,radiusX,radiusY,rotation,numEllipsePoints){
+    this._subPath = null;
+    this.ellipseCentered(x,y,radiusX,radiusY,rotation,numEllipsePoints);
+};
+
+/**
+ * Adds a closed sub-path with a full circle centered at (x, y), starting on the positive x axis.
+ * @param {Number} x - The x axis of the coordinate for the circle's center.
+ * @param {Number} y - The y axis of the coordinate for the circle's center.
+ * @param {Number} radius - The circle's radius.
+ * @param {Number} [numArcPoints] - Number of arc points.
+ */
+Path2d.prototype.circle = function(x,y,radius,numArcPoints){
+    this.moveTo(x + radius,y);
+    this._arc(x,y,radius,radius,0,0,PI2,false,numArcPoints,numArcPoints === undefined ? 'arc' : null);
+    this.closeSubPath();
+};
+
+/**
+ * Creates a path for a rectangle at position (x, y) with a size that is determined by width and height. Those four
+ * points are connected by straight lines and the sub-path is marked as closed.
+ * @param x
+ * @param y
+ * @param width
+ * @param height
+ */
+Path2d.prototype.rect = function(x,y,width,height){
+    var xw = x + width;
+    var yh = y + height;
+
+    var corners = this._tempRect;
+    corners[0] = x;  corners[1] = y;
+    corners[2] = xw; corners[3] = y;
+    corners[4] = xw; corners[5] = yh;
+    corners[6] = x;  corners[7] = yh;
+
+    if(this._transform !== null){
+        transformPoints(this._transform,corners);
+    }
+
+    var cmd = createSvgPathCmdLineTo(corners[2],corners[3]) + ' ' +
+              createSvgPathCmdLineTo(corners[4],corners[5]) + ' ' +
+              createSvgPathCmdLineTo(corners[6],corners[7]) + ' ' +
+              createSvgPathCmdClose() + ' ';
+
+    this._moveTo(corners[0],corners[1]);
+
+    if(this._recordPoints){
+        this._subPath.points = pushFloats(this._subPath.points,
+            corners[2],corners[3],
+            corners[4],corners[5],
+            corners[6],corners[7],
+            corners[0],corners[1]
+        );
+        this._subPath.closed = true;
+        this._subPath._dirty = true;
+
+        if(this._recordSvgCmd){
+            this._subPath.cmd += cmd;
+        }
+    } else {
+        this._pathCmd += cmd;
+    }
+
+    this._dirty = true;
+};
+
+/**
+ * Creates a new sub-path with a spline passing through the points given, built from cubic Bézier curves.
+ * @param {Number[]|Array[]} points - Flat [x,y,x,y,...] or nested [[x,y],[x,y],...] points.
+ * @param {Object} [options]
+ * @param {String} [options.type='catmull-rom'] - 'catmull-rom', 'centripetal' (Catmull-Rom parameterized by the
+ * square root of the point distances, avoiding cusps and self-intersections), 'cardinal' or 'monotone-x' (monotone in
+ * y between the points, for ascending x coordinates)
+ * @param {Number} [options.tension=0] - The tension of 'cardinal' splines, 0 yields Catmull-Rom, 1 straight lines.
+ * @param {Boolean} [options.closed=false] - If true, the spline wraps around and the sub-path gets closed.
+ * 'monotone-x' splines get closed by a straight line.
+ */
+Path2d.prototype.splineThrough = function(points,options){
+    options = options || {};
+
+    var type = options.type === undefined ? 'catmull-rom' : options.type;
+    if(!SPLINE_TYPES.hasOwnProperty(type)){
+        throw new Error('Path2d: Invalid spline type "' + type + '".');
+    }
+
+    var flat = [];
+    if(points.length > 0 && points[0].length === undefined){
+        flat = points.slice(0);
+    } else {
+        for(var i = 0, l = points.length; i < l; ++i){
+            flat.push(points[i][0],points[i][1]);
+        }
+    }
+    if(flat.length < 4){
+        return;
+    }
+
+    var closed = !!options.closed;
+    var curves;
+    switch(type){
+        case 'catmull-rom':
+            curves = getSplineCurvesCatmullRom(flat,false,0,closed);
+            break;
+        case 'centripetal':
+            curves = getSplineCurvesCatmullRom(flat,true,0,closed);
+            break;
+        case 'cardinal':
+            curves = getSplineCurvesCatmullRom(flat,false,options.tension || 0,closed);
+            break;
+        case 'monotone-x':
+            curves = getSplineCurvesMonotoneX(flat);
+            break;
+    }
+
+    this.moveTo(flat[0],flat[1]);
+    for(var j = 0; j < curves.length; j += 6){
+        this.cubicCurveTo(
+            curves[j    ],curves[j + 1],
+            curves[j + 2],curves[j + 3],
+            curves[j + 4],curves[j + 5]
+        );
+    }
+    if(closed){
+        this.closeSubPath();
+    }
+};
+
+/**
+ * Creates a closed sub-path for a rectangle at position (x, y) with a size that is determined by width and height and
+ * rounded corners. Like canvas roundRect, radii get scaled down uniformly if adjacent corners overlap.
+ * @param {Number} x - The x axis of the rectangle's starting point.
+ * @param {Number} y - The y axis of the rectangle's starting point.
+ * @param {Number} width - The rectangle's width, negative widths extend to the left.
+ * @param {Number} height - The rectangle's height, negative heights extend upwards.
+ * @param {Number|Array} [radii=0] - A radius for all corners, or a list of 1 to 4 radii, [all], [top-left and
+ * bottom-right, top-right and bottom-left], [top-left, top-right and bottom-left, bottom-right] or [top-left, top-right,
+ * bottom-right, bottom-left]. Radii may be numbers or {x,y} for elliptical corners.
+ */
+Path2d.prototype.roundRect = function(x,y,width,height,radii){
+    radii = radii === undefined ? [0] : radii.length === undefined ? [radii] : radii;
+    if(radii.length < 1 || radii.length > 4){
+        throw new RangeError('Path2d: Round rect requires 1 to 4 radii.');
+    }
+
+    var corners = [];
+    var radius;
+    for(var i = 0; i < radii.length; ++i){
+        radius = typeof radii[i] === 'number' ? [radii[i],radii[i]] : [radii[i].x || 0,radii[i].y || 0];
+        if(!(radius[0] >= 0 && radius[1] >= 0)){
+            throw new RangeError('Path2d: Round rect radii must be positive.');
+        }
+        corners.push(radius);
+    }
+
+    //[top-left, top-right, bottom-right, bottom-left]
+    switch(corners.length){
+        case 1:
+            corners = [corners[0],corners[0],corners[0],corners[0]];
+            break;
+        case 2:
+            corners = [corners[0],corners[1],corners[0],corners[1]];
+            break;
+        case 3:
+            corners = [corners[0],corners[1],corners[2],corners[1]];
+            break;
+    }
+
+    //negative sizes mirror the corners
+    var swap;
+    if(width < 0){
+        x += width;
+        width = -width;
+        swap = corners[0]; corners[0] = corners[1]; corners[1] = swap;
+        swap = corners[2]; corners[2] = corners[3]; corners[3] = swap;
+    }
+    if(height < 0){
+        y += height;
+        height = -height;
+        swap = corners[0]; corners[0] = corners[3]; corners[3] = swap;
+        swap = corners[1]; corners[1] = corners[2]; corners[2] = swap;
+    }
+
+    var tl = corners[0], tr = corners[1], br = corners[2], bl = corners[3];
+    var scale = Math.min(
+        tl[0] + tr[0] > 0 ? width  / (tl[0] + tr[0]) : 1,
+        tr[1] + br[1] > 0 ? height / (tr[1] + br[1]) : 1,
+        br[0] + bl[0] > 0 ? width  / (br[0] + bl[0]) : 1,
+        tl[1] + bl[1] > 0 ? height / (tl[1] + bl[1]) : 1
+    );
+    if(scale < 1){
+        for(i = 0; i < 4; ++i){
+            corners[i] = [corners[i][0] * scale,corners[i][1] * scale];
+        }
+        tl = corners[0]; tr = corners[1]; br = corners[2]; bl = corners[3];
+    }
+
+    var xw = x + width;
+    var yh = y + height;
+
+    this.moveTo(x + tl[0],y);
+    this._roundRectCorner(xw - tr[0],y  + tr[1],tr,-Math.PI * 0.5);
+    this._roundRectCorner(xw - br[0],yh - br[1],br,0);
+    this._roundRectCorner(x  + bl[0],yh - bl[1],bl,Math.PI * 0.5);
+    this._roundRectCorner(x  + tl[0],y  + tl[1],tl,Math.PI);
+    this.closeSubPath();
+};
+
+/**
+ * Connects the last point to a round rect corner and adds its quarter arc, or the corner point if not rounded.
+ * @param {Number} cx - The x axis of the corner arc's center.
+ * @param {Number} cy - The y axis of the corner arc's center.
+ * @param {Number[]} radius - [radiusX,radiusY]
+ * @param {Number} sAngle - The angle the corner arc starts at.
+ * @private
+ */
+Path2d.prototype._roundRectCorner = function(cx,cy,radius,sAngle){
+    if(radius[0] === 0 || radius[1] === 0){
+        this.lineTo(cx,cy);
+        return;
+    }
+    this._arc(cx,cy,radius[0],radius[1],0,sAngle,sAngle + Math.PI * 0.5,false,undefined,
+              radius[0] === radius[1] ? 'arc' : 'ellipse');
+};
+
+/**
+ * Creates a closed sub-path for a regular polygon centered at (cx, cy). The first vertex points upwards, along the
+ * negative y axis.
+ * @param {Number} cx - The x axis of the polygon's center.
+ * @param {Number} cy - The y axis of the polygon's center.
+ * @param {Number} radius - The distance of the vertices to the center.
+ * @param {Number} sides - The number of sides, at least 3.
+ * @param {Number} [rotation=0] - The rotation of the polygon, expressed in radians.
+ */
+Path2d.prototype.regularPolygon = function(cx,cy,radius,sides,rotation){
+    if(!(sides >= 3)){
+        throw new RangeError('Path2d: Regular polygons require at least 3 sides.');
+    }
+    sides = Math.floor(sides);
+
+    var points = [];
+    var angle;
+    for(var i = 0; i < sides; ++i){
+        angle = (rotation || 0) - Math.PI * 0.5 + i * PI2 / sides;
+        points.push(cx + Math.cos(angle) * radius,cy + Math.sin(angle) * radius);
+    }
+
+    this.moveTo(points[0],points[1]);
+    this.linesTo(points.slice(2));
+    this.closeSubPath();
+};
+
+/**
+ * Creates a closed sub-path for a star centered at (cx, cy), alternating between outer and inner vertices. The first
+ * outer vertex points upwards, along the negative y axis.
+ * @param {Number} cx - The x axis of the star's center.
+ * @param {Number} cy - The y axis of the star's center.
+ * @param {Number} radiusOuter - The distance of the outer vertices to the center.
+ * @param {Number} radiusInner - The distance of the inner vertices to the center.
+ * @param {Number} points - The number of outer vertices, at least 2.
+ * @param {Number} [rotation=0] - The rotation of the star, expressed in radians.
+ */
+Path2d.prototype.star = function(cx,cy,radiusOuter,radiusInner,points,rotation){
+    if(!(points >= 2)){
+        throw new RangeError('Path2d: Stars require at least 2 points.');
+    }
+    points = Math.floor(points);
+
+    var vertices = [];
+    var angle, radius;
+    for(var i = 0, l = points * 2; i < l; ++i){
+        angle  = (rotation || 0) - Math.PI * 0.5 + i * Math.PI / points;
+        radius = i % 2 === 0 ? radiusOuter : radiusInner;
+        vertices.push(cx + Math.cos(angle) * radius,cy + Math.sin(angle) * radius);
+    }
+
+    this.moveTo(vertices[0],vertices[1]);
+    this.linesTo(vertices.slice(2));
+    this.closeSubPath();
+};
+
+/**
+ * Creates a closed sub-path for a superellipse |x / radiusX|^exponent + |y / radiusY|^exponent = 1 centered at
+ * (cx, cy), starting on the positive x axis. Exponent 2 yields an ellipse, larger ones approach a rectangle, smaller
+ * ones a star. It is recorded as straight lines, with the number of points derived from the ellipse resolution by
+ * default.
+ * @param {Number} cx - The x axis of the superellipse's center.
+ * @param {Number} cy - The y axis of the superellipse's center.
+ * @param {Number} radiusX - The superellipse's radius along the x axis.
+ * @param {Number} radiusY - The superellipse's radius along the y axis.
+ * @param {Number} exponent - The exponent, positive.
+ * @param {Number} [numPoints] - Number of points.
+ */
+Path2d.prototype.superellipse = function(cx,cy,radiusX,radiusY,exponent,numPoints){
+    if(!(exponent > 0)){
+        throw new RangeError('Path2d: Superellipse exponent must be positive.');
+    }
+    if(numPoints === undefined){
+        numPoints = this._getNumCurvePoints({
+            type       : 'A',
+            index      : 0,
+            count      : 0,
+            args       : [cx,cy,radiusX,radiusY,0,0,PI2],
+            resolution : 'ellipse'
+        });
+    }
+    numPoints = Math.max(3,numPoints);
+
+    var power  = 2.0 / exponent;
+    var points = [];
+    var angle, cos, sin;
+    for(var i = 0; i < numPoints; ++i){
+        angle = i * PI2 / numPoints;
+        cos   = Math.cos(angle);
+        sin   = Math.sin(angle);
+        points.push(
+            cx + (cos < 0 ? -1 : 1) * Math.pow(Math.abs(cos),power) * radiusX,
+            cy + (sin < 0 ? -1 : 1) * Math.pow(Math.abs(sin),power) * radiusY
+        );
+    }
+
+    this.moveTo(points[0],points[1]);
+    this.linesTo(points.slice(2));
+    this.closeSubPath();
+};
+
+/*--------------------------------------------------------------------------------------------------------------------*/
+// Transform
+/*--------------------------------------------------------------------------------------------------------------------*/
+
+/**
+ * Transforms all sub-path points and recorded svg commands by the affine transform given. Tangents, normals and lengths
+ * get recomputed on the next update.
+ * @param {Number[]} matrix - The transform. [a,b,c,d,e,f] mapping x,y to a * x + c * y + e, b * x + d * y + f
+ */
+Path2d.prototype.transform = function(matrix){
+    if(this._recordPoints){
+        var subPaths = this._subPaths;
+        var subPath;
+
+        for(var i = 0, l = subPaths.length; i < l; ++i){
+            subPath = subPaths[i];
+            transformPoints(matrix,subPath.points);
+            for(var j = 0, k = subPath.curves.length; j < k; ++j){
+                transformCurve(matrix,subPath.curves[j]);
+            }
+            if(this._recordSvgCmd){
+                subPath.cmd = transformSvgPathCmd(matrix,subPath.cmd);
+            }
+            subPath._dirty = true;
+        }
+    } else {
+        this._pathCmd = transformSvgPathCmd(matrix,this._pathCmd);
+    }
+
+    this._dirty = true;
+};
+
+/**
+ * Translates the path.
+ * @param {Number} x - The translation along the x axis.
+ * @param {Number} y - The translation along the y axis.
+ */
+Path2d.prototype.translate = function(x,y){
+    this.transform([1,0,0,1,x,y]);
+};
+
+/**
+ * Rotates the path around the origin.
+ * @param {Number} angle - The rotation angle in radians.
+ */
+Path2d.prototype.rotate = function(angle){
+    var cos = Math.cos(angle);
+    var sin = Math.sin(angle);
+    this.transform([cos,sin,-sin,cos,0,0]);
+};
+
+/**
+ * Scales the path relative to the origin.
+ * @param {Number} x - The scale factor along the x axis.
+ * @param {Number} [y] - The scale factor along the y axis, defaults to x.
+ */
+Path2d.prototype.scale = function(x,y){
+    this.transform([x,0,0,y === undefined ? x : y,0,0]);
+};
+
+/**
+ * Sets the transform applied to all coordinates passed to subsequent path modifier calls.
+ * Already created sub-paths are not affected.
+ * @param {Number[]|null} matrix - The transform [a,b,c,d,e,f] or null to reset.
+ */
+Path2d.prototype.setTransform = function(matrix){
+    this._transform = (matrix === null || matrix === undefined) ? null : matrix.slice(0,6);
+};
+
+/**
+ * Returns the transform applied to subsequent path modifier calls.
+ * @param {Number[]} [out] - Optional out. [a,b,c,d,e,f]
+ * @returns {Number[]}
+ */
+Path2d.prototype.getTransform = function(out){
+    out = out || [0,0,0,0,0,0];
+    var m = this._transform || [1,0,0,1,0,0];
+    for(var i = 0; i < 6; ++i){
+        out[i] = m[i];
+    }
+    return out;
+};
+
+/**
+ * Resets the transform applied to subsequent path modifier calls to identity and clears the transform stack.
+ */
+Path2d.prototype.resetTransform = function(){
+    this._transform = null;
+    this._transformStack.length = 0;
+};
+
+/**
+ * Saves the current transform and multiplies it by the transform given.
+ * @param {Number[]} matrix - The transform. [a,b,c,d,e,f]
+ */
+Path2d.prototype.pushTransform = function(matrix){
+    var transform = this._transform;
+    this._transformStack.push(transform);
+    this._transform = transform === null ?
+                      matrix.slice(0,6) :
+                      multiplyTransform(transform,matrix,new Array(6));
+};
+
+/**
+ * Restores the transform saved by the last [pushTransform]{@link Path2d#pushTransform} call.
+ */
+Path2d.prototype.popTransform = function(){
+    if(this._transformStack.length === 0){
+        throw new Error('Path2d: Transform stack is empty.');
+    }
+    this._transform = this._transformStack.pop();
+};
+
+/*--------------------------------------------------------------------------------------------------------------------*/
+// Bounds
+/*--------------------------------------------------------------------------------------------------------------------*/
+
+/**
+ * Returns the cached bounds of a sub-path.
+ * @param {SubPath} subPath
+ * @param {Boolean} exact
+ * @returns {Number[]}
+ * @private
+ */
+Path2d.prototype._getSubPathBounds = function(subPath,exact){
+    if(!exact){
+        return subPath._bounds ||
+               (subPath._bounds = expandBoundsByPoints(resetBounds([0,0,0,0]),subPath.points));
+    }
+    if(subPath._boundsExact !== null){
+        return subPath._boundsExact;
+    }
+    //flattened points lie on the curves, so only curve extrema can extend the point bounds
+    var bounds = this._getSubPathBounds(subPath,false).slice(0);
+    var curves = subPath.curves;
+    for(var i = 0, l = curves.length; i < l; ++i){
+        expandBoundsByCurve(bounds,curves[i]);
+    }
+    return subPath._boundsExact = bounds;
+};
+
+/**
+ * Returns the axis-aligned bounds of a sub-path.
+ * Returns [-1,-1,-1,-1] if points recording is deactivated.
+ * @param {Number} subPathIndex - The sub-path index.
+ * @param {Boolean} [exact] - If true, the extrema of curves, arcs and ellipses are used instead of their flattened
+ * points.
+ * @param {Number[]} [out] - Optional out. [minX,minY,maxX,maxY]
+ * @returns {Number[]}
+ */
+Path2d.prototype.getSubPathBounds = function(subPathIndex,exact,out){
+    if(!this._recordPoints || this._subPaths.length === 0){
+        return [-1,-1,-1,-1];
+    }
+    var subPath = this._subPaths[subPathIndex];
+    if(subPath === undefined){
+        throw new RangeError('Path2d: Sub-path index out of range.');
+    }
+    out = out || [0,0,0,0];
+    this.update();
+
+    var bounds = this._getSubPathBounds(subPath,!!exact);
+
+    out[0] = bounds[0];
+    out[1] = bounds[1];
+    out[2] = bounds[2];
+    out[3] = bounds[3];
+    return out;
+};
+
+/**
+ * Returns the axis-aligned bounds of the path.
+ * Returns [-1,-1,-1,-1] if points recording is deactivated.
+ * @param {Boolean} [exact] - If true, the extrema of curves, arcs and ellipses are used instead of their flattened
+ * points.
+ * @param {Number[]} [out] - Optional out. [minX,minY,maxX,maxY]
+ * @returns {Number[]}
+ */
+Path2d.prototype.getBounds = function(exact,out){
+    if(!this._recordPoints || this._subPaths.length === 0){
+        return [-1,-1,-1,-1];
+    }
+    out = out || [0,0,0,0];
+    exact = !!exact;
+    this.update();
+
+    var bounds = exact ? this._boundsExact : this._bounds;
+
+    if(bounds === null){
+        bounds = resetBounds([0,0,0,0]);
+        var subPaths = this._subPaths;
+        for(var i = 0, l = subPaths.length; i < l; ++i){
+            if(subPaths[i].points.length === 0){
+                continue;
+            }
+            expandBoundsByBounds(bounds,this._getSubPathBounds(subPaths[i],exact));
+        }
+        if(exact){
+            this._boundsExact = bounds;
+        } else {
+            this._bounds = bounds;
+        }
+    }
+
+    out[0] = bounds[0];
+    out[1] = bounds[1];
+    out[2] = bounds[2];
+    out[3] = bounds[3];
+    return out;
+};
+
+/*--------------------------------------------------------------------------------------------------------------------*/
+// Hit testing
+/*--------------------------------------------------------------------------------------------------------------------*/
+
+/**
+ * Returns true if the point is inside the area of the path. Open sub-paths are implicitly closed, points on the path
+ * are considered to be inside, matching canvas isPointInPath.
+ * @param {Number[]} point - The point. [x,y]
+ * @param {String} [fillRule='nonzero'] - 'nonzero' or 'evenodd'
+ * @returns {Boolean}
+ */
+Path2d.prototype.isPointInPath = function(point,fillRule){
+    fillRule = fillRule || FILL_RULE_NONZERO;
+    validateFillRule(fillRule);
+
+    if(!this._recordPoints || this._subPaths.length === 0){
+        return false;
+    }
+    this.update();
+
+    var x = point[0];
+    var y = point[1];
+
+    var bounds = this.getBounds(false,this._tempBounds);
+    if(x < bounds[0] || x > bounds[2] || y < bounds[1] || y > bounds[3]){
+        return false;
+    }
+
+    var contours = this._getContours();
+    var points;
+    var winding = 0;
+
+    for(var i = 0, l = contours.length; i < l; ++i){
+        points = contours[i].points;
+        if(points.length === 0){
+            continue;
+        }
+        if(isPointOnPolyline(points,true,x,y,EPSILON)){
+            return true;
+        }
+        winding += getWindingNumber(points,x,y);
+    }
+
+    return fillRule === FILL_RULE_NONZERO ? winding !== 0 : (winding & 1) === 1;
+};
+
+/**
+ * Returns true if the point is inside the area covered by stroking the path, matching canvas isPointInStroke.
+ * @param {Number[]} point - The point. [x,y]
+ * @param {Number} [lineWidth=1] - The stroke width.
+ * @param {Object} [options]
+ * @param {String} [options.join='miter'] - 'miter', 'round' or 'bevel'
+ * @param {String} [options.cap='butt'] - 'butt', 'round' or 'square'
+ * @param {Number} [options.miterLimit=10] - The maximum miter length relative to the line width.
+ * @returns {Boolean}
+ */
+Path2d.prototype.isPointInStroke = function(point,lineWidth,options){
+    if(!this._recordPoints || this._subPaths.length === 0){
+        return false;
+    }
+    options = options || {};
+
+    var halfWidth  = (lineWidth === undefined ? 1 : lineWidth) * 0.5;
+    var join       = options.join || 'miter';
+    var cap        = options.cap  || 'butt';
+    var miterLimit = options.miterLimit === undefined ? 10 : options.miterLimit;
+
+    this.update();
+
+    var x = point[0];
+    var y = point[1];
+
+    var bounds = this.getBounds(false,this._tempBounds);
+    var margin = halfWidth * Math.max(miterLimit,Math.SQRT2);
+    if(x < bounds[0] - margin || x > bounds[2] + margin || y < bounds[1] - margin || y > bounds[3] + margin){
+        return false;
+    }
+
+    var contours = this._getContours();
+    var points, numPoints;
+    var dx, dy;
+
+    for(var i = 0, l = contours.length; i < l; ++i){
+        if(contours[i].points.length < 4){
+            continue;
+        }
+        points    = removeDuplicatePoints(contours[i].points);
+        numPoints = points.length / 2;
+
+        //zero-length sub-paths are only visible with caps
+        if(numPoints === 1){
+            dx = Math.abs(x - points[0]);
+            dy = Math.abs(y - points[1]);
+            if((cap === 'round'  && dx * dx + dy * dy <= halfWidth * halfWidth) ||
+               (cap === 'square' && dx <= halfWidth && dy <= halfWidth)){
+                return true;
+            }
+            continue;
+        }
+        if(isPointInPolylineStroke(points,contours[i].closed && numPoints > 2,x,y,halfWidth,join,cap,miterLimit)){
+            return true;
+        }
+    }
+
+    return false;
+};
+
+/*--------------------------------------------------------------------------------------------------------------------*/
+// Intersection
+/*--------------------------------------------------------------------------------------------------------------------*/
+
+/**
+ * Returns the length along the path of a point on a segment.
+ * @private
+ */
+Path2d.prototype._getLengthOnSegmentAtRatio = function(subPathIndex,segIndex,ratio){
+    var subPath = this._subPaths[subPathIndex];
+    return subPath.offset + subPath.segmentOffsets[segIndex] + subPath.segmentLengths[segIndex] * ratio;
+};
+
+/**
+ * Returns all points at which the path crosses another path, sorted by their length along the path. Overlapping
+ * parallel segments are not reported.
+ * @param {Path2d} path - The other path.
+ * @returns {Array} - [[x,y,subPathIndex,segIndex,length,otherSubPathIndex,otherSegIndex,otherLength],...] with the
+ * lengths along the paths as returned by getLengthOnPath.
+ */
+Path2d.prototype.getIntersections = function(path){
+    if(!this._recordPoints || !path._recordPoints){
+        return [];
+    }
+    this.update();
+    path.update();
+
+    var segments = collectSegments(path._subPaths,1,collectSegments(this._subPaths,0,[]));
+    var paths = [this,path];
+    var out = [];
+
+    sweepSegmentIntersections(segments,false,function(a,b,ta,tb){
+        if(a.source === 1){
+            var segment = a; a = b; b = segment;
+            var t = ta; ta = tb; tb = t;
+        }
+        out.push([
+            a.x0 + (a.x1 - a.x0) * ta,
+            a.y0 + (a.y1 - a.y0) * ta,
+            a.subPathIndex, a.segIndex, paths[0]._getLengthOnSegmentAtRatio(a.subPathIndex,a.segIndex,ta),
+            b.subPathIndex, b.segIndex, paths[1]._getLengthOnSegmentAtRatio(b.subPathIndex,b.segIndex,tb)
+        ]);
+    });
+
+    return out.sort(function(a,b){
+        return a[4] - b[4] || a[7] - b[7];
+    });
+};
+
+/**
+ * Returns all points at which the path crosses itself, sorted by their length along the path. Each crossing is reported
+ * once, the first segment being the one earlier along the path. Overlapping parallel segments are not reported.
+ * @returns {Array} - [[x,y,subPathIndex,segIndex,length,otherSubPathIndex,otherSegIndex,otherLength],...]
+ */
+Path2d.prototype.getSelfIntersections = function(){
+    if(!this._recordPoints){
+        return [];
+    }
+    this.update();
+
+    var self = this;
+    var out  = [];
+
+    sweepSegmentIntersections(collectSegments(this._subPaths,0,[]),true,function(a,b,ta,tb){
+        var lengthA = self._getLengthOnSegmentAtRatio(a.subPathIndex,a.segIndex,ta);
+        var lengthB = self._getLengthOnSegmentAtRatio(b.subPathIndex,b.segIndex,tb);
+        if(lengthB < lengthA){
+            var segment = a; a = b; b = segment;
+            var t = ta; ta = tb; tb = t;
+            t = lengthA; lengthA = lengthB; lengthB = t;
+        }
+        out.push([
+            a.x0 + (a.x1 - a.x0) * ta,
+            a.y0 + (a.y1 - a.y0) * ta,
+            a.subPathIndex, a.segIndex, lengthA,
+            b.subPathIndex, b.segIndex, lengthB
+        ]);
+    });
+
+    return out.sort(function(a,b){
+        return a[4] - b[4] || a[7] - b[7];
+    });
+};
+
+/*--------------------------------------------------------------------------------------------------------------------*/
+// Properties
+/*--------------------------------------------------------------------------------------------------------------------*/
+
+/**
+ * Returns the value for the total length of the path.
+ * Returns -1 if points recording is deactivated.
+ * @returns {Number}
+ */
+Path2d.prototype.getTotalLength = function(){
+    this.update();
+    return this._lengthTotal;
+};
+
+/**
+ * Returns the coordinate which is distance units along the path.
+ * Returns [-1,-1] if points recording is deactivated.
+ * @param {Number} length - The distance along the path. (Positive Number)
+ * @param {Number[]} [out] - Optional out [x,y]
+ * @returns {Number[]}
+ */
+Path2d.prototype.getPointAtLength = function(length,out){
+    if(!this._recordPoints){
+        return [-1,-1];
+    }
+
+    out = out || [0,0];
+
+    var indicesRatio;
+
+    if(!this._dirty && length == this._lengthIndexRatioPassedPrev){
+        indicesRatio = this._tempSegIndicesRatio;
+    } else {
+        this.update();
+        indicesRatio = this._getIndicesAndRatioAtLength(length);
+    }
+
+    if(this._analytic){
+        var frame = this._getFrameAtIndicesRatio(indicesRatio,this._tempFrame);
+        out[0] = frame[0];
+        out[1] = frame[1];
+
+        this._lengthIndexRatioPassedPrev = length;
+        return out;
+    }
+
+    var subPath = this._subPaths[indicesRatio[0]];
+    var indexA  = indicesRatio[1] * 2;
+    var indexB  = indicesRatio[2] * 2;
+    var ratio   = indicesRatio[3];
+
+    var points  = subPath.points;
+
+    var x0 = points[indexA  ];
+    var y0 = points[indexA+1];
+
+    out[0] = x0 + (points[indexB  ] - x0) * ratio;
+    out[1] = y0 + (points[indexB+1] - y0) * ratio;
+
+    this._lengthIndexRatioPassedPrev = length;
+    return out;
+};
+
+/**
+ * Returns the tangent which is distance units along the path. With the 'averaged' tangent mode, tangents get
+ * interpolated between points.
+ * Returns [-1,-1] if tangent and normal calculation is deactivated.
+ * @param {Number} length - The distance along the path. (Positive Number)
+ * @param {Number[]} [out] - Optional out [x,y]
+ * @returns {Number[]}
+ */
+Path2d.prototype.getTangentAtLength = function(length,out){
+    if(!this._calcTangentsAndNormals || this._subPaths.length === 0){
+        return [-1,-1];
+    }
+
+    out = out || [0,0];
+
+    if(this._analytic || this._tangentMode === 'averaged'){
+        var frame = this._getFrameAtLength(length,this._tempFrame);
+        out[0] = frame[2];
+        out[1] = frame[3];
+        return out;
+    }
+
+    var indices;
+
+    if(!this._dirty && length == this._lengthIndexPassedPrev){
+        indices = this._tempSegIndices;
+    } else {
+        this.update();
+        indices = this._getSegIndexAtLength(length);
+    }
+
+    var subPath = this._subPaths[indices[0]];
+    var index   = indices[1] * 2;
+
+    var tangents = subPath.tangents;
+
+    out[0] = tangents[index  ];
+    out[1] = tangents[index+1];
+
+    this._lengthIndexPassedPrev = length;
+    return out;
+};
+
+/**
+ * Returns the normal which is distance units along the path. With the 'averaged' tangent mode, normals get
+ * interpolated between points.
+ * Returns [-1,-1] if tangent and normal calculation is deactivated.
+ * @param {Number} length - The distance along the path. (Positive Number)
+ * @param {Number[]} [out] - Optional out. [x,y]
+ * @returns {Number[]}
+ */
+Path2d.prototype.getNormalAtLength = function(length,out){
+    if(!this._calcTangentsAndNormals || this._subPaths.length === 0){
+        return [-1,-1];
+    }
+
+    out = out || [0,0];
+
+    if(this._analytic || this._tangentMode === 'averaged'){
+        var frame = this._getFrameAtLength(length,this._tempFrame);
+        out[0] = frame[4];
+        out[1] = frame[5];
+        return out;
+    }
+
+    var indices;
+
+    if(!this._dirty && length == this._lengthIndexPassedPrev){
+        indices = this._tempSegIndices;
+    } else {
+        this.update();
+        indices = this._getSegIndexAtLength(length);
+    }
+
+    var subPath = this._subPaths[indices[0]];
+    var index   = indices[1] * 2;
+
+    var normals = subPath.normals;
+
+    out[0] = normals[index  ];
+    out[1] = normals[index+1];
+
+    this._lengthIndexPassedPrev = length;
+    return out;
+};
+
+/**
+ * Returns the point, tangent and normal which are distance units along the path.
+ * Returns [-1,-1,-1,-1,-1,-1] if tangent and normal calculation is deactivated.
+ * @param {Number} length - The distance along the path. (Positive Number)
+ * @param {Number[]} [out] - Optional out. [px,py,tx,ty,nx,ny]
+ * @returns {Number[]}
+ */
+Path2d.prototype.getPointAndTangentAndNormalAtLength = function(length,out){
+    if(!this._calcTangentsAndNormals || this._subPaths.length === 0){
+        return [-1,-1,-1,-1,-1,-1];
+    }
+
+    out = out || [0,0,0,0,0,0];
+
+    var indicesRatio;
+
+    if(!this._dirty && length == this._lengthIndexRatioPassedPrev){
+        indicesRatio = this._tempSegIndicesRatio;
+    } else {
+        this.update();
+        indicesRatio = this._getIndicesAndRatioAtLength(length);
+    }
+
+    if(this._analytic || this._tangentMode === 'averaged'){
+        var frame = this._getFrameAtIndicesRatio(indicesRatio,this._tempFrame);
+        for(var i = 0; i < 6; ++i){
+            out[i] = frame[i];
+        }
+
+        this._lengthIndexRatioPassedPrev = length;
+        return out;
+    }
+
+    var subPath = this._subPaths[indicesRatio[0]];
+    var indexA  = indicesRatio[1] * 2;
+    var indexB  = indicesRatio[2] * 2;
+    var ratio   = indicesRatio[3];
+
+    var points   = subPath.points;
+    var tangents = subPath.tangents;
+    var normals  = subPath.normals;
+
+    var x0 = points[indexA  ];
+    var y0 = points[indexA+1];
+
+    out[0] = x0 + (points[indexB  ] - x0) * ratio;
+    out[1] = y0 + (points[indexB+1] - y0) * ratio;
+    out[2] = tangents[indexA  ];
+    out[3] = tangents[indexA+1];
+    out[4] = normals[indexA  ];
+    out[5] = normals[indexA+1];
+
+    this._lengthIndexRatioPassedPrev = length;
+    return out;
+};
+
+/**
+ * Returns the tangent and normal which are distance units along the path.
+ * Returns [-1,-1,-1,-1] if tangent and normal calculation is deactivated.
+ * @param {Number} length - The distance along the path. (Positive Number)
+ * @param {Number[]} [out] - Optional out. [tx,ty,nx,ny]
+ * @returns {Number[]}
+ */
+Path2d.prototype.getTangentAndNormalAtLength = function(length,out){
+    if(!this._calcTangentsAndNormals || this._subPaths.length === 0){
+        return [-1,-1,-1,-1];
+    }
+
+    out = out || [0,0,0,0];
+
+    if(this._analytic || this._tangentMode === 'averaged'){
+        var frame = this._getFrameAtLength(length,this._tempFrame);
+        out[0] = frame[2];
+        out[1] = frame[3];
+        out[2] = frame[4];
+        out[3] = frame[5];
+        return out;
+    }
+
+    var indices;
+
+    if(!this._dirty && length == this._lengthIndexPassedPrev){
+        indices = this._tempSegIndices;
+    } else {
+        this.update();
+        indices = this._getSegIndexAtLength(length);
+    }
+
+    var subPath = this._subPaths[indices[0]];
+    var index   = indices[1] * 2;
+
+    var tangents = subPath.tangents;
+    var normals  = subPath.normals;
+
+    out[0] = tangents[index  ];
+    out[1] = tangents[index+1];
+    out[2] = normals[index  ];
+    out[3] = normals[index+1];
+
+    this._lengthIndexPassedPrev = length;
+    return out;
+};
+
+/**
+ * Returns the signed curvature which is distance units along the path, positive if the path turns towards its normals.
+ * Curves, arcs and ellipses use the curvature of their original definition, straight segments a discrete estimate.
+ * Returns NaN if tangent and normal calculation is deactivated.
+ * @param {Number} length - The distance along the path. (Positive Number)
+ * @returns {Number}
+ */
+Path2d.prototype.getCurvatureAtLength = function(length){
+    if(!this._calcTangentsAndNormals || this._subPaths.length === 0){
+        return NaN;
+    }
+
+    var indicesRatio;
+
+    if(!this._dirty && length == this._lengthIndexRatioPassedPrev){
+        indicesRatio = this._tempSegIndicesRatio;
+    } else {
+        this.update();
+        indicesRatio = this._getIndicesAndRatioAtLength(length);
+    }
+
+    this._lengthIndexRatioPassedPrev = length;
+    return this._getCurvatureAtIndicesRatio(indicesRatio);
+};
+
+/**
+ * Returns the coordinates at multiple distances along the path. Ascending distances get resolved in a single pass.
+ * Returns the out array filled with -1 if points recording is deactivated.
+ * @param {Number[]} lengths - The distances along the path.
+ * @param {Float32Array|Float64Array|Number[]} [out] - Optional out. [x,y,x,y,...]
+ * @returns {Float32Array|Float64Array|Number[]}
+ */
+Path2d.prototype.getPointsAtLengths = function(lengths,out){
+    out = out || new Float32Array(lengths.length * 2);
+
+    if(!this._recordPoints || this._subPaths.length === 0){
+        for(var i = 0, l = lengths.length * 2; i < l; ++i){
+            out[i] = -1;
+        }
+        return out;
+    }
+    this.update();
+
+    var subPaths = this._subPaths;
+    var self     = this;
+    var frame    = this._tempFrame;
+
+    this._forEachIndicesAndRatioAtLengths(lengths,function(i,indicesRatio){
+        if(self._analytic){
+            self._getFrameAtIndicesRatio(indicesRatio,frame);
+            out[i * 2    ] = frame[0];
+            out[i * 2 + 1] = frame[1];
+            return;
+        }
+        var points = subPaths[indicesRatio[0]].points;
+        var indexA = indicesRatio[1] * 2;
+        var indexB = indicesRatio[2] * 2;
+        var ratio  = indicesRatio[3];
+        var x0 = points[indexA  ];
+        var y0 = points[indexA+1];
+
+        out[i * 2    ] = x0 + (points[indexB  ] - x0) * ratio;
+        out[i * 2 + 1] = y0 + (points[indexB+1] - y0) * ratio;
+    });
+
+    return out;
+};
+
+/**
+ * Returns the points, tangents and normals at multiple distances along the path. Ascending distances get resolved in
+ * a single pass.
+ * Returns the out array filled with -1 if tangent and normal calculation is deactivated.
+ * @param {Number[]} lengths - The distances along the path.
+ * @param {Float32Array|Float64Array|Number[]} [out] - Optional out. [px,py,tx,ty,nx,ny,...]
+ * @returns {Float32Array|Float64Array|Number[]}
+ */
+Path2d.prototype.getFramesAtLengths = function(lengths,out){
+    out = out || new Float32Array(lengths.length * 6);
+
+    if(!this._calcTangentsAndNormals || this._subPaths.length === 0){
+        for(var i = 0, l = lengths.length * 6; i < l; ++i){
+            out[i] = -1;
+        }
+        return out;
+    }
+    this.update();
+
+    var subPaths = this._subPaths;
+    var self     = this;
+    var frame    = this._tempFrame;
+
+    this._forEachIndicesAndRatioAtLengths(lengths,function(i,indicesRatio){
+        if(self._analytic || self._tangentMode === 'averaged'){
+            self._getFrameAtIndicesRatio(indicesRatio,frame);
+            for(var k = 0; k < 6; ++k){
+                out[i * 6 + k] = frame[k];
+            }
+            return;
+        }
+        var subPath  = subPaths[indicesRatio[0]];
+        var points   = subPath.points;
+        var tangents = subPath.tangents;
+        var normals  = subPath.normals;
+        var indexA   = indicesRatio[1] * 2;
+        var indexB   = indicesRatio[2] * 2;
+        var ratio    = indicesRatio[3];
+        var x0 = points[indexA  ];
+        var y0 = points[indexA+1];
+        var j  = i * 6;
+
+        out[j  ] = x0 + (points[indexB  ] - x0) * ratio;
+        out[j+1] = y0 + (points[indexB+1] - y0) * ratio;
+        out[j+2] = tangents[indexA  ];
+        out[j+3] = tangents[indexA+1];
+        out[j+4] = normals[indexA  ];
+        out[j+5] = normals[indexA+1];
+    });
+
+    return out;
+};
+
+/**
+ * Returns the miter normals of a sub-path, the normal and its miter length scale per vertex. Vertices moved along the
+ * normal by a distance times the scale keep the adjacent segments at that distance, so ribbons extruded along them get
+ * no cracks or overlaps. The scales are 1 with the 'segment' tangent mode.
+ * [nx,ny,scale,...]
+ * @param {Number} subPathIndex - The sub-path index.
+ * @param {Float32Array|Float64Array|Number[]} [out] - Optional out.
+ * @returns {Float32Array|Float64Array|Number[]}
+ */
+Path2d.prototype.getMiterNormals = function(subPathIndex,out){
+    if(!this._calcTangentsAndNormals){
+        throw new Error('Tangent and normal calculation deactivated.');
+    }
+    this.update();
+    if(subPathIndex < 0 || subPathIndex >= this._subPaths.length){
+        throw new RangeError('Path2d: Sub-path index out of range.');
+    }
+
+    var subPath     = this._subPaths[subPathIndex];
+    var normals     = subPath.normals;
+    var miterScales = subPath.miterScales;
+
+    out = out || new Float32Array(miterScales.length * 3);
+
+    for(var i = 0, l = miterScales.length; i < l; ++i){
+        out[i * 3    ] = normals[i * 2    ];
+        out[i * 3 + 1] = normals[i * 2 + 1];
+        out[i * 3 + 2] = miterScales[i];
+    }
+
+    return out;
+};
+
+/**
+ * Returns the nearest point on the segment to the point given.
+ * @param {Number[]} point - The point. [x,y]
+ * @param {Number}  subPathIndex - The sub-path index.
+ * @param {Number}  segIndex - The segment index.
+ * @param {Number[]} out - Optional out. [segPx,segPy,distSegPToP]
+ * @returns {Number[]}
+ */
+Path2d.prototype.getPointOnSegment = function(point,subPathIndex,segIndex,out){
+    if(!this._recordPoints || this._subPaths.length === 0){
+        return [-1,-1,-1];
+    }
+    out = out || [0,0];
+    this.update();
+
+    var data = this._getPointOnSegment(point,subPathIndex,segIndex,this._tempPointProjected);
+
+    out[0] = data[0];
+    out[1] = data[1];
+    return out;
+};
+
+
+/**
+ * Returns the nearest point on the sub-path to the point given.
+ * @param {Number[]} point - The point. [x,y]
+ * @param {Number}  subPathIndex - The sub-path index.
+ * @param {Number[]} out - Optional out. [x,y]
+ * @returns {Number[]}
+ */
+Path2d.prototype.getPointOnSubPath = function(point,subPathIndex,out){
+    if(!this._recordPoints || this._subPaths.length === 0){
+        return [-1,-1];
+    }
+    out = out || [0,0];
+    this.update();
+
+    var data = this._getPointOnSubPath(point,subPathIndex,this._tempPointOut);
+
+    out[0] = data[0];
+    out[1] = data[1];
+    return out;
+};
+
+/**
+ * Returns the nearest point on the path to the point given.
+ * @param {Number[]} point - The point. [x,y]
+ * @param {Number[]} [out] - Optional out. [x,y]
+ * @returns {Number[]}
+ */
+Path2d.prototype.getPointOnPath = function(point,out){
+    if(!this._recordPoints || this._subPaths.length === 0){
+        return [-1,-1];
+    }
+    out = out ||  [0,0];
+    this.update();
+
+    var data = this._getPointOnPath(point,this._tempPointOut);
+
+    out[0] = data[0];
+    out[1] = data[1];
+    return out;
+};
+
+/**
+ * Returns the index of the nearest segment relative to the point given.
+ * @param {Number[]} point - The point. [x,y]
+ * @param {Number[]} [out] - Optional out. [sup-path index, seg index]
+ * @returns {Number[]}
+ */
+Path2d.prototype.getSegmentIndexNearestToPoint = function(point,out){
+    if(!this._recordPoints || this._subPaths.length === 0){
+        return [-1,-1]
+    }
+    out = out || [0,0];
+    this.update();
+
+    var data = this.getPointOnPath(point,this._tempPointOut);
+
+    out[0] = data[3];
+    out[1] = data[4];
+    return out;
+};
+
+/**
+ * Returns the index of the nearest sub-path relative to the point given.
+ * @param {Number[]} point - The point. [x,y]
+ * @returns {Number}
+ */
+Path2d.prototype.getSubPathIndexNearestToPoint = function(point){
+    if(!this._recordPoints || this._subPaths.length === 0){
+        return -1;
+    }
+    this.update();
+    return this._getPointOnPath(point)[3];
+};
+
+/**
+ * Returns a copy of the nearest sub-path segment relative to the point given.
+ * @param {Number[]} point - The point. [x,y]
+ * @param {Number[]} [out] - Optional out. [start x, start y, end x, end y]
+ * @returns {Number[]}
+ */
+Path2d.prototype.getSegmentCopyNearestToPoint = function(point,out){
+    if(!this._recordPoints || this._subPaths.length === 0){
+        return [-1,-1,-1,-1];
+    }
+
+    out = out || [0,0,0,0];
+    this.update();
+
+    var data    = this._getPointOnPath(point,this._tempPointOut);
+    var subPath = this._subPaths[data[3]];
+    var points  = subPath.points;
+    var index   = data[4] * 2;
+
+    out[0] = points[index  ];
+    out[1] = points[index+1];
+    out[2] = points[index+2];
+    out[3] = points[index+3];
+
+    return out;
+};
+
+/**
+ * Returns the nearest sub-path relative to the point given.
+ * @param {Number[]} point - The point. [x,y]
+ * @returns {SubPath}
+ */
+Path2d.prototype.getSubPathNearestToPoint = function(point){
+    if(!this._recordPoints || this._subPaths.length === 0){
+        return null;
+    }
+
+    return this._subPaths[this._getPointOnPath(point,this._tempPointOut)[3]];
+};
+
+/**
+ * Returns the distance of a point on or off the path to the point project on the segment specified.
+ * @param {Number[]} point - The point. [x,y]
+ * @param {Number} subPathIndex - The index of the sub path.
+ * @param {Number} segIndex - The index of segment.
+ * @returns {Number}
+ */
+Path2d.prototype.getDistanceToSegment = function(point,subPathIndex,segIndex){
+    if(!this._recordPoints || this._subPaths.length === 0){
+        return -1;
+    }
+
+    this.update();
+
+    return this._getPointOnSegment(point,subPathIndex,segIndex,this._tempPointOut)[2];
+};
+
+/**
+ * Returns the distance of a point on or off the path to the point project on the sub-path specified.
+ * @param {Number[]} point - The point. [x,y]
+ * @param {Number} subPathIndex - The index of the sub path.
+ * @returns {Number}
+ */
+Path2d.prototype.getDistanceToSubPath = function(point,subPathIndex){
+    if(!this._recordPoints || this._subPaths.length === 0){
+        return -1;
+    }
+
+    this.update();
+
+    return this._getPointOnSubPath(point,subPathIndex,this._tempPointOut)[2];
+};
+
+/**
+ * Returns the distance of a point on or off the path to the point project on the path.
+ * @param {Number[]} point - The point. [x,y]
+ * @returns {Number}
+ */
+Path2d.prototype.getDistanceToPath = function(point){
+    if(!this._recordPoints || this._subPaths.length === 0){
+        return -1;
+    }
+
+    this.update();
+
+    return this._getPointOnPath(point,this._tempPointOut)[2];
+};
+
+/**
+ * Returns the distance to a point on or off the path to the point project on the segment specified.
+ * @param {Number[]} point - The point. [x,y]
+ * @param {Number} subPathIndex - The index of the sub path.
+ * @param {Number} segIndex - The index of segment.
+ * @returns {Number}
+ */
+Path2d.prototype.getLengthOnSegment = function(point,subPathIndex,segIndex){
+    return this.getPointOnSegment(point,subPathIndex,segIndex,this._tempPointOut)[5];
+};
+
+/**
+ * Returns the distance to a point on or off the path to the point project on the sub-path specified.
+ * @param {Number[]} point - The point. [x,y]
+ * @param {Number} subPathIndex - The index of the sub path.
+ * @returns {Number}
+ */
+Path2d.prototype.getLengthOnSubPath = function(point,subPathIndex){
+    return this.getPointOnSubPath(point,subPathIndex,this._tempPointOut)[5];
+};
+
+/**
+ * Returns the distance to a point on or off the path to the point project on the path.
+ * @param {Number[]} point - The point. [x,y]
+ * @returns {Number}
+ */
+Path2d.prototype.getLengthOnPath = function(point){
+    if(!this._recordPoints || this._subPaths.length === 0){
+        return -1;
+    }
+    this.update();
+    return this._getPointOnPath(point,this._tempPointOut)[5];
+};
+
+/**
+ * Returns the sub path index which is distance units along the path.
+ * @param {Number} length - The distance along the path.
+ * @returns {Number}
+ */
+Path2d.prototype.getSubPathIndexAtLength = function(length){
+    if(!this._recordPoints || this._subPaths.length === 0){
+        return -1;
+    }
+    var indices;
+
+    if(!this._dirty && length == this._lengthIndexPassedPrev){
+        indices = this._tempSegIndices;
+    } else {
+        this.update();
+        indices = this._getSegIndexAtLength(length);
+    }
+
+    this._lengthIndexPassedPrev = length;
+    return indices[0];
+};
+
+/**
+ * Returns ths sub path segment index which is distance units along the path.
+ * Returns [-1,-1] if points recording is deactivated.
+ * @param {Number} length - The distance along the path.
+ * @param {Number[]} [out] - Optional out. [index sub-path, index segment]
+ * @returns {Number[]}
+ */
+Path2d.prototype.getPathSegIndexAtLength = function(length,out){
+    if(!this._recordPoints || this._subPaths.length === 0){
+        return [-1,-1];
+    }
+    var indices;
+
+    if(!this._dirty && length == this._lengthIndexPassedPrev){
+        indices = this._tempSegIndices;
+    } else {
+        this.update();
+        indices = this._getSegIndexAtLength(length);
+    }
+
+    out[0] = indices[0];
+    out[1] = indices[1];
+
+    this._lengthIndexPassedPrev = length;
+    return out;
+};
+
+/**
+ * Returns the sub path which is distance units along the path.
+ * @param {Number} length - The distance along the path.
+ * @returns {SubPath||null}
+ */
+Path2d.prototype.getSubPathAtLength = function(length){
+    if(!this._recordPoints || this._subPaths.length === 0){
+        return null;
+    }
+    return this._subPaths[this.getSubPathIndexAtLength(length)];
+};
+
+/**
+ * Returns a copy of the sub path segment which is distance units along the path.
+ * Returns [-1,-1,-1,-1] if points recording is deactivated.
+ * @param length
+ * @param out
+ * @returns {*}
+ */
+Path2d.prototype.getSegmentCopyAtLength = function(length,out){
+    if(!this._recordPoints || this._subPaths.length === 0){
+        return [-1,-1,-1,-1];
+    }
+    out = out || [0,0,0,0];
+
+    var data   = this.getPathSegIndexAtLength(length,this._tempSegIndicesOut);
+    var index  = data[1] * 2;
+    var points = this._subPaths[data[0]].points;
+
+    out[0] = points[index  ];
+    out[1] = points[index+1];
+    out[2] = points[index+2];
+    out[3] = points[index+3];
+
+    return out;
+};
+
+/**
+ * Returns true if a sub-path is closed and neither continues nor gets continued, its curvature features wrap at the
+ * seam then.
+ * @param {Number} subPathIndex
+ * @returns {Boolean}
+ * @private
+ */
+Path2d.prototype._isSubPathWrapped = function(subPathIndex){
+    var subPath = this._subPaths[subPathIndex];
+    var next    = this._subPaths[subPathIndex + 1];
+    return subPath.closed && !subPath.continued && !(next && next.continued) && subPath.curvatures.length > 2;
+};
+
+/**
+ * Returns the location of a curvature feature between two sub-path points, found on the original definition of the
+ * curve, arc or ellipse both points lie on.
+ * Returns null if the points lie on no common curve.
+ * @param {Number} subPathIndex
+ * @param {Number} indexA
+ * @param {Number} indexB
+ * @param {Boolean} inflection - If true the curvature root gets located, otherwise the absolute curvature maximum.
+ * @returns {Number[]|null} - [x,y,length,curvature]
+ * @private
+ */
+Path2d.prototype._getCurvatureFeatureOnCurve = function(subPathIndex,indexA,indexB,inflection){
+    var subPath = this._subPaths[subPathIndex];
+    var curve   = getCurveAtSegment(subPath,indexA);
+
+    if(curve === null || indexB > curve.index + curve.count - 1){
+        return null;
+    }
+
+    var step = 1.0 / (curve.count - 1);
+    var t = getCurveRatioAtCurvatureFeature(
+        curve,(indexA - curve.index) * step,(indexB - curve.index) * step,inflection
+    );
+    var indicesRatio = getIndicesAndRatioAtCurveRatio(subPath,curve,t,this._analytic,[subPathIndex,0,0,0]);
+    var point    = getCurvePoint(curve,t,[0,0]);
+    var segIndex = indicesRatio[1];
+
+    return [
+        point[0],
+        point[1],
+        subPath.offset + subPath.segmentOffsets[segIndex] + subPath.segmentLengths[segIndex] * indicesRatio[3],
+        getCurveCurvature(curve,t)
+    ];
+};
+
+/**
+ * Returns the curvature extrema of a sub-path, the points where the absolute curvature is locally maximal. Extrema
+ * within curves, arcs and ellipses are located on their original definition. Ranges of constant curvature, as along
+ * circular arcs, are reported once at their middle point. The end points of open sub-paths are not reported.
+ * [[x,y,length,curvature],...]
+ * @param {Number} subPathIndex - The sub-path index.
+ * @returns {Array}
+ */
+Path2d.prototype.getCurvatureExtrema = function(subPathIndex){
+    if(!this._calcTangentsAndNormals){
+        throw new Error('Tangent and normal calculation deactivated.');
+    }
+    this.update();
+    if(subPathIndex < 0 || subPathIndex >= this._subPaths.length){
+        throw new RangeError('Path2d: Sub-path index out of range.');
+    }
+
+    var subPath    = this._subPaths[subPathIndex];
+    var points     = subPath.points;
+    var curvatures = subPath.curvatures;
+    var wrap = this._isSubPathWrapped(subPathIndex);
+    var num  = wrap ? curvatures.length - 1 : curvatures.length;
+
+    //runs of equal absolute curvature [start,end,value]
+    var runs = [];
+    var value, run;
+
+    for(var i = 0; i < num; ++i){
+        value = Math.abs(curvatures[i]);
+        run   = runs[runs.length - 1];
+        if(run !== undefined && Math.abs(run[2] - value) <= EPSILON_CURVATURE){
+            run[1] = i;
+        } else {
+            runs.push([i,i,value]);
+        }
+    }
+    if(wrap && runs.length > 1 && Math.abs(runs[0][2] - runs[runs.length - 1][2]) <= EPSILON_CURVATURE){
+        runs[0][0] = runs.pop()[0] - num;
+    }
+
+    var out = [];
+    var numRuns = runs.length;
+    var prev, next, index, feature;
+
+    if(numRuns < 3 && !(wrap && numRuns > 1)){
+        return out;
+    }
+
+    for(var j = wrap ? 0 : 1, l = wrap ? numRuns : numRuns - 1; j < l; ++j){
+        run  = runs[j];
+        prev = runs[(j - 1 + numRuns) % numRuns];
+        next = runs[(j + 1) % numRuns];
+        if(run[2] <= EPSILON_CURVATURE || run[2] <= prev[2] || run[2] <= next[2]){
+            continue;
+        }
+        index = (Math.floor((run[0] + run[1]) * 0.5) + num) % num;
+
+        //single points or pairs around a maximum between them
+        if(run[1] - run[0] < 2 && run[0] > 0 && run[1] < num - 1){
+            feature = this._getCurvatureFeatureOnCurve(subPathIndex,run[0] - 1,run[1] + 1,false);
+            if(feature !== null){
+                out.push(feature);
+                continue;
+            }
+        }
+
+        out.push([
+            points[index * 2],
+            points[index * 2 + 1],
+            subPath.offset + getPointOffset(subPath,index),
+            curvatures[index]
+        ]);
+    }
+
+    return wrap ? removeSeamDuplicateFeature(out) : out;
+};
 
 /**
- * Creates a path for a rectangle at position (x, y) with a size that is determined by width and height. Those four
- * points are connected by straight lines and the sub-path is marked as closed.
- * @param x
- * @param y
- * @param width
- * @param height
+ * Returns the inflection points of a sub-path, where its curvature changes sign. Inflections within curves, arcs and
+ * ellipses are located on their original definition, all others interpolated on the curvatures of the points around.
+ * [[x,y,length],...]
+ * @param {Number} subPathIndex - The sub-path index.
+ * @returns {Array}
  */
-Path2d.prototype.rect = function(x,y,width,height){
-    var xw = x + width;
-    var yh = y + height;
+Path2d.prototype.getInflectionPoints = function(subPathIndex){
+    if(!this._calcTangentsAndNormals){
+        throw new Error('Tangent and normal calculation deactivated.');
+    }
+    this.update();
+    if(subPathIndex < 0 || subPathIndex >= this._subPaths.length){
+        throw new RangeError('Path2d: Sub-path index out of range.');
+    }
 
-    if(this._recordPoints){
-        this.moveTo(x,y);
-        this._subPath.points.push(xw,y, xw,yh, x,yh, x,y);
+    var subPath    = this._subPaths[subPathIndex];
+    var curvatures = subPath.curvatures;
+    var wrap = this._isSubPathWrapped(subPathIndex);
+    var num  = wrap ? curvatures.length - 1 : curvatures.length;
 
-        if(this._recordSvgCmd){
-            this._subPath.cmd += createSvgPathCmdLineTo(xw,y) + ' ' +
-                                 createSvgPathCmdLineTo(xw,yh) + ' ' +
-                                 createSvgPathCmdLineTo(x,yh) + ' ' +
-                                 createSvgPathCmdClose() + ' ';
+    //curved points, flat ones carry no sign
+    var indices = [];
+    for(var i = 0; i < num; ++i){
+        if(Math.abs(curvatures[i]) > EPSILON_CURVATURE){
+            indices.push(i);
         }
-    } else {
-        this._pathCmd += createSvgPathCmdLineTo(xw,y) + ' ' +
-                         createSvgPathCmdLineTo(xw,yh) + ' ' +
-                         createSvgPathCmdLineTo(x,yh) + ' ' +
-                         createSvgPathCmdClose() + ' ';
+    }
+    if(wrap && indices.length > 1){
+        indices.push(indices[0] + num);
     }
 
-    this._dirty = true;
+    var out = [];
+    var indicesRatio = [subPathIndex,0,0,0];
+    var frame = this._tempFrame;
+    var indexA, indexB, curvatureA, curvatureB, offsetA, offsetB, offset, segIndex, feature;
+
+    for(var j = 1; j < indices.length; ++j){
+        indexA = indices[j - 1];
+        indexB = indices[j];
+        curvatureA = curvatures[indexA % num];
+        curvatureB = curvatures[indexB % num];
+        if(curvatureA > 0 === curvatureB > 0){
+            continue;
+        }
+
+        if(indexB < num){
+            feature = this._getCurvatureFeatureOnCurve(subPathIndex,indexA,indexB,true);
+            if(feature !== null){
+                out.push([feature[0],feature[1],feature[2]]);
+                continue;
+            }
+        }
+
+        //wrapped points continue after the sub-path end
+        offsetA = getPointOffset(subPath,indexA % num) + (indexA >= num ? subPath.length : 0);
+        offsetB = getPointOffset(subPath,indexB % num) + (indexB >= num ? subPath.length : 0);
+        offset  = offsetA + (offsetB - offsetA) * Math.abs(curvatureA) / (Math.abs(curvatureA) + Math.abs(curvatureB));
+        if(offset > subPath.length){
+            offset -= subPath.length;
+        }
+
+        segIndex = getSegmentIndexAtOffset(subPath,offset);
+        indicesRatio[1] = segIndex;
+        indicesRatio[2] = segIndex + 1;
+        indicesRatio[3] = getSegmentRatioAtOffset(subPath,segIndex,offset);
+        this._getFrameAtIndicesRatio(indicesRatio,frame);
+
+        out.push([frame[0],frame[1],subPath.offset + offset]);
+    }
+
+    return wrap ? removeSeamDuplicateFeature(out) : out;
 };
 
-/*--------------------------------------------------------------------------------------------------------------------*/
-// Properties
-/*--------------------------------------------------------------------------------------------------------------------*/
+/**
+ * Returns the paths sub paths.
+ * @returns {Array}
+ */
+Path2d.prototype.getSubPaths = function(){
+    if(!this._recordPoints){
+        throw new Error('Recording of points deactivated.');
+    }
+    this.update();
+    return this._subPaths;
+};
 
 /**
- * Returns the value for the total length of the path.
- * Returns -1 if points recording is deactivated.
- * @returns {Number}
+ * Returns the commands the path was built from, with curves, arcs and ellipses retained unflattened. Coordinates are
+ * in path space, with transforms applied.
+ * [{type : 'M'|'L'|'Q'|'C'|'A'|'Z', args : [...]}]
+ * 'M' and 'L' args are [x,y], 'Q' args are [cpx,cpy,x,y], 'C' args are [cp1x,cp1y,cp2x,cp2y,x,y] and 'A' args are
+ * [cx,cy,radiusX,radiusY,rotation,startAngle,sweep], with a negative sweep going counter-clockwise. Like canvas arcs,
+ * arcs are connected to the previous point by a straight line.
+ * @param {Number} [subPathIndex] - If defined, only the commands of the sub-path are returned.
+ * @returns {Array}
  */
-Path2d.prototype.getTotalLength = function(){
+Path2d.prototype.getCommands = function(subPathIndex){
+    if(!this._recordPoints){
+        throw new Error('Recording of points deactivated.');
+    }
+    var subPaths = this._subPaths;
+    if(subPathIndex !== undefined && subPaths[subPathIndex] === undefined){
+        throw new RangeError('Path2d: Sub-path index out of range.');
+    }
     this.update();
-    return this._lengthTotal;
+
+    var out = [];
+    var subPath, points, curves, curve, numPoints;
+    var startX = 0, startY = 0;
+    var k, end;
+
+    for(var i = 0, l = subPaths.length; i < l; ++i){
+        subPath   = subPaths[i];
+        points    = subPath.points;
+        curves    = subPath.curves;
+        numPoints = points.length / 2;
+
+        if(!subPath.continued){
+            startX = points[0];
+            startY = points[1];
+        }
+        if((subPathIndex !== undefined && i !== subPathIndex) || numPoints === 0){
+            continue;
+        }
+        if(!subPath.continued){
+            out.push({type : 'M', args : [startX,startY]});
+        }
+
+        //a closing point gets implied by 'Z'
+        end = numPoints;
+        if(subPath.closed && end > 1 && points[end * 2 - 2] === startX && points[end * 2 - 1] === startY &&
+           (curves.length === 0 || curves[curves.length - 1].index + curves[curves.length - 1].count < end)){
+            end--;
+        }
+
+        k = 1;
+        for(var j = 0; j < curves.length; ++j){
+            curve = curves[j];
+            for(; k < curve.index; ++k){
+                out.push({type : 'L', args : [points[k * 2],points[k * 2 + 1]]});
+            }
+            out.push({
+                type : curve.type,
+                args : curve.type === 'A' ? curve.args.slice(0) : curve.args.slice(2)
+            });
+            k = curve.index + curve.count;
+        }
+        for(; k < end; ++k){
+            out.push({type : 'L', args : [points[k * 2],points[k * 2 + 1]]});
+        }
+
+        if(subPath.closed){
+            out.push({type : 'Z', args : []});
+        }
+    }
+
+    return out;
 };
 
 /**
- * Returns the coordinate which is distance units along the path.
- * Returns [-1,-1] if points recording is deactivated.
- * @param {Number} length - The distance along the path. (Positive Number)
- * @param {Number[]} [out] - Optional out [x,y]
- * @returns {Number[]}
+ * Returns all sub-paths packed into a single interleaved buffer, [px,py,tx,ty,nx,ny,...] per vertex if tangents and
+ * normals get calculated, [px,py,...] otherwise. With the 'averaged' tangent mode the miter length scale of every
+ * vertex follows, [px,py,tx,ty,nx,ny,scale,...], see [getMiterNormals]{@link Path2d#getMiterNormals}. Offsets and
+ * counts per sub-path are in vertices.
+ * @returns {Object} - {buffer : Float32Array|Float64Array, stride : Number, offsets : Uint32Array, counts : Uint32Array}
  */
-Path2d.prototype.getPointAtLength = function(length,out){
+Path2d.prototype.getPackedBuffers = function(){
     if(!this._recordPoints){
-        return [-1,-1];
+        throw new Error('Recording of points deactivated.');
     }
+    this.update();
 
-    out = out || [0,0];
+    var subPaths  = this._subPaths;
+    var numPaths  = subPaths.length;
+    var stride    = !this._calcTangentsAndNormals ? 2 : this._tangentMode === 'averaged' ? 7 : 6;
+    var ArrayType = this._storage === 'float64' ? Float64Array : Float32Array;
+    var offsets   = new Uint32Array(numPaths);
+    var counts    = new Uint32Array(numPaths);
+    var numVertices = 0;
+    var i, j, l;
+
+    for(i = 0; i < numPaths; ++i){
+        offsets[i] = numVertices;
+        counts[i]  = subPaths[i].points.length / 2;
+        numVertices += counts[i];
+    }
 
-    var indicesRatio;
+    var buffer = new ArrayType(numVertices * stride);
+    var points, tangents, normals, miterScales, index;
+
+    for(i = 0; i < numPaths; ++i){
+        points      = subPaths[i].points;
+        tangents    = subPaths[i].tangents;
+        normals     = subPaths[i].normals;
+        miterScales = subPaths[i].miterScales;
+        index       = offsets[i] * stride;
+
+        for(j = 0, l = points.length; j < l; j+=2, index+=stride){
+            buffer[index    ] = points[j  ];
+            buffer[index + 1] = points[j+1];
+            if(stride > 2){
+                buffer[index + 2] = tangents[j  ];
+                buffer[index + 3] = tangents[j+1];
+                buffer[index + 4] = normals[j  ];
+                buffer[index + 5] = normals[j+1];
+            }
+            if(stride === 7){
+                buffer[index + 6] = miterScales[j / 2];
+            }
+        }
+    }
 
-    if(!this._dirty && length == this._lengthIndexRatioPassedPrev){
-        indicesRatio = this._tempSegIndicesRatio;
+    return {buffer : buffer, stride : stride, offsets : offsets, counts : counts};
+};
+
+/**
+ * Returns a copy of the path.
+ * @returns {Path2d}
+ */
+Path2d.prototype.copy = function(){
+    var out = new Path2d();
+    out._numCurvePointsCubic     = this._numCurvePointsCubic;
+    out._numCurvePointsQuadratic = this._numCurvePointsQuadratic;
+    out._numArcPoints            = this._numArcPoints;
+    out._numEllipsePoints        = this._numEllipsePoints;
+    out._flatteningTolerance     = this._flatteningTolerance;
+
+    out._recordPoints = this._recordPoints;
+    out._recordSvgCmd = this._recordSvgCmd;
+
+    out._calcTangentsAndNormals = this._calcTangentsAndNormals;
+    out._spatialIndex           = this._spatialIndex;
+
+    out._storage   = this._storage;
+    out._arrayType = this._arrayType;
+
+    out._analytic    = this._analytic;
+    out._tangentMode = this._tangentMode;
+
+    out._subPaths.length = this._subPaths.length;
+    for(var i = 0, l = out._subPaths.length; i < l; ++i){
+        out._subPaths[i] = copySubPath(this._subPaths[i]);
+    }
+
+    out._transform      = this._transform === null ? null : this._transform.slice(0);
+    out._transformStack = this._transformStack.slice(0);
+
+    out._subPath = this._subPath;
+    out._pathCmd = this._pathCmd;
+    out._pointStart = this._pointStart.slice(0);
+    out._pointLast  = this._pointLast.slice(0);
+    out._dirty = this._dirty;
+    out._reflatten = this._reflatten;
+    out._lengthTotal = this._lengthTotal;
+    out._tempSegIndicesRatio = this._tempSegIndicesRatio.slice(0);
+    out._tempSegIndices = this._tempSegIndices.slice(0);
+    out._tempSegPoint = this._tempSegPoint.slice(0);
+    out._tempPointProjected = this._tempPointProjected.slice(0);
+    out._lengthIndexRatioPassedPrev = this._lengthIndexRatioPassedPrev;
+    out._lengthIndexPassedPrev = this._lengthIndexPassedPrev;
+
+    if(out._calcTangentsAndNormals){
+        out._update = out._updateB;
     } else {
-        this.update();
-        indicesRatio = this._getIndicesAndRatioAtLength(length);
+        out._update = out._updateA;
     }
 
-    var subPath = this._subPaths[indicesRatio[0]];
-    var indexA  = indicesRatio[1] * 2;
-    var indexB  = indicesRatio[2] * 2;
-    var ratio   = indicesRatio[3];
+    return out;
+};
 
-    var points  = subPath.points;
+/*--------------------------------------------------------------------------------------------------------------------*/
+// Path generation
+/*--------------------------------------------------------------------------------------------------------------------*/
 
-    var x0 = points[indexA  ];
-    var y0 = points[indexA+1];
+/**
+ * Returns a new path with all sub-paths resampled to points evenly spaced by arc-length. Sub-path structure and closed
+ * states are preserved. The spacing is adjusted per sub-path so its length gets divided evenly, open sub-paths keep
+ * their end points, closed sub-paths include their closing segment.
+ * @param {Number|Object} options - The distance between points or an options object.
+ * @param {Number} [options.spacing] - The distance between points.
+ * @param {Number} [options.count] - The number of points per sub-path, used instead of spacing.
+ * @param {Boolean} [options.keepCorners=false] - If true, corner points are kept and the segments between them get
+ * resampled separately. The count is still met, unless a sub-path has more corners than points to distribute.
+ * @param {Number} [options.cornerAngle] - The minimum direction change in radians for a point to be a corner.
+ * @returns {Path2d}
+ */
+Path2d.prototype.resample = function(options){
+    if(!this._recordPoints){
+        throw new Error('Recording of points deactivated.');
+    }
+    options = typeof options === 'number' ? {spacing : options} : (options || {});
 
-    out[0] = x0 + (points[indexB  ] - x0) * ratio;
-    out[1] = y0 + (points[indexB+1] - y0) * ratio;
+    var spacing     = options.spacing;
+    var count       = options.count;
+    var keepCorners = !!options.keepCorners;
+    var cornerAngle = options.cornerAngle === undefined ? DEFAULT_CORNER_ANGLE : options.cornerAngle;
+
+    if(count !== undefined){
+        if(count < 2){
+            throw new RangeError('Path2d: Resample count must be at least 2.');
+        }
+    } else if(!(spacing > 0)){
+        throw new RangeError('Path2d: Resample spacing must be greater than 0.');
+    }
+
+    this.update();
+
+    var out      = new Path2d(this._getOptions());
+    var subPaths = this._subPaths;
+    var subPath;
+    var resampled = [];
+
+    var points, numPoints, closed;
+    var breaks, numUnique, first;
+    var spanStart, spanEnd, numSegments;
+    var numSegmentsTotal, numSegmentsSpans, lengthSpans;
+
+    for(var i = 0, l = subPaths.length; i < l; ++i){
+        subPath   = subPaths[i];
+        points    = removeDuplicatePoints(subPath.points);
+        numPoints = points.length / 2;
+        closed    = subPath.closed && !subPath.continued && numPoints > 2;
+
+        if(numPoints < 2){
+            if(numPoints === 1 && !subPath.continued){
+                out.moveTo(points[0],points[1]);
+            }
+            continue;
+        }
+
+        breaks = keepCorners ? getPolylineCorners(points,closed,cornerAngle) : [];
+
+        //start closed sub-paths at their first corner
+        if(closed && breaks.length > 0 && breaks[0] !== 0){
+            numUnique = numPoints - 1;
+            first     = breaks[0];
+            points    = points.slice(first * 2, numUnique * 2).concat(points.slice(0,first * 2 + 2));
+            for(var j = 0; j < breaks.length; ++j){
+                breaks[j] = (breaks[j] - first + numUnique) % numUnique;
+            }
+        }
+        if(breaks[0] !== 0){
+            breaks.unshift(0);
+        }
+        breaks.push(numPoints - 1);
+
+        if(count !== undefined){
+            numSegmentsTotal = closed ? count : count - 1;
+            spacing = getPolylineLength(points,0,numPoints - 1) / numSegmentsTotal;
+        }
+
+        resampled.length = 0;
+        numSegmentsSpans = 0;
+        lengthSpans      = 0;
+        for(var j = 0, k = breaks.length - 1; j < k; ++j){
+            spanStart = breaks[j];
+            spanEnd   = breaks[j+1];
+            if(count !== undefined){
+                //round the accumulated length, so rounding errors of the spans don't add up
+                lengthSpans += getPolylineLength(points,spanStart,spanEnd);
+                numSegments  = Math.max(1,Math.min(
+                    Math.round(lengthSpans / spacing) - numSegmentsSpans,
+                    numSegmentsTotal - numSegmentsSpans - (k - j - 1)
+                ));
+                numSegmentsSpans += numSegments;
+            } else {
+                numSegments = Math.max(1,Math.round(getPolylineLength(points,spanStart,spanEnd) / spacing));
+            }
+            resamplePolyline(points,spanStart,spanEnd,numSegments,resampled);
+        }
+
+        //closing point gets added by closeSubPath
+        if(!closed){
+            resampled.push(points[points.length - 2],points[points.length - 1]);
+        }
+
+        //continued sub-paths are all straight lines now, so they get merged with their predecessor
+        if(!subPath.continued){
+            out.moveTo(resampled[0],resampled[1]);
+        }
+        for(var j = 2, k = resampled.length; j < k; j+=2){
+            out.lineTo(resampled[j],resampled[j+1]);
+        }
+        if(subPath.closed){
+            out.closeSubPath();
+        }
+    }
 
-    this._lengthIndexRatioPassedPrev = length;
     return out;
 };
 
 /**
- * Returns the tangent which is distance units along the path.
- * Returns [-1,-1] if tangent and normal calculation is deactivated.
- * @param {Number} length - The distance along the path. (Positive Number)
- * @param {Number[]} [out] - Optional out [x,y]
- * @returns {Number[]}
+ * Returns a new path containing the outline of the stroked path as closed sub-paths, to be filled with the 'nonzero'
+ * fill rule. The outline is built from the normals calculated on update. Sub-paths continuing previous ones get stroked
+ * as one figure. Closed sub-paths get joined at their start instead of capped, zero-length segments are skipped.
+ * @param {Object} [options]
+ * @param {Number} [options.width=1] - The stroke width.
+ * @param {String} [options.join='miter'] - 'miter', 'round' or 'bevel'
+ * @param {String} [options.cap='butt'] - 'butt', 'round' or 'square'
+ * @param {Number} [options.miterLimit=10] - The maximum miter length relative to the stroke width, joins exceeding it
+ * are beveled.
+ * @returns {Path2d}
  */
-Path2d.prototype.getTangentAtLength = function(length,out){
-    if(!this._calcTangentsAndNormals || this._subPaths.length === 0){
-        return [-1,-1];
+Path2d.prototype.stroke = function(options){
+    if(!this._recordPoints){
+        throw new Error('Recording of points deactivated.');
+    }
+    if(!this._calcTangentsAndNormals){
+        throw new Error('Tangent and normal calculation deactivated.');
+    }
+    options = options || {};
+
+    var width = options.width === undefined ? 1 : options.width;
+    var style = {
+        join         : options.join || 'miter',
+        cap          : options.cap  || 'butt',
+        miterLimit   : options.miterLimit === undefined ? 10 : options.miterLimit,
+        tolerance    : this._flatteningTolerance,
+        numArcPoints : this._numArcPoints
+    };
+
+    if(LINE_JOINS.indexOf(style.join) === -1){
+        throw new Error('Path2d: Invalid line join "' + style.join + '".');
+    }
+    if(LINE_CAPS.indexOf(style.cap) === -1){
+        throw new Error('Path2d: Invalid line cap "' + style.cap + '".');
     }
 
-    out = out || [0,0];
+    this.update();
 
-    var indices;
+    var out = new Path2d(this._getOptions());
+    if(!(width > 0)){
+        return out;
+    }
 
-    if(!this._dirty && length == this._lengthIndexPassedPrev){
-        indices = this._tempSegIndices;
-    } else {
-        this.update();
-        indices = this._getSegIndexAtLength(length);
+    var contours = this._getStrokeContours();
+    var contour, closed;
+    var polygons, polygon;
+
+    for(var i = 0, l = contours.length; i < l; ++i){
+        contour = contours[i];
+        closed  = contour.closed && contour.lengths.length > 1;
+
+        //a single move has no segment to stroke
+        if(contour.numPoints < 2){
+            continue;
+        }
+
+        polygons = createPolylineStroke(contour.points,closed,contour.normals,contour.lengths,width * 0.5,style);
+
+        for(var j = 0; j < polygons.length; ++j){
+            polygon = polygons[j];
+            if(polygon.length < 6){
+                continue;
+            }
+            out.moveTo(polygon[0],polygon[1]);
+            out.linesTo(polygon.slice(2));
+            out.closeSubPath();
+        }
+    }
+
+    return out;
+};
+
+/**
+ * Returns a new path with the path split into dashes, equivalent to canvas setLineDash and lineDashOffset. Every dash is
+ * an open sub-path following the path exactly. The pattern restarts with every sub-path and runs continuously across
+ * corners, a dash crossing the start of a closed sub-path is joined into one piece.
+ * @param {Number[]} pattern - Alternating dash and gap lengths, repeated once if odd in length. An empty or all zero
+ * pattern returns the path solid.
+ * @param {Number} [offset=0] - The distance into the pattern at which dashing starts.
+ * @returns {Path2d}
+ */
+Path2d.prototype.dash = function(pattern,offset){
+    if(!this._recordPoints){
+        throw new Error('Recording of points deactivated.');
+    }
+    offset  = offset || 0;
+    pattern = normalizeDashPattern(pattern);
+
+    if(pattern === null){
+        return this.copy();
     }
 
-    var subPath = this._subPaths[indices[0]];
-    var index   = indices[1] * 2;
+    this.update();
 
-    var tangents = subPath.tangents;
+    var out = new Path2d(this._getOptions());
 
-    out[0] = tangents[index  ];
-    out[1] = tangents[index+1];
+    var contours = this._getContours();
+    var points, closed, dashes, dash;
+
+    for(var i = 0, l = contours.length; i < l; ++i){
+        points = contours[i].points;
+        closed = contours[i].closed;
+        if(points.length < 4){
+            continue;
+        }
+        if(closed && (points[0] !== points[points.length - 2] || points[1] !== points[points.length - 1])){
+            points = points.concat(points[0],points[1]);
+        }
+
+        dashes = createPolylineDashes(points,closed,pattern,offset);
+
+        for(var j = 0; j < dashes.length; ++j){
+            dash = dashes[j];
+            out.moveTo(dash.points[0],dash.points[1]);
+            out.linesTo(dash.points.slice(2));
+            if(dash.closed){
+                out.closeSubPath();
+            }
+        }
+    }
 
-    this._lengthIndexPassedPrev = length;
     return out;
 };
 
 /**
- * Returns the normal which is distance units along the path.
- * Returns [-1,-1] if tangent and normal calculation is deactivated.
- * @param {Number} length - The distance along the path. (Positive Number)
- * @param {Number[]} [out] - Optional out. [x,y]
- * @returns {Number[]}
+ * Removes redundant points from all sub-paths. Open sub-paths keep their end points, closed sub-paths stay closed.
+ * Simplified sub-paths are recorded as straight lines.
+ * @param {Number} tolerance - The maximum distance of removed points to the simplified path for 'rdp', for
+ * 'visvalingam' points spanning a triangle with an area below tolerance * tolerance with their neighbours get removed.
+ * @param {Object} [options]
+ * @param {String} [options.algorithm='rdp'] - 'rdp' (Ramer-Douglas-Peucker) or 'visvalingam' (Visvalingam-Whyatt)
+ * @param {Boolean} [options.keepCurves=false] - If true, sub-paths generated by curves are left untouched.
+ * @param {Boolean} [options.copy=false] - If true, a simplified copy is returned and the path is left untouched.
+ * @returns {Path2d} - The path or its simplified copy.
  */
-Path2d.prototype.getNormalAtLength = function(length,out){
-    if(!this._calcTangentsAndNormals || this._subPaths.length === 0){
-        return [-1,-1];
+Path2d.prototype.simplify = function(tolerance,options){
+    if(!this._recordPoints){
+        throw new Error('Recording of points deactivated.');
     }
+    options = options || {};
 
-    out = out || [0,0];
-
-    var indices;
-
-    if(!this._dirty && length == this._lengthIndexPassedPrev){
-        indices = this._tempSegIndices;
-    } else {
-        this.update();
-        indices = this._getSegIndexAtLength(length);
+    var algorithm = options.algorithm || 'rdp';
+    var simplify;
+    switch(algorithm){
+        case 'rdp':
+            simplify = simplifyPolylineRDP;
+            break;
+        case 'visvalingam':
+            simplify = simplifyPolylineVisvalingam;
+            tolerance *= tolerance;
+            break;
+        default:
+            throw new Error('Path2d: Invalid simplification algorithm "' + algorithm + '".');
     }
 
-    var subPath = this._subPaths[indices[0]];
-    var index   = indices[1] * 2;
+    var path = options.copy ? this.copy() : this;
+    var subPaths = path._subPaths;
+    var subPath, points, numPoints;
 
-    var normals = subPath.normals;
+    for(var i = 0, l = subPaths.length; i < l; ++i){
+        subPath = subPaths[i];
+        if(options.keepCurves && subPath.type === TYPE_CURVE){
+            continue;
+        }
 
-    out[0] = normals[index  ];
-    out[1] = normals[index+1];
+        numPoints = subPath.points.length / 2;
+        points = simplify(subPath.points,tolerance);
+        if(points.length / 2 === numPoints){
+            continue;
+        }
 
-    this._lengthIndexPassedPrev = length;
-    return out;
+        subPath.points = resizeFloatArray(subPath.points,points.length);
+        for(var j = 0; j < points.length; ++j){
+            subPath.points[j] = points[j];
+        }
+        subPath.type   = TYPE_LINE;
+        subPath.curves = [];
+        subPath._dirty = true;
+
+        if(path._recordSvgCmd){
+            subPath.cmd = (subPath.continued ? '' : createSvgPathCmdMoveTo(points[0],points[1]) + ' ') +
+                          createSvgPathCmdLinesTov(points.slice(2)) +
+                          (subPath.closed ? createSvgPathCmdClose() + ' ' : '');
+        }
+        path._dirty = true;
+    }
+
+    path.update();
+    return path;
 };
 
 /**
- * Returns the point, tangent and normal which are distance units along the path.
- * Returns [-1,-1,-1,-1,-1,-1] if tangent and normal calculation is deactivated.
- * @param {Number} length - The distance along the path. (Positive Number)
- * @param {Number[]} [out] - Optional out. [px,py,tx,ty,nx,ny]
- * @returns {Number[]}
+ * Replaces line sub-paths by G1-continuous cubic Bézier curves fitting their points within tolerance (Schneider).
+ * Corners, points turning by more than the corner angle, are kept sharp. Fitted sub-paths are recorded as cubic curves,
+ * flattened with the current curve resolution.
+ * @param {Number} tolerance - The maximum distance of the line points to the curves.
+ * @param {Object} [options]
+ * @param {Number} [options.cornerAngle=Math.PI / 4] - The minimum turning angle of corners in radians.
+ * @param {Boolean} [options.copy=false] - If true, a fitted copy is returned and the path is left untouched.
+ * @returns {Path2d} - The path or its fitted copy.
  */
-Path2d.prototype.getPointAndTangentAndNormalAtLength = function(length,out){
-    if(!this._calcTangentsAndNormals || this._subPaths.length === 0){
-        return [-1,-1,-1,-1,-1,-1];
+Path2d.prototype.fitCurves = function(tolerance,options){
+    if(!this._recordPoints){
+        throw new Error('Recording of points deactivated.');
     }
+    options = options || {};
 
-    out = out || [0,0,0,0,0,0];
+    var cornerAngle = options.cornerAngle === undefined ? Math.PI / 4 : options.cornerAngle;
 
-    var indicesRatio;
+    var path = options.copy ? this.copy() : this;
+    var subPaths = path._subPaths;
+    var subPath, beziers, points, curve, cmd, x, y;
 
-    if(!this._dirty && length == this._lengthIndexRatioPassedPrev){
-        indicesRatio = this._tempSegIndicesRatio;
-    } else {
-        this.update();
-        indicesRatio = this._getIndicesAndRatioAtLength(length);
-    }
+    for(var i = 0, l = subPaths.length; i < l; ++i){
+        subPath = subPaths[i];
+        if(subPath.type !== TYPE_LINE || subPath.points.length < 6){
+            continue;
+        }
 
-    var subPath = this._subPaths[indicesRatio[0]];
-    var indexA  = indicesRatio[1] * 2;
-    var indexB  = indicesRatio[2] * 2;
-    var ratio   = indicesRatio[3];
+        beziers = fitPolylineBeziers(
+            subPath.points,tolerance,cornerAngle,subPath.closed && !subPath.continued
+        );
+        if(beziers.length === 0){
+            continue;
+        }
 
-    var points   = subPath.points;
-    var tangents = subPath.tangents;
-    var normals  = subPath.normals;
+        x = subPath.points[0];
+        y = subPath.points[1];
+        points = subPath.points = resizeFloatArray(subPath.points,2);
+        cmd = subPath.continued ? '' : createSvgPathCmdMoveTo(x,y) + ' ';
+
+        subPath.curves = [];
+        for(var j = 0; j < beziers.length; j += 6){
+            curve = {
+                type       : 'C',
+                index      : points.length / 2,
+                count      : 0,
+                args       : [x,y,beziers[j],beziers[j + 1],beziers[j + 2],beziers[j + 3],beziers[j + 4],beziers[j + 5]],
+                resolution : 'cubic'
+            };
+            curve.count = path._getNumCurvePoints(curve);
+
+            points = subPath.points = resizeFloatArray(points,points.length + curve.count * 2);
+            flattenCurve(curve,points,points.length - curve.count * 2);
+            subPath.curves.push(curve);
+
+            cmd += createSvgPathCmdCubicCurveTo(
+                beziers[j    ],beziers[j + 1],
+                beziers[j + 2],beziers[j + 3],
+                beziers[j + 4],beziers[j + 5]
+            ) + ' ';
 
-    var x0 = points[indexA  ];
-    var y0 = points[indexA+1];
+            x = beziers[j + 4];
+            y = beziers[j + 5];
+        }
 
-    out[0] = x0 + (points[indexB  ] - x0) * ratio;
-    out[1] = y0 + (points[indexB+1] - y0) * ratio;
-    out[2] = tangents[indexA  ];
-    out[3] = tangents[indexA+1];
-    out[4] = normals[indexA  ];
-    out[5] = normals[indexA+1];
+        subPath.type   = TYPE_CURVE;
+        subPath._dirty = true;
 
-    this._lengthIndexRatioPassedPrev = length;
-    return out;
+        if(path._recordSvgCmd){
+            subPath.cmd = cmd + (subPath.closed ? createSvgPathCmdClose() + ' ' : '');
+        }
+        path._dirty = true;
+    }
+
+    path.update();
+    return path;
 };
 
 /**
- * Returns the tangent and normal which are distance units along the path.
- * Returns [-1,-1,-1,-1] if tangent and normal calculation is deactivated.
- * @param {Number} length - The distance along the path. (Positive Number)
- * @param {Number[]} [out] - Optional out. [tx,ty,nx,ny]
- * @returns {Number[]}
+ * Returns a new path with all sub-paths offset by the distance given. Closed sub-paths grow the area they enclose for
+ * positive distances and shrink it for negative ones, regions collapsing get removed. Open sub-paths are moved along
+ * their normals. Loops formed at concave corners or by distances exceeding local features are removed.
+ * @param {Number} distance - The offset distance.
+ * @param {Object} [options]
+ * @param {String} [options.join='miter'] - 'miter', 'round' or 'bevel'
+ * @param {Number} [options.miterLimit=10] - The maximum miter length relative to the distance, joins exceeding it are
+ * beveled.
+ * @returns {Path2d}
  */
-Path2d.prototype.getTangentAndNormalAtLength = function(length,out){
-    if(!this._calcTangentsAndNormals || this._subPaths.length === 0){
-        return [-1,-1,-1,-1];
+Path2d.prototype.offset = function(distance,options){
+    if(!this._recordPoints){
+        throw new Error('Recording of points deactivated.');
+    }
+    if(!this._calcTangentsAndNormals){
+        throw new Error('Tangent and normal calculation deactivated.');
     }
+    options = options || {};
 
-    out = out || [0,0,0,0];
+    var style = {
+        join         : options.join || 'miter',
+        miterLimit   : options.miterLimit === undefined ? 10 : options.miterLimit,
+        tolerance    : this._flatteningTolerance,
+        numArcPoints : this._numArcPoints
+    };
 
-    var indices;
+    if(LINE_JOINS.indexOf(style.join) === -1){
+        throw new Error('Path2d: Invalid line join "' + style.join + '".');
+    }
 
-    if(!this._dirty && length == this._lengthIndexPassedPrev){
-        indices = this._tempSegIndices;
-    } else {
-        this.update();
-        indices = this._getSegIndexAtLength(length);
+    if(distance === 0){
+        return this.copy();
     }
 
-    var subPath = this._subPaths[indices[0]];
-    var index   = indices[1] * 2;
+    this.update();
 
-    var tangents = subPath.tangents;
-    var normals  = subPath.normals;
+    var out = new Path2d(this._getOptions());
 
-    out[0] = tangents[index  ];
-    out[1] = tangents[index+1];
-    out[2] = normals[index  ];
-    out[3] = normals[index+1];
+    var contours = this._getStrokeContours();
+    var areas    = [];
+    var outlines = [];
+    var polylines, contour, polygon, i, j;
 
-    this._lengthIndexPassedPrev = length;
-    return out;
-};
+    for(i = 0; i < contours.length; ++i){
+        contour = contours[i];
 
-/**
- * Returns the nearest point on the segment to the point given.
- * @param {Number[]} point - The point. [x,y]
- * @param {Number}  subPathIndex - The sub-path index.
- * @param {Number}  segIndex - The segment index.
- * @param {Number[]} out - Optional out. [segPx,segPy,distSegPToP]
- * @returns {Number[]}
- */
-Path2d.prototype.getPointOnSegment = function(point,subPathIndex,segIndex,out){
-    if(!this._recordPoints || this._subPaths.length === 0){
-        return [-1,-1,-1];
+        if(contour.closed){
+            if(contour.lengths.length < 3){
+                continue;
+            }
+            areas.push(contour.points);
+            polylines = createPolylineStrokePieces(contour.points,true,contour.normals,Math.abs(distance),style);
+            for(j = 0; j < polylines.length; ++j){
+                outlines.push(polylines[j]);
+            }
+            continue;
+        }
+
+        if(contour.lengths.length < 1){
+            continue;
+        }
+        polylines = createPolylineOffset(contour.points,contour.normals,contour.lengths,distance,style);
+        for(j = 0; j < polylines.length; ++j){
+            out.moveTo(polylines[j][0],polylines[j][1]);
+            out.linesTo(polylines[j].slice(2));
+        }
     }
-    out = out || [0,0];
-    this.update();
 
-    var data = this._getPointOnSegment(point,subPathIndex,segIndex,this._tempPointProjected);
+    //grow by the area covered by a stroke along the outline, or cut it out
+    var polygons = combinePolygons(areas,outlines,distance > 0 ?
+        function(insideArea,insideOutline){return insideArea || insideOutline;} :
+        function(insideArea,insideOutline){return insideArea && !insideOutline;}
+    );
+
+    for(i = 0; i < polygons.length; ++i){
+        polygon = polygons[i];
+        out.moveTo(polygon[0],polygon[1]);
+        out.linesTo(polygon.slice(2));
+        out.closeSubPath();
+    }
 
-    out[0] = data[0];
-    out[1] = data[1];
     return out;
 };
 
+/*--------------------------------------------------------------------------------------------------------------------*/
+// Triangulation
+/*--------------------------------------------------------------------------------------------------------------------*/
 
 /**
- * Returns the nearest point on the sub-path to the point given.
- * @param {Number[]} point - The point. [x,y]
- * @param {Number}  subPathIndex - The sub-path index.
- * @param {Number[]} out - Optional out. [x,y]
- * @returns {Number[]}
+ * Triangulates the area of the path. Open sub-paths are implicitly closed. Overlapping and self-intersecting sub-paths
+ * get resolved by the fill rule, holes are cut out, collinear and duplicate vertices are handled.
+ * @param {Object} [options]
+ * @param {String} [options.fillRule='nonzero'] - 'nonzero' or 'evenodd'
+ * @returns {Object} - {vertices : Float32Array [x,y,x,y,...], indices : Uint16Array|Uint32Array}
  */
-Path2d.prototype.getPointOnSubPath = function(point,subPathIndex,out){
-    if(!this._recordPoints || this._subPaths.length === 0){
-        return [-1,-1];
+Path2d.prototype.triangulate = function(options){
+    if(!this._recordPoints){
+        throw new Error('Recording of points deactivated.');
     }
-    out = out || [0,0];
+    options = options || {};
+
+    var fillRule = options.fillRule || FILL_RULE_NONZERO;
+    validateFillRule(fillRule);
+
     this.update();
 
-    var data = this._getPointOnSubPath(point,subPathIndex,this._tempPointOut);
+    //work in single precision, so vertices collapsing in the output get merged upfront
+    var contours = this._getContours();
+    var polygons = [];
+    for(var i = 0, l = contours.length; i < l; ++i){
+        polygons.push(contours[i].points.map(Math.fround));
+    }
 
-    out[0] = data[0];
-    out[1] = data[1];
-    return out;
+    var edges = splitArrangementEdges(addArrangementEdges(polygons,0,1,[]));
+    var isInside = fillRule === FILL_RULE_NONZERO ?
+                   function(winding){return winding[0] !== 0;} :
+                   function(winding){return (winding[0] & 1) === 1;};
+
+    var mesh = triangulateTrapezoids(getArrangementTrapezoids(edges,isInside));
+    var numVertices = mesh.vertices.length / 2;
+
+    return {
+        vertices : new Float32Array(mesh.vertices),
+        indices  : numVertices > 65535 ? new Uint32Array(mesh.indices) : new Uint16Array(mesh.indices)
+    };
 };
 
+/*--------------------------------------------------------------------------------------------------------------------*/
+// Svg path cmd
+/*--------------------------------------------------------------------------------------------------------------------*/
+
 /**
- * Returns the nearest point on the path to the point given.
- * @param {Number[]} point - The point. [x,y]
- * @param {Number[]} [out] - Optional out. [x,y]
- * @returns {Number[]}
+ * Creates points from svg path command. Supports the full svg path data syntax, absolute and relative
+ * M, L, H, V, C, S, Q, T, A and Z commands. Throws if the path data is malformed.
+ * @param {String} cmd - The svg path data.
  */
-Path2d.prototype.getPointOnPath = function(point,out){
-    if(!this._recordPoints || this._subPaths.length === 0){
-        return [-1,-1];
-    }
-    out = out ||  [0,0];
-    this.update();
+Path2d.prototype.setSvgPathCmd = function(cmd){
+    var commands = parseSvgPathData(cmd);
+    var arc = [0,0,0,0,0,0];
+    var command, args;
 
-    var data = this._getPointOnPath(point,this._tempPointOut);
+    //current point, sub-path start
+    var x  = 0, y  = 0;
+    var x0 = 0, y0 = 0;
+    var closed = false;
 
-    out[0] = data[0];
-    out[1] = data[1];
-    return out;
+    this.clear();
+
+    for(var i = 0, l = commands.length; i < l; ++i){
+        command = commands[i];
+        args    = command.args;
+
+        //svg continues at the start of a closed sub-path, if not moved explicitly
+        if(closed && command.type !== 'M'){
+            this.moveTo(x0,y0);
+        }
+        closed = false;
+
+        switch(command.type){
+            case 'M':
+                this.moveTo(x0 = args[0], y0 = args[1]);
+                break;
+            case 'L':
+                this.lineTo(args[0],args[1]);
+                break;
+            case 'C':
+                this.cubicCurveTo(args[0],args[1],args[2],args[3],args[4],args[5]);
+                break;
+            case 'Q':
+                this.quadraticCurveTo(args[0],args[1],args[2],args[3]);
+                break;
+            case 'A':
+                //arcs ending at their start are omitted, arcs with a zero radius are straight lines
+                if(args[5] === x && args[6] === y){
+                    break;
+                }
+                if(svgArcToCenter(x,y,args[0],args[1],args[2] * PI_180,args[3],args[4],args[5],args[6],arc) === null){
+                    this.lineTo(args[5],args[6]);
+                    break;
+                }
+                this.ellipse(arc[0],arc[1],arc[2],arc[3],args[2] * PI_180,arc[4],arc[4] + arc[5],arc[5] < 0);
+                break;
+            case 'Z':
+                this.closeSubPath();
+                closed = true;
+                break;
+        }
+
+        if(command.type === 'Z'){
+            x = x0;
+            y = y0;
+        } else {
+            x = args[args.length - 2];
+            y = args[args.length - 1];
+        }
+    }
+
+    this.update();
 };
 
 /**
- * Returns the index of the nearest segment relative to the point given.
- * @param {Number[]} point - The point. [x,y]
- * @param {Number[]} [out] - Optional out. [sup-path index, seg index]
- * @returns {Number[]}
+ * Returns the svg path command.
+ * @returns {String}
  */
-Path2d.prototype.getSegmentIndexNearestToPoint = function(point,out){
-    if(!this._recordPoints || this._subPaths.length === 0){
-        return [-1,-1]
-    }
-    out = out || [0,0];
+Path2d.prototype.getSvgPathCmd = function(){
     this.update();
+    return this._pathCmd;
+};
 
-    var data = this.getPointOnPath(point,this._tempPointOut);
+/*--------------------------------------------------------------------------------------------------------------------*/
+// Resolution Setter & Getter
+/*--------------------------------------------------------------------------------------------------------------------*/
 
-    out[0] = data[3];
-    out[1] = data[4];
-    return out;
+/**
+ * Sets the number of points to create path segments for [cubicCurveTo]{@link Path2d#cubicCurveTo}. Curves already
+ * added without an explicit number of points get re-flattened on the next update.
+ * @param {Number} num
+ */
+Path2d.prototype.setNumCurvePointsCubic = function(num){
+    num = Math.max(2,num);
+    if(this._numCurvePointsCubic === num){
+        return;
+    }
+    this._numCurvePointsCubic = num;
+    this._reflatten = this._dirty = true;
+};
+
+/**
+ * Returns the number of points to create path segments for [cubicCurveTo]{@link Path2d#cubicCurveTo}.
+ * @returns {Number}
+ */
+Path2d.prototype.getNumCurvePointsCubic = function(){
+    return this._numCurvePointsCubic;
+};
+
+/**
+ * Sets the number of points to create path segments for [quadraticCurveTo]{@link Path2d#quadraticCurveTo}. Curves
+ * already added without an explicit number of points get re-flattened on the next update.
+ * @param {Number} num
+ */
+Path2d.prototype.setNumCurvePointsQuadratic = function(num){
+    num = Math.max(2,num);
+    if(this._numCurvePointsQuadratic === num){
+        return;
+    }
+    this._numCurvePointsQuadratic = num;
+    this._reflatten = this._dirty = true;
 };
 
 /**
- * Returns the index of the nearest sub-path relative to the point given.
- * @param {Number[]} point - The point. [x,y]
+ * Returns the number of points to create path segments for [quadraticCurveTo]{@link Path2d#quadraticCurveTo}.
  * @returns {Number}
  */
-Path2d.prototype.getSubPathIndexNearestToPoint = function(point){
-    if(!this._recordPoints || this._subPaths.length === 0){
-        return -1;
-    }
-    this.update();
-    return this._getPointOnPath(point)[3];
+Path2d.prototype.getNumCurvePointsQuadratic = function(){
+    return this._numCurvePointsQuadratic;
 };
 
 /**
- * Returns a copy of the nearest sub-path segment relative to the point given.
- * @param {Number[]} point - The point. [x,y]
- * @param {Number[]} [out] - Optional out. [start x, start y, end x, end y]
- * @returns {Number[]}
+ * Sets the number of points to create path segments for [arc]{@link Path2d#arc} and [arcTo]{@link Path2d#arcTo}.
+ * Arcs already added without an explicit number of points get re-flattened on the next update.
+ * @param {Number} num
  */
-Path2d.prototype.getSegmentCopyNearestToPoint = function(point,out){
-    if(!this._recordPoints || this._subPaths.length === 0){
-        return [-1,-1,-1,-1];
+Path2d.prototype.setNumArcPoints = function(num){
+    num = Math.max(2,num);
+    if(this._numArcPoints === num){
+        return;
     }
+    this._numArcPoints = num;
+    this._reflatten = this._dirty = true;
+};
 
-    out = out || [0,0,0,0];
-    this.update();
-
-    var data    = this._getPointOnPath(point,this._tempPointOut);
-    var subPath = this._subPaths[data[3]];
-    var points  = subPath.points;
-    var index   = data[4] * 2;
-
-    out[0] = points[index  ];
-    out[1] = points[index+1];
-    out[2] = points[index+2];
-    out[3] = points[index+3];
-
-    return out;
+/**
+ * Returns the number of points to create path segments for [arc]{@link Path2d#arc} and [arcTo]{@link Path2d#arcTo}.
+ * @returns {Number}
+ */
+Path2d.prototype.getNumArcPoints = function(){
+    return this._numArcPoints;
 };
 
 /**
- * Returns the nearest sub-path relative to the point given.
- * @param {Number[]} point - The point. [x,y]
- * @returns {SubPath}
+ * Sets the number of points to create path segments for [ellipse]{@link Path2d#ellipse} and
+ * [ellipseAt]{@link Path2d#ellipseAt}. Ellipses already added without an explicit number of points get re-flattened
+ * on the next update.
+ * @param {Number} num
  */
-Path2d.prototype.getSubPathNearestToPoint = function(point){
-    if(!this._recordPoints || this._subPaths.length === 0){
-        return null;
+Path2d.prototype.setNumEllipsePoints = function(num){
+    num = Math.max(2,num);
+    if(this._numEllipsePoints === num){
+        return;
     }
-
-    return this._subPaths[this._getPointOnPath(point,this._tempPointOut)[3]];
+    this._numEllipsePoints = num;
+    this._reflatten = this._dirty = true;
 };
 
 /**
- * Returns the distance of a point on or off the path to the point project on the segment specified.
- * @param {Number[]} point - The point. [x,y]
- * @param {Number} subPathIndex - The index of the sub path.
- * @param {Number} segIndex - The index of segment.
+ * Returns the number of points to create path segments for [ellipse]{@link Path2d#ellipse} and
+ * [ellipseAt]{@link Path2d#ellipseAt}.
  * @returns {Number}
  */
-Path2d.prototype.getDistanceToSegment = function(point,subPathIndex,segIndex){
-    if(!this._recordPoints || this._subPaths.length === 0){
-        return -1;
-    }
-
-    this.update();
-
-    return this._getPointOnSegment(point,subPathIndex,segIndex,this._tempPointOut)[2];
+Path2d.prototype.getNumEllipsePoints = function(){
+    return this._numEllipsePoints;
 };
 
 /**
- * Returns the distance of a point on or off the path to the point project on the sub-path specified.
- * @param {Number[]} point - The point. [x,y]
- * @param {Number} subPathIndex - The index of the sub path.
- * @returns {Number}
+ * Sets the maximum distance between flattened segments and the curves, arcs and ellipses they approximate. If greater
+ * than 0, the number of points is chosen adaptively, otherwise the fixed point counts are used. Curves, arcs and
+ * ellipses already added without an explicit number of points get re-flattened on the next update.
+ * @param {Number} tolerance
  */
-Path2d.prototype.getDistanceToSubPath = function(point,subPathIndex){
-    if(!this._recordPoints || this._subPaths.length === 0){
-        return -1;
+Path2d.prototype.setFlatteningTolerance = function(tolerance){
+    tolerance = Math.max(0,tolerance);
+    if(this._flatteningTolerance === tolerance){
+        return;
     }
-
-    this.update();
-
-    return this._getPointOnSubPath(point,subPathIndex,this._tempPointOut)[2];
+    this._flatteningTolerance = tolerance;
+    this._reflatten = this._dirty = true;
 };
 
 /**
- * Returns the distance of a point on or off the path to the point project on the path.
- * @param {Number[]} point - The point. [x,y]
+ * Returns the maximum distance between flattened segments and the curves, arcs and ellipses they approximate.
  * @returns {Number}
  */
-Path2d.prototype.getDistanceToPath = function(point){
-    if(!this._recordPoints || this._subPaths.length === 0){
-        return -1;
-    }
+Path2d.prototype.getFlatteningTolerance = function(){
+    return this._flatteningTolerance;
+};
 
-    this.update();
+/*--------------------------------------------------------------------------------------------------------------------*/
+// Component Calculation Setter & Getter
+/*--------------------------------------------------------------------------------------------------------------------*/
 
-    return this._getPointOnPath(point,this._tempPointOut)[2];
+/**
+ * If true tangents and normal will be calculated.
+ * @param enable
+ */
+Path2d.prototype.setCalculateTangentsAndNormals = function(enable){
+    if(this._calcTangentsAndNormals == enable){
+        return;
+    }
+    this.clear();
+    this._calcTangentsAndNormals = enable;
 };
 
 /**
- * Returns the distance to a point on or off the path to the point project on the segment specified.
- * @param {Number[]} point - The point. [x,y]
- * @param {Number} subPathIndex - The index of the sub path.
- * @param {Number} segIndex - The index of segment.
- * @returns {Number}
+ * Returns true if tangents and normals get calculated.
+ * @returns {Boolean}
  */
-Path2d.prototype.getLengthOnSegment = function(point,subPathIndex,segIndex){
-    return this.getPointOnSegment(point,subPathIndex,segIndex,this._tempPointOut)[5];
+Path2d.prototype.getCalculateTangentsAndNormals = function(){
+    return this._calcTangentsAndNormals;
 };
 
 /**
- * Returns the distance to a point on or off the path to the point project on the sub-path specified.
- * @param {Number[]} point - The point. [x,y]
- * @param {Number} subPathIndex - The index of the sub path.
- * @returns {Number}
+ * If true, segment hierarchies accelerating nearest point and distance queries get maintained.
+ * @param {Boolean} enable
  */
-Path2d.prototype.getLengthOnSubPath = function(point,subPathIndex){
-    return this.getPointOnSubPath(point,subPathIndex,this._tempPointOut)[5];
+Path2d.prototype.setSpatialIndex = function(enable){
+    if(this._spatialIndex == enable){
+        return;
+    }
+    this._spatialIndex = enable;
+    this._dirty = true;
 };
 
 /**
- * Returns the distance to a point on or off the path to the point project on the path.
- * @param {Number[]} point - The point. [x,y]
- * @returns {Number}
+ * Returns true if segment hierarchies get maintained.
+ * @returns {Boolean}
  */
-Path2d.prototype.getLengthOnPath = function(point){
-    if(!this._recordPoints || this._subPaths.length === 0){
-        return -1;
-    }
-    this.update();
-    return this._getPointOnPath(point,this._tempPointOut)[5];
+Path2d.prototype.isSpatialIndexEnabled = function(){
+    return this._spatialIndex;
 };
 
 /**
- * Returns the sub path index which is distance units along the path.
- * @param {Number} length - The distance along the path.
- * @returns {Number}
+ * If true, lengths, points, tangents and normals along curves, arcs and ellipses are evaluated on their original
+ * definitions instead of the flattened segments. Lengths get recomputed on the next update.
+ * @param {Boolean} enable
  */
-Path2d.prototype.getSubPathIndexAtLength = function(length){
-    if(!this._recordPoints || this._subPaths.length === 0){
-        return -1;
+Path2d.prototype.setAnalytic = function(enable){
+    if(this._analytic == enable){
+        return;
     }
-    var indices;
+    this._analytic = enable;
 
-    if(!this._dirty && length == this._lengthIndexPassedPrev){
-        indices = this._tempSegIndices;
-    } else {
-        this.update();
-        indices = this._getSegIndexAtLength(length);
+    var subPaths = this._subPaths;
+    for(var i = 0, l = subPaths.length; i < l; ++i){
+        subPaths[i]._dirty = true;
     }
+    this._dirty = true;
+};
 
-    this._lengthIndexPassedPrev = length;
-    return indices[0];
+/**
+ * Returns true if curves, arcs and ellipses are evaluated on their original definitions.
+ * @returns {Boolean}
+ */
+Path2d.prototype.isAnalyticEnabled = function(){
+    return this._analytic;
 };
 
 /**
- * Returns ths sub path segment index which is distance units along the path.
- * Returns [-1,-1] if points recording is deactivated.
- * @param {Number} length - The distance along the path.
- * @param {Number[]} [out] - Optional out. [index sub-path, index segment]
- * @returns {Number[]}
+ * Sets the tangents and normals per sub-path point, 'segment' for the direction of the outgoing segment, 'averaged'
+ * for the angle bisector of both adjacent segments. Tangents and normals get recomputed on the next update.
+ * @param {String} mode
  */
-Path2d.prototype.getPathSegIndexAtLength = function(length,out){
-    if(!this._recordPoints || this._subPaths.length === 0){
-        return [-1,-1];
+Path2d.prototype.setTangentMode = function(mode){
+    if(mode !== 'segment' && mode !== 'averaged'){
+        throw new Error('Path2d: Invalid tangent mode "' + mode + '".');
     }
-    var indices;
+    if(this._tangentMode === mode){
+        return;
+    }
+    this._tangentMode = mode;
 
-    if(!this._dirty && length == this._lengthIndexPassedPrev){
-        indices = this._tempSegIndices;
-    } else {
-        this.update();
-        indices = this._getSegIndexAtLength(length);
+    var subPaths = this._subPaths;
+    for(var i = 0, l = subPaths.length; i < l; ++i){
+        subPaths[i]._dirty = true;
     }
+    this._dirty = true;
+};
 
-    out[0] = indices[0];
-    out[1] = indices[1];
+/**
+ * Returns the tangent mode, 'segment' or 'averaged'.
+ * @returns {String}
+ */
+Path2d.prototype.getTangentMode = function(){
+    return this._tangentMode;
+};
 
-    this._lengthIndexPassedPrev = length;
-    return out;
+/**
+ * Returns the storage of points, tangents, normals and segment lengths, 'array', 'float32' or 'float64'.
+ * @returns {String}
+ */
+Path2d.prototype.getStorage = function(){
+    return this._storage;
 };
 
+/*--------------------------------------------------------------------------------------------------------------------*/
+// Svg Commands
+/*--------------------------------------------------------------------------------------------------------------------*/
+
 /**
- * Returns the sub path which is distance units along the path.
- * @param {Number} length - The distance along the path.
- * @returns {SubPath||null}
+ * If true svg commands will be created on every path modification. Clears the path.
+ * @param {Boolean} enable
  */
-Path2d.prototype.getSubPathAtLength = function(length){
-    if(!this._recordPoints || this._subPaths.length === 0){
-        return null;
+Path2d.prototype.setRecordSvgCmd = function(enable){
+    if(this._recordSvgCmd == enable){
+        return;
     }
-    return this._subPaths[this.getSubPathIndexAtLength(length)];
+    this.clear();
+    this._recordSvgCmd = enable;
 };
 
 /**
- * Returns a copy of the sub path segment which is distance units along the path.
- * Returns [-1,-1,-1,-1] if points recording is deactivated.
- * @param length
- * @param out
- * @returns {*}
+ * Returns true if svg commands recoding is enabled.
+ * @returns {Boolean}
  */
-Path2d.prototype.getSegmentCopyAtLength = function(length,out){
-    if(!this._recordPoints || this._subPaths.length === 0){
-        return [-1,-1,-1,-1];
+Path2d.prototype.isRecordSvgCmdEnabled = function(){
+    return this._recordSvgCmd;
+};
+
+
+/*--------------------------------------------------------------------------------------------------------------------*/
+// Export formats
+/*--------------------------------------------------------------------------------------------------------------------*/
+
+/**
+ * Returns the path as GeoJSON geometry. Open sub-paths become a LineString or MultiLineString, closed ones a Polygon or
+ * MultiPolygon, with closed sub-paths inside others becoming holes by their nesting depth. Outer rings run
+ * counter-clockwise, holes clockwise (y up). Paths with both become a GeometryCollection. Curves are exported flattened,
+ * as GeoJSON has no curves.
+ * @returns {Object}
+ */
+Path2d.prototype.toGeoJSON = function(){
+    if(!this._recordPoints){
+        throw new Error('Recording of points deactivated.');
+    }
+    this.update();
+
+    var contours = this._getContours();
+    var lines = [];
+    var rings = [];
+    var points, flat, i, j, l;
+
+    for(i = 0; i < contours.length; ++i){
+        points = contours[i].points;
+        flat   = [];
+        for(j = 0, l = points.length; j < l; j += 2){
+            if(j === 0 || points[j] !== flat[flat.length - 2] || points[j + 1] !== flat[flat.length - 1]){
+                flat.push(points[j],points[j + 1]);
+            }
+        }
+        if(contours[i].closed){
+            //rings are implicitly closed here, a ring needs 3 distinct positions
+            if(flat.length > 2 && flat[0] === flat[flat.length - 2] && flat[1] === flat[flat.length - 1]){
+                flat.length -= 2;
+            }
+            if(flat.length >= 6){
+                rings.push(flat);
+            }
+        } else if(flat.length >= 4){
+            lines.push(flat);
+        }
+    }
+
+    function toPositions(flat,closed){
+        var out = [];
+        for(var i = 0, l = flat.length; i < l; i += 2){
+            out.push([flat[i],flat[i + 1]]);
+        }
+        if(closed){
+            out.push([flat[0],flat[1]]);
+        }
+        return out;
+    }
+
+    //nesting depth by the number of rings containing the first point of a ring
+    var depths = [];
+    for(i = 0; i < rings.length; ++i){
+        depths[i] = 0;
+        for(j = 0; j < rings.length; ++j){
+            if(j !== i && getWindingNumber(rings[j],rings[i][0],rings[i][1]) !== 0){
+                depths[i]++;
+            }
+        }
+    }
+
+    var polygons  = [];
+    var positions = [];
+    var polygonIndices = [];
+    for(i = 0; i < rings.length; ++i){
+        positions[i] = toPositions(rings[i],true);
+        if((getPolygonArea(rings[i]) > 0) !== (depths[i] % 2 === 0)){
+            positions[i].reverse();
+        }
+        if(depths[i] % 2 === 0){
+            polygonIndices[i] = polygons.length;
+            polygons.push([positions[i]]);
+        }
     }
-    out = out || [0,0,0,0];
 
-    var data   = this.getPathSegIndexAtLength(length,this._tempSegIndicesOut);
-    var index  = data[1] * 2;
-    var points = this._subPaths[data[0]].points;
+    //holes belong to the containing outer ring one level up
+    for(i = 0; i < rings.length; ++i){
+        if(depths[i] % 2 === 0){
+            continue;
+        }
+        for(j = 0; j < rings.length; ++j){
+            if(depths[j] === depths[i] - 1 && getWindingNumber(rings[j],rings[i][0],rings[i][1]) !== 0){
+                polygons[polygonIndices[j]].push(positions[i]);
+                break;
+            }
+        }
+    }
 
-    out[0] = points[index  ];
-    out[1] = points[index+1];
-    out[2] = points[index+2];
-    out[3] = points[index+3];
+    var geometries = [];
+    if(lines.length === 1){
+        geometries.push({type : 'LineString', coordinates : toPositions(lines[0],false)});
+    } else if(lines.length > 1){
+        geometries.push({type : 'MultiLineString', coordinates : lines.map(function(line){
+            return toPositions(line,false);
+        })});
+    }
+    if(polygons.length === 1){
+        geometries.push({type : 'Polygon', coordinates : polygons[0]});
+    } else if(polygons.length > 1){
+        geometries.push({type : 'MultiPolygon', coordinates : polygons});
+    }
 
-    return out;
+    return geometries.length === 1 ? geometries[0] : {type : 'GeometryCollection', geometries : geometries};
 };
 
 /**
- * Returns the paths sub paths.
- * @returns {Array}
+ * Returns the path as DXF document with one LWPOLYLINE entity per figure, a sub-path and the sub-paths continuing it,
+ * flagged if closed. Circular arcs are kept as bulges, other curves get exported flattened.
+ * @returns {String}
  */
-Path2d.prototype.getSubPaths = function(){
+Path2d.prototype.toDXF = function(){
     if(!this._recordPoints){
         throw new Error('Recording of points deactivated.');
     }
     this.update();
-    return this._subPaths;
-};
-
-/**
- * Returns a copy of the path.
- * @returns {Path2d}
- */
-Path2d.prototype.copy = function(){
-    var out = new Path2d();
-    out._numCurvePointsCubic     = this._numCurvePointsCubic;
-    out._numCurvePointsQuadratic = this._numCurvePointsQuadratic;
-    out._numArcPoints            = this._numArcPoints;
-    out._numEllipsePoints        = this._numEllipsePoints;
-
-    out._recordPoints = this._recordPoints;
-    out._recordSvgCmd = this._recordSvgCmd;
-
-    out._calcTangentsAndNormals = this._calcTangentsAndNormals;
 
-    out._subPaths.length = this._subPaths.length;
-    for(var i = 0, l = out._subPaths.length; i < l; ++i){
-        out._subPaths[i] = copySubPath(this._subPaths[i]);
+    var subPaths = this._subPaths;
+    var polylines = [];
+    var vertices  = null;
+    var subPath, points, curves, curve, arcs, numPoints, j, m;
+    var args, num, step, bulge, point = [0,0];
+
+    function pushVertex(x,y){
+        var last = vertices[vertices.length - 1];
+        if(last === undefined || Math.abs(last[0] - x) > EPSILON || Math.abs(last[1] - y) > EPSILON){
+            vertices.push([x,y,0]);
+        }
     }
 
-    out._subPath = this._subPath;
-    out._pathCmd = this._pathCmd;
-    out._dirty = this._dirty;
-    out._lengthTotal = this._lengthTotal;
-    out._tempSegIndicesRatio = this._tempSegIndicesRatio.slice(0);
-    out._tempSegIndices = this._tempSegIndices.slice(0);
-    out._tempSegPoint = this._tempSegPoint.slice(0);
-    out._tempPointProjected = this._tempPointProjected.slice(0);
-    out._lengthIndexRatioPassedPrev = this._lengthIndexRatioPassedPrev;
-    out._lengthIndexPassedPrev = this._lengthIndexPassedPrev;
+    for(var i = 0, l = subPaths.length; i < l; ++i){
+        subPath   = subPaths[i];
+        points    = subPath.points;
+        curves    = subPath.curves;
+        numPoints = points.length / 2;
+
+        if(!subPath.continued || vertices === null){
+            vertices = [];
+            polylines.push({vertices : vertices, closed : false});
+        }
+        polylines[polylines.length - 1].closed = subPath.closed;
+
+        //circular arcs by their first point
+        arcs = {};
+        for(j = 0; j < curves.length; ++j){
+            curve = curves[j];
+            args  = curve.args;
+            if(curve.type === 'A' && Math.abs(args[2] - args[3]) <= EPSILON * Math.max(args[2],args[3])){
+                arcs[curve.index] = curve;
+            }
+        }
 
-    if(out._calcTangentsAndNormals){
-        out._update = out._updateB;
-    } else {
-        out._update = out._updateA;
+        for(j = 0; j < numPoints; ++j){
+            curve = arcs[j];
+
+            //circular arcs get split into pieces up to a half turn, each a vertex with its bulge
+            if(curve !== undefined){
+                args  = curve.args;
+                num   = Math.max(1,Math.ceil(Math.abs(args[6]) / Math.PI - EPSILON));
+                step  = args[6] / num;
+                bulge = Math.tan(step * 0.25);
+                pushVertex(points[j * 2],points[j * 2 + 1]);
+                vertices[vertices.length - 1][2] = bulge;
+                for(m = 1; m < num; ++m){
+                    getArcPoint(args,args[5] + step * m,point);
+                    vertices.push([point[0],point[1],bulge]);
+                }
+                j = curve.index + curve.count - 2;
+                continue;
+            }
+            pushVertex(points[j * 2],points[j * 2 + 1]);
+        }
     }
 
-    return out;
-};
+    var out = ['0','SECTION','2','ENTITIES'];
+    var polyline, first, last;
+
+    for(i = 0; i < polylines.length; ++i){
+        polyline = polylines[i];
+        vertices = polyline.vertices;
+        first = vertices[0];
+        last  = vertices[vertices.length - 1];
+        if(polyline.closed && vertices.length > 1 &&
+           Math.abs(first[0] - last[0]) <= EPSILON && Math.abs(first[1] - last[1]) <= EPSILON){
+            vertices.pop();
+        }
+        if(vertices.length < 2){
+            continue;
+        }
 
-/*--------------------------------------------------------------------------------------------------------------------*/
-// Svg path cmd
-/*--------------------------------------------------------------------------------------------------------------------*/
+        out.push(
+            '0','LWPOLYLINE',
+            '100','AcDbEntity',
+            '8','0',
+            '100','AcDbPolyline',
+            '90',String(vertices.length),
+            '70',polyline.closed ? '1' : '0'
+        );
+        for(j = 0; j < vertices.length; ++j){
+            out.push('10',String(vertices[j][0]),'20',String(vertices[j][1]));
+            if(vertices[j][2] !== 0){
+                out.push('42',String(vertices[j][2]));
+            }
+        }
+    }
 
-//TODO: Add non Path2d generated svg cmds
-/**
- * Creates points from svg path command.
- * @param cmd
- */
-Path2d.prototype.setSvgPathCmd = function(cmd){
-    this.clear();
-    this.update();
+    out.push('0','ENDSEC','0','EOF');
+    return out.join('\n') + '\n';
 };
 
 /**
- * Returns the svg path command.
+ * Returns the path as PDF content-stream path operators, m, l, c and h, one per line. Cubic curves are kept, quadratic
+ * curves get elevated to cubic ones and arcs and ellipses approximated by a cubic curve per quarter turn.
  * @returns {String}
  */
-Path2d.prototype.getSvgPathCmd = function(){
-    this.update();
-    return this._pathCmd;
+Path2d.prototype.toPostScript = function(){
+    var commands = this.getCommands();
+    var out = [];
+    var x = 0, y = 0, startX = 0, startY = 0;
+    var command, args, beziers, point = [0,0];
+
+    function curveTo(cp1x,cp1y,cp2x,cp2y,x,y){
+        out.push([cp1x,cp1y,cp2x,cp2y,x,y].map(formatNumberFixed).join(' ') + ' c');
+    }
+
+    for(var i = 0, l = commands.length; i < l; ++i){
+        command = commands[i];
+        args    = command.args;
+
+        switch(command.type){
+            case 'M':
+                x = startX = args[0];
+                y = startY = args[1];
+                out.push(formatNumberFixed(x) + ' ' + formatNumberFixed(y) + ' m');
+                break;
+
+            case 'L':
+                x = args[0];
+                y = args[1];
+                out.push(formatNumberFixed(x) + ' ' + formatNumberFixed(y) + ' l');
+                break;
+
+            case 'Q':
+                curveTo(
+                    x + (args[0] - x) * 2 / 3,y + (args[1] - y) * 2 / 3,
+                    args[2] + (args[0] - args[2]) * 2 / 3,args[3] + (args[1] - args[3]) * 2 / 3,
+                    args[2],args[3]
+                );
+                x = args[2];
+                y = args[3];
+                break;
+
+            case 'C':
+                curveTo(args[0],args[1],args[2],args[3],args[4],args[5]);
+                x = args[4];
+                y = args[5];
+                break;
+
+            case 'A':
+                //arcs connect to the previous point by a straight line
+                getArcPoint(args,args[5],point);
+                if(Math.abs(point[0] - x) > EPSILON || Math.abs(point[1] - y) > EPSILON){
+                    out.push(formatNumberFixed(point[0]) + ' ' + formatNumberFixed(point[1]) + ' l');
+                }
+                beziers = getArcBeziers(args);
+                for(var j = 0; j < beziers.length; j += 6){
+                    curveTo(beziers[j],beziers[j + 1],beziers[j + 2],beziers[j + 3],beziers[j + 4],beziers[j + 5]);
+                }
+                x = beziers[beziers.length - 2];
+                y = beziers[beziers.length - 1];
+                break;
+
+            case 'Z':
+                out.push('h');
+                x = startX;
+                y = startY;
+                break;
+        }
+    }
+
+    return out.length > 0 ? out.join('\n') + '\n' : '';
 };
 
 /*--------------------------------------------------------------------------------------------------------------------*/
-// Resolution Setter & Getter
+// Factory
 /*--------------------------------------------------------------------------------------------------------------------*/
 
 /**
- * Sets the number of points to create path segments for [cubicCurveTo]{@link Path2d#cubicCurveTo}.
- * @param {Number} num
+ * Creates a path from svg command.
+ * @param {String} cmd
+ * @param {Object} [options]
+ * @returns {Path2d}
  */
-Path2d.prototype.setNumCurvePointsCubic = function(num){
-    this._numCurvePointsCubic = Math.max(2,num);
+Path2d.createFromSvgCmd = function(cmd,options){
+    var path = new Path2d(options);
+    path.setSvgPathCmd(cmd);
+    return path;
 };
 
-/**
- * Returns the number of points to create path segments for [cubicCurveTo]{@link Path2d#cubicCurveTo}.
- * @returns {Number}
- */
-Path2d.prototype.getNumCurvePointsCubic = function(){
-    return this._numCurvePointsCubic;
-};
+/*--------------------------------------------------------------------------------------------------------------------*/
+// JSON
+/*--------------------------------------------------------------------------------------------------------------------*/
 
-/**
- * Sets the number of points to create path segments for [quadraticCurveTo]{@link Path2d#quadraticCurveTo}.
- * @param {Number} num
- */
-Path2d.prototype.setNumCurvePointsQuadratic = function(num){
-    this._numCurvePointsQuadratic = Math.max(2,num);
-};
+var JSON_TYPE    = 'Path2d';
+var JSON_VERSION = 1;
+
+var JSON_CURVE_NUM_ARGS = {Q : 6, C : 8, A : 7};
+
+var JSON_OPTIONS_BOOLEAN     = ['recordPoints','recordSvgCmd','calcTangentsAndNormals','spatialIndex','analytic'];
+var JSON_OPTIONS_POINT_COUNT = ['numCurvePointsCubic','numCurvePointsQuadratic','numArcPoints','numEllipsePoints'];
 
 /**
- * Returns the number of points to create path segments for [quadraticCurveTo]{@link Path2d#quadraticCurveTo}.
- * @returns {Number}
+ * Returns true if the value is an array of finite numbers.
+ * @private
  */
-Path2d.prototype.getNumCurvePointsQuadratic = function(){
-    return this._numCurvePointsQuadratic;
-};
+function isNumberArray(value){
+    if(!Array.isArray(value)){
+        return false;
+    }
+    for(var i = 0, l = value.length; i < l; ++i){
+        if(typeof value[i] !== 'number' || !isFinite(value[i])){
+            return false;
+        }
+    }
+    return true;
+}
 
 /**
- * Sets the number of points to create path segments for [arc]{@link Path2d#arc} and [arcTo]{@link Path2d#arcTo}.
- * @param {Number} num
+ * Throws if serialized options are unknown or invalid.
+ * @param {Object} options
+ * @private
  */
-Path2d.prototype.setNumArcPoints = function(num){
-    this._numArcPoints = Math.max(2,num);
-};
+function validateJSONOptions(options){
+    var prefix = 'Path2d: Invalid JSON document, option ';
+    var value;
+
+    for(var p in options){
+        if(DEFAULT_OPTIONS[p] === undefined){
+            throw new Error(prefix + '"' + p + '" is unknown.');
+        }
+        value = options[p];
+        if(JSON_OPTIONS_BOOLEAN.indexOf(p) !== -1 && typeof value !== 'boolean'){
+            throw new Error(prefix + '"' + p + '" must be a boolean.');
+        }
+        if(JSON_OPTIONS_POINT_COUNT.indexOf(p) !== -1 &&
+           (typeof value !== 'number' || !isFinite(value) || value !== Math.floor(value) || value < 2)){
+            throw new Error(prefix + '"' + p + '" must be an integer of at least 2.');
+        }
+    }
+    if(options.flatteningTolerance !== undefined &&
+       (typeof options.flatteningTolerance !== 'number' || !isFinite(options.flatteningTolerance) ||
+        options.flatteningTolerance < 0)){
+        throw new Error(prefix + '"flatteningTolerance" must be a number of at least 0.');
+    }
+    if(options.storage !== undefined && !STORAGE_ARRAY_TYPES.hasOwnProperty(options.storage)){
+        throw new Error(prefix + '"storage" must be "array", "float32" or "float64".');
+    }
+    if(options.tangentMode !== undefined && options.tangentMode !== 'segment' && options.tangentMode !== 'averaged'){
+        throw new Error(prefix + '"tangentMode" must be "segment" or "averaged".');
+    }
+}
 
 /**
- * Returns the number of points to create path segments for [arc]{@link Path2d#arc} and [arcTo]{@link Path2d#arcTo}.
- * @returns {Number}
+ * Throws if a serialized sub-path is invalid.
+ * @param {Object} data
+ * @param {Number} index - The sub-path index, for error messages.
+ * @param {Object|undefined} prev - The previous serialized sub-path, already validated.
+ * @private
  */
-Path2d.prototype.getNumArcPoints = function(){
-    return this._numArcPoints;
-};
+function validateJSONSubPath(data,index,prev){
+    var prefix = 'Path2d: Invalid JSON sub-path ' + index + ', ';
+
+    if(data === null || typeof data !== 'object'){
+        throw new Error(prefix + 'expected an object.');
+    }
+    if(data.type !== 'line' && data.type !== 'curve'){
+        throw new Error(prefix + 'type must be "line" or "curve".');
+    }
+    if(!isNumberArray(data.points) || data.points.length % 2 !== 0){
+        throw new Error(prefix + 'points must be a flat array of [x,y] numbers.');
+    }
+    if(typeof data.closed !== 'boolean' || typeof data.continued !== 'boolean'){
+        throw new Error(prefix + 'closed and continued must be booleans.');
+    }
+    //continued sub-paths start at the end of the open sub-path before
+    if(data.continued){
+        if(prev === undefined){
+            throw new Error(prefix + 'the first sub-path cannot be continued.');
+        }
+        if(prev.closed){
+            throw new Error(prefix + 'continues a closed sub-path.');
+        }
+        if(data.points.length === 0 || prev.points.length === 0 ||
+           Math.abs(data.points[0] - prev.points[prev.points.length - 2]) > EPSILON ||
+           Math.abs(data.points[1] - prev.points[prev.points.length - 1]) > EPSILON){
+            throw new Error(prefix + 'continued but not starting at the end of the previous sub-path.');
+        }
+    }
+    if(typeof data.cmd !== 'string'){
+        throw new Error(prefix + 'cmd must be a string.');
+    }
+    if(!Array.isArray(data.curves)){
+        throw new Error(prefix + 'curves must be an array.');
+    }
+
+    var numPoints = data.points.length / 2;
+    var curveEnd  = 0;
+    var curve;
+    for(var i = 0; i < data.curves.length; ++i){
+        curve = data.curves[i];
+        if(curve === null || typeof curve !== 'object' || !JSON_CURVE_NUM_ARGS.hasOwnProperty(curve.type)){
+            throw new Error(prefix + 'curve ' + i + ' type must be "Q", "C" or "A".');
+        }
+        if(!isNumberArray(curve.args) || curve.args.length !== JSON_CURVE_NUM_ARGS[curve.type]){
+            throw new Error(prefix + 'curve ' + i + ' requires ' + JSON_CURVE_NUM_ARGS[curve.type] + ' args.');
+        }
+        if(curve.index !== Math.floor(curve.index) || curve.count !== Math.floor(curve.count) ||
+           curve.index < 0 || curve.count < 2 || curve.index + curve.count > numPoints){
+            throw new Error(prefix + 'curve ' + i + ' points out of range.');
+        }
+        //curves get looked up by binary search on their point ranges
+        if(curve.index < curveEnd){
+            throw new Error(prefix + 'curve ' + i + ' points overlap or precede the previous curve.');
+        }
+        curveEnd = curve.index + curve.count;
+        if(curve.resolution !== null && ['quadratic','cubic','arc','ellipse'].indexOf(curve.resolution) === -1){
+            throw new Error(prefix + 'curve ' + i + ' has an invalid resolution "' + curve.resolution + '".');
+        }
+    }
+}
 
 /**
- * Sets the number of points to create path segments for [ellipse]{@link Path2d#ellipse} and
- * [ellipseAt]{@link Path2d#ellipseAt}.
- * @param {Number} num
+ * Returns a serializable representation of the path, see [fromJSON]{@link Path2d.fromJSON}. It holds the options, the
+ * sub-path points with their curves and the recorded svg commands, lengths, tangents and normals get rebuilt on load.
+ * The transform stack is not serialized.
+ * @returns {Object}
  */
-Path2d.prototype.setNumEllipsePoints = function(num){
-    this._numEllipsePoints = Math.max(2,num);
+Path2d.prototype.toJSON = function(){
+    var subPaths = [];
+    var subPath;
+
+    for(var i = 0, l = this._subPaths.length; i < l; ++i){
+        subPath = this._subPaths[i];
+        subPaths.push({
+            type      : subPath.type === TYPE_CURVE ? 'curve' : 'line',
+            points    : Array.prototype.slice.call(subPath.points),
+            closed    : subPath.closed,
+            continued : subPath.continued,
+            curves    : subPath.curves.map(copyCurve),
+            cmd       : subPath.cmd
+        });
+    }
+
+    return {
+        type       : JSON_TYPE,
+        version    : JSON_VERSION,
+        options    : this._getOptions(),
+        subPaths   : subPaths,
+        cmd        : this._pathCmd,
+        pointStart : this._pointStart.slice(0),
+        pointLast  : this._pointLast.slice(0)
+    };
 };
 
 /**
- * Returns the number of points to create path segments for [ellipse]{@link Path2d#ellipse} and
- * [ellipseAt]{@link Path2d#ellipseAt}.
- * @returns {Number}
+ * Creates a path from its serialized representation, see [toJSON]{@link Path2d#toJSON}.
+ * @param {Object|String} data - The object returned by toJSON or its JSON string.
+ * @returns {Path2d}
  */
-Path2d.prototype.getNumEllipsePoints = function(){
-    return this._numArcPoints;
+Path2d.fromJSON = function(data){
+    if(typeof data === 'string'){
+        try{
+            data = JSON.parse(data);
+        } catch(e){
+            throw new Error('Path2d: Invalid JSON, ' + e.message);
+        }
+    }
+    if(data === null || typeof data !== 'object' || data.type !== JSON_TYPE){
+        throw new Error('Path2d: Invalid JSON document, expected type "' + JSON_TYPE + '".');
+    }
+    if(typeof data.version !== 'number' || data.version !== Math.floor(data.version) || data.version < 1){
+        throw new Error('Path2d: Invalid JSON document version "' + data.version + '".');
+    }
+    if(data.version > JSON_VERSION){
+        throw new Error('Path2d: Unsupported JSON document version ' + data.version + ', supported up to ' +
+                        JSON_VERSION + '.');
+    }
+    if(data.options === null || typeof data.options !== 'object'){
+        throw new Error('Path2d: Invalid JSON document, options must be an object.');
+    }
+    if(!Array.isArray(data.subPaths)){
+        throw new Error('Path2d: Invalid JSON document, subPaths must be an array.');
+    }
+    if(typeof data.cmd !== 'string'){
+        throw new Error('Path2d: Invalid JSON document, cmd must be a string.');
+    }
+    if(!isNumberArray(data.pointStart) || data.pointStart.length !== 2 ||
+       !isNumberArray(data.pointLast)  || data.pointLast.length  !== 2){
+        throw new Error('Path2d: Invalid JSON document, pointStart and pointLast must be [x,y] numbers.');
+    }
+    validateJSONOptions(data.options);
+    var options = {};
+    for(var p in data.options){
+        options[p] = data.options[p];
+    }
+    for(var i = 0; i < data.subPaths.length; ++i){
+        validateJSONSubPath(data.subPaths[i],i,data.subPaths[i - 1]);
+    }
+
+    var path = new Path2d(options);
+    var subPaths = path._subPaths;
+    var subPath, subPathData, points;
+
+    for(i = 0; i < data.subPaths.length; ++i){
+        subPathData = data.subPaths[i];
+        subPath = new SubPath(path._arrayType);
+        subPath.type   = subPathData.type === 'curve' ? TYPE_CURVE : TYPE_LINE;
+        subPath.points = points = resizeFloatArray(subPath.points,subPathData.points.length);
+        for(var j = 0, l = subPathData.points.length; j < l; ++j){
+            points[j] = subPathData.points[j];
+        }
+        subPath.closed    = subPathData.closed;
+        subPath.continued = subPathData.continued;
+        subPath.curves    = subPathData.curves.map(copyCurve);
+        subPath.cmd       = subPathData.cmd;
+        subPath._dirty    = true;
+        subPaths.push(subPath);
+    }
+
+    path._subPath = subPaths.length > 0 ? subPaths[subPaths.length - 1] : null;
+    path._pathCmd = data.cmd;
+    path._pointStart[0] = data.pointStart[0];
+    path._pointStart[1] = data.pointStart[1];
+    path._pointLast[0]  = data.pointLast[0];
+    path._pointLast[1]  = data.pointLast[1];
+    path._dirty = true;
+
+    return path;
 };
 
 /*--------------------------------------------------------------------------------------------------------------------*/
-// Component Calculation Setter & Getter
+// Boolean operations
 /*--------------------------------------------------------------------------------------------------------------------*/
 
 /**
- * If true tangents and normal will be calculated.
- * @param enable
+ * Returns a new path with the outlines of the area resulting from combining the areas of two paths. Only closed
+ * sub-paths are considered, both filled by the nonzero rule.
+ * @param {Path2d} a
+ * @param {Path2d} b
+ * @param {Function} isInside - Called with the insides of a and b.
+ * @returns {Path2d}
+ * @private
  */
-Path2d.prototype.setCalculateTangentsAndNormals = function(enable){
-    if(this._calcTangentsAndNormals == enable){
-        return;
+function combinePaths(a,b,isInside){
+    if(!a._recordPoints || !b._recordPoints){
+        throw new Error('Recording of points deactivated.');
     }
-    this.clear();
-    this._calcTangentsAndNormals = enable;
-};
+
+    var polygons = combinePolygons(a._getClosedPolygons(),b._getClosedPolygons(),isInside);
+
+    var out = new Path2d(a._getOptions());
+    var polygon;
+    for(var i = 0; i < polygons.length; ++i){
+        polygon = polygons[i];
+        out.moveTo(polygon[0],polygon[1]);
+        out.linesTo(polygon.slice(2));
+        out.closeSubPath();
+    }
+    return out;
+}
 
 /**
- * Returns true if tangents and normals get calculated.
- * @returns {Boolean}
+ * Returns a new path covering the area of both paths. Outer contours run counter-clockwise (y up), holes clockwise.
+ * @param {Path2d} a
+ * @param {Path2d} b
+ * @returns {Path2d}
  */
-Path2d.prototype.getCalculateTangentsAndNormals = function(){
-    return this._calcTangentsAndNormals;
+Path2d.union = function(a,b){
+    return combinePaths(a,b,function(insideA,insideB){
+        return insideA || insideB;
+    });
 };
 
-/*--------------------------------------------------------------------------------------------------------------------*/
-// Svg Commands
-/*--------------------------------------------------------------------------------------------------------------------*/
-
 /**
- * If true svg commands will be created on every path modification. Clears the path.
- * @param {Boolean} enable
+ * Returns a new path covering the area shared by both paths.
+ * @param {Path2d} a
+ * @param {Path2d} b
+ * @returns {Path2d}
  */
-Path2d.prototype.setRecordSvgCmd = function(enable){
-    if(this._recordSvgCmd == enable){
-        return;
-    }
-    this.clear();
-    this._recordSvgCmd = enable;
+Path2d.intersect = function(a,b){
+    return combinePaths(a,b,function(insideA,insideB){
+        return insideA && insideB;
+    });
 };
 
 /**
- * Returns true if svg commands recoding is enabled.
- * @returns {Boolean}
+ * Returns a new path covering the area of a not covered by b.
+ * @param {Path2d} a
+ * @param {Path2d} b
+ * @returns {Path2d}
  */
-Path2d.prototype.isRecordSvgCmdEnabled = function(){
-    return this._recordSvgCmd;
+Path2d.difference = function(a,b){
+    return combinePaths(a,b,function(insideA,insideB){
+        return insideA && !insideB;
+    });
 };
 
-
-/*--------------------------------------------------------------------------------------------------------------------*/
-// Factory
-/*--------------------------------------------------------------------------------------------------------------------*/
-
 /**
- * Creates a path from svg command.
- * @param {String} cmd
- * @param {Object} [options]
+ * Returns a new path covering the area covered by exactly one of both paths.
+ * @param {Path2d} a
+ * @param {Path2d} b
  * @returns {Path2d}
  */
-Path2d.createFromSvgCmd = function(cmd,options){
-    var path = new Path2d(options);
-    path.setSvgPathCmd(cmd);
-    return path;
+Path2d.xor = function(a,b){
+    return combinePaths(a,b,function(insideA,insideB){
+        return insideA !== insideB;
+    });
 };
 
 /*--------------------------------------------------------------------------------------------------------------------*/
@@ -0,0 +1,78 @@
+var assert = require('assert');
+var Path2d = require('../index');
+
+/**
+ * Returns the summed signed area of all sub-paths.
+ */
+function getArea(path){
+    var area = 0;
+    path.getSubPaths().forEach(function(subPath){
+        var points = subPath.points;
+        for(var i = 0, l = points.length, j = l - 2; i < l; j = i, i+=2){
+            area += points[j] * points[i+1] - points[i] * points[j+1];
+        }
+    });
+    return area * 0.5;
+}
+
+/**
+ * Returns 10 wide quads along the edges of an octagon with radius 100, overlapping at its corners.
+ */
+function createOctagonQuads(rotation){
+    var path = new Path2d();
+    var a0, a1, x0, y0, x1, y1, nx, ny, length;
+    for(var i = 0; i < 8; ++i){
+        a0 = rotation + i * Math.PI / 4;
+        a1 = rotation + (i + 1) * Math.PI / 4;
+        x0 = Math.cos(a0) * 100;
+        y0 = Math.sin(a0) * 100;
+        x1 = Math.cos(a1) * 100;
+        y1 = Math.sin(a1) * 100;
+        length = Math.sqrt((x1 - x0) * (x1 - x0) + (y1 - y0) * (y1 - y0));
+        nx = -(y1 - y0) / length * 5;
+        ny =  (x1 - x0) / length * 5;
+        path.moveTo(x0 + nx,y0 + ny);
+        path.lineTo(x1 + nx,y1 + ny);
+        path.lineTo(x1 - nx,y1 - ny);
+        path.lineTo(x0 - nx,y0 - ny);
+        path.closeSubPath();
+    }
+    return path;
+}
+
+//union of overlapping quads, edges split at intersections must connect to a closed outer and inner ring
+(function(){
+    var apothem = Math.cos(Math.PI / 8) * 100;
+    //ring between the apothems 5 outside and inside, without the notches between the quad ends at the corners
+    var area = 8 * Math.tan(Math.PI / 8) * (20 * apothem - 25);
+
+    [0,0.1,0.37,1].forEach(function(rotation){
+        var quads = createOctagonQuads(rotation);
+        var union = Path2d.union(quads,new Path2d());
+
+        assert.strictEqual(union.getSubPaths().length,2);
+        assert(Math.abs(Math.abs(getArea(union)) - area) < 1e-6);
+
+        for(var x = -110; x <= 110; x+=2.5){
+            for(var y = -110; y <= 110; y+=2.5){
+                assert.strictEqual(union.isPointInPath([x,y]),quads.isPointInPath([x,y]),
+                    'point ' + x + ', ' + y + ' rotation ' + rotation);
+            }
+        }
+    });
+
+    assert.strictEqual(Path2d.union(createOctagonQuads(0),new Path2d()).isPointInPath([-40,70]),false);
+})();
+
+//regions sharing an edge merge
+(function(){
+    var a = new Path2d();
+    var b = new Path2d();
+    a.rect(0,0,10,10);
+    b.rect(10,0,10,10);
+
+    var union = Path2d.union(a,b);
+    assert.strictEqual(union.getSubPaths().length,1);
+    assert.strictEqual(union.getSubPaths()[0].points.length / 2,5);
+    assert(Math.abs(Math.abs(getArea(union)) - 200) < 1e-9);
+})();
@@ -0,0 +1,112 @@
+var assert = require('assert');
+var Path2d = require('../index');
+
+/**
+ * Returns the summed signed area of all sub-paths.
+ */
+function getArea(path){
+    var area = 0;
+    path.getSubPaths().forEach(function(subPath){
+        var points = subPath.points;
+        for(var i = 0, l = points.length, j = l - 2; i < l; j = i, i+=2){
+            area += points[j] * points[i+1] - points[i] * points[j+1];
+        }
+    });
+    return area * 0.5;
+}
+
+/**
+ * Returns the distance of a point to the segments of a polyline.
+ */
+function getDistance(points,x,y){
+    var min = Number.MAX_VALUE;
+    var dx, dy, t, px, py;
+    for(var i = 0; i < points.length - 2; i+=2){
+        dx = points[i+2] - points[i  ];
+        dy = points[i+3] - points[i+1];
+        t  = dx === 0 && dy === 0 ? 0 : ((x - points[i]) * dx + (y - points[i+1]) * dy) / (dx * dx + dy * dy);
+        t  = Math.max(0,Math.min(1,t));
+        px = points[i  ] + dx * t - x;
+        py = points[i+1] + dy * t - y;
+        min = Math.min(min,Math.sqrt(px * px + py * py));
+    }
+    return min;
+}
+
+/**
+ * Asserts the path offset is a single ring with all its points at the distance given from the path, or closer by the
+ * chord error of round joins.
+ */
+function assertOffsetRing(path,distance,options){
+    var offset   = path.offset(distance,options);
+    var subPaths = offset.getSubPaths();
+    var points   = path.getSubPaths()[0].points;
+    var error;
+
+    assert.strictEqual(subPaths.length,1);
+    assert.strictEqual(subPaths[0].closed,true);
+    for(var i = 0; i < subPaths[0].points.length; i+=2){
+        error = getDistance(points,subPaths[0].points[i],subPaths[0].points[i+1]) - Math.abs(distance);
+        assert(error < 1e-6 && error > -Math.abs(distance) * 0.01);
+    }
+    return offset;
+}
+
+//circles grow and shrink into a single ring, with the area of the offset polygon
+(function(){
+    [60,200,2000].forEach(function(numPoints){
+        var circle = new Path2d();
+        circle.moveTo(100,0);
+        circle.arc(0,0,100,0,Math.PI * 2,false,numPoints);
+        circle.closeSubPath();
+
+        //the last arc point meets the first
+        var numSides = numPoints - 1;
+        var tan      = Math.tan(Math.PI / numSides);
+        var apothem  = Math.cos(Math.PI / numSides) * 100;
+        [5,-5].forEach(function(distance){
+            //polygons with the edges moved, insets and miter joins
+            var areaMiter = numSides * tan * Math.pow(apothem + distance,2);
+            //plus a triangle per vertex
+            var areaBevel = numSides * tan * apothem * (apothem + 2 * distance) +
+                            numSides * distance * distance * Math.sin(Math.PI * 2 / numSides) * 0.5;
+
+            ['miter','round','bevel'].forEach(function(join){
+                var offset = circle.offset(distance,{join : join});
+                var area   = Math.abs(getArea(offset));
+                var message = numPoints + ' ' + distance + ' ' + join;
+
+                assert.strictEqual(offset.getSubPaths().length,1,message);
+                if(distance < 0 || join === 'miter'){
+                    assert(Math.abs(area - areaMiter) < areaMiter * 1e-9,message);
+                } else if(join === 'bevel'){
+                    assert(Math.abs(area - areaBevel) < areaBevel * 1e-9,message);
+                } else {
+                    //joins of small angles are a single segment, the bevel
+                    assert(area > areaBevel * (1 - 1e-9) && area < areaMiter,message);
+                }
+            });
+        });
+    });
+})();
+
+//flattened curves keep their distance
+(function(){
+    var ellipse = new Path2d();
+    ellipse.moveTo(Math.cos(0.3) * 100,Math.sin(0.3) * 100);
+    ellipse.ellipse(0,0,100,40,0.3,0,Math.PI * 2,false,400);
+    ellipse.closeSubPath();
+    [20,6,-6,-15].forEach(function(distance){
+        assertOffsetRing(ellipse,distance,{join : 'round'});
+    });
+
+    var blob = new Path2d();
+    blob.moveTo(0,0);
+    blob.cubicCurveTo(60,-40,120,40,100,100);
+    blob.cubicCurveTo(80,160,-20,140,-10,80);
+    blob.quadraticCurveTo(-40,40,0,0);
+    blob.closeSubPath();
+    [15,6,-6].forEach(function(distance){
+        assertOffsetRing(blob,distance,{join : 'round'});
+    });
+})();